@@ -0,0 +1,404 @@
+// athletics.js
+
+// Results that are not a mark. Checked against the start of the text.
+const STATUS_PATTERNS = [
+  ['DNS', /^(dns|np|n\/p|no se presento|no presentad[oa]|ausente)\b/],
+  ['DNF', /^(dnf|ab|abandono|no termino|retirad[oa])\b/],
+  ['DQ', /^(dq|dsq|desc|descalificad[oa])\b/],
+  ['NM', /^(nm|sm|sin marca|nulos?|x+)$/]
+];
+
+// Field events, checked in order ("salto triple" before "salto")
+const FIELD_EVENTS = [
+  ['salto-triple', /triple/],
+  ['salto-pertiga', /pertiga|garrocha/],
+  ['salto-alto', /salto (de )?alt(o|ura)|^altura/],
+  ['salto-largo', /salto (de )?(largo|longitud)|^longitud/],
+  ['lanzamiento-bala', /bala|lanzamiento de peso|^peso/],
+  ['lanzamiento-disco', /disco/],
+  ['lanzamiento-jabalina', /jabalina/],
+  ['lanzamiento-martillo', /martillo/],
+  ['lanzamiento-pelota', /pelota/]
+];
+
+const ROUND_PATTERN = /\b(semi\s*-?\s*final|final|serie|heat|hit|eliminatoria|ronda|preliminar)\w*\s*(?:n[o°º.]*\s*)?\d*/gi;
+const COMBINED_PATTERN = /pentatlon|heptatlon|decatlon|triatlon|combinad/;
+const ROAD_PATTERN = /marcha|maraton|cross|campo traviesa|ruta/;
+const TRACK_PATTERN = /\d\s*(m|mts|metros)\b|\d\s*x\s*\d|vallas|relevo|obstaculos|velocidad|fondo/;
+
+// Wind above this (m/s) makes a sprint or jump mark wind-assisted
+const WIND_LIMIT = 2.0;
+
+// Helper function to normalise text for matching ("Salto Alto Fem." -> "salto alto fem.")
+function normalize(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Helper function to read a cell of a results grid (plain text or { text, ... })
+function cellText(cell) {
+  if (cell === null || cell === undefined) return '';
+  return String(typeof cell === 'object' ? cell.text || '' : cell).trim();
+}
+
+// Helper function to parse "1,2" / "+1.2" / "−0.4" as a number
+function parseDecimal(text) {
+  return parseFloat(String(text).replace(',', '.').replace('−', '-'));
+}
+
+// Pull a wind reading out of a text: "(+1.2)", "V: -0,4", "viento +0.8", "w=2.1"
+function extractWind(text) {
+  const patterns = [
+    /\(\s*([+\-−]\d+(?:[.,]\d+)?)\s*\)/,
+    /\b(?:v|w|viento|wind)\s*[:=]?\s*([+\-−]?\d+(?:[.,]\d+)?)/i
+  ];
+  for (const pattern of patterns) {
+    const match = String(text || '').match(pattern);
+    if (match) {
+      return { wind: parseDecimal(match[1]), rest: String(text).replace(match[0], ' ').trim() };
+    }
+  }
+  return { wind: null, rest: String(text || '').trim() };
+}
+
+// Tell what kind of event a title describes and which round it is.
+// Returns { name, eventName, key, kind: 'track'|'road'|'field'|'combined'|null, discipline, round, heat }
+// where eventName/key leave out the round, so heats and the final share them.
+function classifyEvent(title) {
+  const text = normalize(extractWind(title).rest);
+  const event = { name: String(title || '').trim(), eventName: '', key: '', kind: null, discipline: null, round: null, heat: null };
+
+  // Round: semifinal must be checked before final
+  const heatMatch = text.match(/\b(serie|heat|hit|eliminatoria|ronda|preliminar)\w*\s*(?:n[o°º.]*\s*)?(\d+)?/);
+  if (/semi\s*-?\s*final/.test(text)) {
+    event.round = 'semifinal';
+  } else if (/\bfinal\b/.test(text)) {
+    event.round = 'final';
+  } else if (heatMatch) {
+    event.round = 'heat';
+    event.heat = heatMatch[2] ? parseInt(heatMatch[2], 10) : null;
+  }
+
+  const field = FIELD_EVENTS.find(([, pattern]) => pattern.test(text));
+  if (COMBINED_PATTERN.test(text)) {
+    event.kind = 'combined';
+    event.discipline = text.match(COMBINED_PATTERN)[0];
+  } else if (field) {
+    event.kind = 'field';
+    event.discipline = field[0];
+  } else if (ROAD_PATTERN.test(text)) {
+    event.kind = 'road';
+    const distance = text.match(/(\d+(?:[.,]\d+)?)\s*(km|m|mts|metros)\b/);
+    event.discipline = text.match(ROAD_PATTERN)[0].replace(/\s+/g, '-') +
+      (distance ? `-${distance[1]}${distance[2] === 'km' ? 'km' : 'm'}` : '');
+  } else if (TRACK_PATTERN.test(text)) {
+    event.kind = 'track';
+    const relay = text.match(/(\d)\s*x\s*(\d+)/);
+    const distance = text.match(/(\d+)\s*(m|mts|metros)\b/);
+    event.discipline = relay ? `${relay[1]}x${relay[2]}m` : (distance ? `${distance[1]}m` : 'pista');
+    if (/vallas/.test(text)) event.discipline += '-vallas';
+    if (/obstaculos/.test(text)) event.discipline += '-obstaculos';
+  }
+
+  // Same name and key for every heat/final of one event, so performances can be compared across rounds
+  event.eventName = extractWind(title).rest
+    .replace(ROUND_PATTERN, ' ')
+    .replace(/\(\s*\)|[-–—:]+\s*$/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  event.key = normalize(event.eventName).replace(/[-–—:()]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+  return event;
+}
+
+// Check whether a smaller mark is better for this kind of event
+// (unknown kinds: times are better when lower, anything else when higher)
+function isLowerBetter(kind, unit = null) {
+  if (!kind) return unit === 's';
+  return kind === 'track' || kind === 'road';
+}
+
+// Helper function to check whether a mark can be ranked
+function isValidMark(mark) {
+  return !!mark && mark.status === 'OK' && mark.parsed && mark.value !== null;
+}
+
+// Check whether mark a beats mark b in an event of this kind (any valid mark beats an invalid one)
+function isBetterMark(a, b, kind) {
+  if (isValidMark(a) !== isValidMark(b)) return isValidMark(a);
+  if (!isValidMark(a)) return false;
+  return isLowerBetter(kind, a.unit) ? a.value < b.value : a.value > b.value;
+}
+
+// Parse a mark into canonical units: times in seconds, distances in metres, points.
+// `kind` (from classifyEvent) decides what a bare number like "12.45" means.
+// Returns { raw, status, value, unit, wind, windAssisted, qualified, parsed }
+function parseMark(text, kind = null) {
+  const raw = String(text || '').trim();
+  const mark = { raw, status: 'OK', value: null, unit: null, wind: null, windAssisted: false, qualified: null, parsed: false };
+  if (!raw) return mark;
+
+  const { wind, rest } = extractWind(raw);
+  mark.wind = wind;
+  mark.windAssisted = wind !== null && wind > WIND_LIMIT;
+
+  let value = rest;
+  const qualification = value.match(/\s+(Q|q)$/);
+  if (qualification) {
+    mark.qualified = qualification[1];
+    value = value.slice(0, qualification.index).trim();
+  }
+
+  const normalized = normalize(value);
+  const status = STATUS_PATTERNS.find(([, pattern]) => pattern.test(normalized));
+  if (status) {
+    mark.status = status[0];
+    mark.parsed = true;
+    return mark;
+  }
+
+  const compact = normalized.replace(/\s+/g, '');
+  let match;
+
+  if ((match = compact.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:[.,]\d+)?)(?:s|seg)?$/))) {
+    // h:mm:ss.d or m:ss.d
+    const hours = match[1] ? parseInt(match[1], 10) : 0;
+    mark.value = hours * 3600 + parseInt(match[2], 10) * 60 + parseDecimal(match[3]);
+    mark.unit = 's';
+  } else if ((match = compact.match(/^(\d+(?:[.,]\d+)?)(s|seg|segundos|")$/))) {
+    mark.value = parseDecimal(match[1]);
+    mark.unit = 's';
+  } else if ((match = compact.match(/^(\d+(?:[.,]\d+)?)(m|mts|metros)$/))) {
+    mark.value = parseDecimal(match[1]);
+    mark.unit = 'm';
+  } else if ((match = compact.match(/^(\d+)(?:cm)$/))) {
+    mark.value = parseInt(match[1], 10) / 100;
+    mark.unit = 'm';
+  } else if ((match = compact.match(/^(\d+)(pts|puntos|points)$/))) {
+    mark.value = parseInt(match[1], 10);
+    mark.unit = 'pts';
+  } else if ((match = compact.match(/^(\d+(?:[.,]\d+)?)$/))) {
+    mark.value = parseDecimal(match[1]);
+    mark.unit = { track: 's', road: 's', field: 'm', combined: 'pts' }[kind] || null;
+  } else {
+    return mark;
+  }
+
+  mark.value = Math.round(mark.value * 1000) / 1000;
+  mark.parsed = true;
+  return mark;
+}
+
+// Format a parsed mark for reports: "12.45 s", "1:02.30", "4.85 m", "5234 pts" or the status
+function formatMark(mark) {
+  if (!mark) return '';
+  if (mark.status !== 'OK') return mark.status;
+  if (!mark.parsed) return mark.raw;
+
+  let text;
+  if (mark.unit === 's' && mark.value >= 60) {
+    const hours = Math.floor(mark.value / 3600);
+    const minutes = Math.floor((mark.value % 3600) / 60);
+    const seconds = (mark.value % 60).toFixed(2).padStart(5, '0');
+    text = hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+  } else if (mark.unit === 's') {
+    text = `${mark.value.toFixed(2)} s`;
+  } else if (mark.unit === 'm') {
+    text = `${mark.value.toFixed(2)} m`;
+  } else if (mark.unit === 'pts') {
+    text = `${mark.value} pts`;
+  } else {
+    text = String(mark.value);
+  }
+
+  if (mark.wind !== null) {
+    text += ` (${mark.wind > 0 ? '+' : ''}${mark.wind.toFixed(1)})`;
+  }
+  return text;
+}
+
+// Rank performances ({ mark, ... }) for an event kind. Valid marks come first, best first,
+// with ties sharing a rank; DNF/DNS/DQ/NM and unparsed marks follow with rank null.
+function rankPerformances(performances, kind) {
+  const valid = performances.filter(performance => isValidMark(performance.mark));
+  const lowerBetter = isLowerBetter(kind, valid.length > 0 ? valid[0].mark.unit : null);
+  const invalid = performances.filter(p => !valid.includes(p));
+
+  valid.sort((a, b) => lowerBetter ? a.mark.value - b.mark.value : b.mark.value - a.mark.value);
+
+  const ranked = valid.map((performance, i) => {
+    const previous = valid[i - 1];
+    const tied = previous && previous.mark.value === performance.mark.value;
+    return { ...performance, rank: tied ? null : i + 1 };
+  });
+  // Ties share the rank of the first athlete with that mark
+  ranked.forEach((performance, i) => {
+    if (performance.rank === null) performance.rank = ranked[i - 1].rank;
+  });
+
+  return [...ranked, ...invalid.map(performance => ({ ...performance, rank: null }))];
+}
+
+// Find the columns of an athletics results grid from its header row
+function findColumns(headerRow) {
+  const headers = headerRow.map(cell => normalize(cellText(cell)));
+  const find = pattern => headers.findIndex(header => pattern.test(header));
+  return {
+    position: find(/^(pos|puesto|lugar|#|rank|clasif|lug)/),
+    athlete: find(/atleta|nombre|name|competidor|participante|deportista/),
+    school: find(/colegio|centro|institucion|escuela|equipo|club|school/),
+    mark: find(/marca|tiempo|resultado|distancia|mark|time|result|puntos/),
+    wind: find(/^(viento|wind|v)$/)
+  };
+}
+
+// Helper function to build a performance from a results row
+function performanceRow(row, columns, mark, i) {
+  return {
+    row: i + 1,
+    athlete: columns.athlete !== -1 ? cellText(row[columns.athlete]) : '',
+    school: columns.school !== -1 ? cellText(row[columns.school]) : '',
+    position: columns.position !== -1 ? cellText(row[columns.position]) : '',
+    mark
+  };
+}
+
+// Helper function to name a table with its category ("Juvenil Femenino - 100m Final"), so the
+// same event in two categories is kept apart
+function tableLabel(table) {
+  const title = String(table.title || '').trim();
+  const category = String(table.category || '').trim();
+  return category && !title.includes(category) ? `${category} - ${title}` : title;
+}
+
+// Analyse one results table ({ title, category, data }) as an athletics event.
+// Returns null when the table has no recognisable mark column.
+function analyzeResultsTable(table) {
+  const rows = table.data || [];
+  if (rows.length < 2) return null;
+
+  const columns = findColumns(rows[0]);
+  if (columns.mark === -1) return null;
+
+  const event = classifyEvent(tableLabel(table));
+  const tableWind = extractWind(table.title).wind;
+  const performances = rows.slice(1).map((row, i) => {
+    const mark = parseMark(cellText(row[columns.mark]), event.kind);
+    if (mark.status !== 'OK') return performanceRow(row, columns, mark, i);
+
+    if (mark.wind === null && columns.wind !== -1) {
+      const windText = cellText(row[columns.wind]);
+      mark.wind = windText ? parseDecimal(windText) : null;
+      if (Number.isNaN(mark.wind)) mark.wind = null;
+    }
+    if (mark.wind === null && tableWind !== null) mark.wind = tableWind;
+    mark.windAssisted = mark.wind !== null && mark.wind > WIND_LIMIT;
+    return performanceRow(row, columns, mark, i);
+  }).filter(performance => performance.athlete || performance.mark.raw);
+
+  return { event, performances: rankPerformances(performances, event.kind) };
+}
+
+// Helper function to keep one performance per athlete: the final result of a finalist, otherwise
+// the best mark of the earlier rounds
+function pickAthletePerformances(performances, kind) {
+  const finalists = new Map();
+  const others = new Map();
+  performances.forEach(performance => {
+    const athleteKey = normalize(performance.athlete) + '|' + normalize(performance.school);
+    const group = performance.round === 'final' ? finalists : others;
+    const current = group.get(athleteKey);
+    if (!current || isBetterMark(performance.mark, current.mark, kind)) {
+      group.set(athleteKey, performance);
+    }
+  });
+  finalists.forEach((performance, athleteKey) => others.delete(athleteKey));
+  return { finalists: Array.from(finalists.values()), others: Array.from(others.values()) };
+}
+
+// Rank an event across its rounds: finalists by their final result, then the athletes who did not
+// reach the final by their best mark, numbered after the last finalist. Invalid marks come last.
+function rankAcrossRounds(performances, kind) {
+  const { finalists, others } = pickAthletePerformances(performances, kind);
+  const rankedFinalists = rankPerformances(finalists, kind);
+  const rankedOthers = rankPerformances(others, kind);
+  const offset = rankedFinalists.filter(performance => performance.rank !== null).length;
+
+  const shifted = rankedOthers.map(performance => (
+    performance.rank !== null ? { ...performance, rank: performance.rank + offset } : performance
+  ));
+  return [
+    ...rankedFinalists.filter(performance => performance.rank !== null),
+    ...shifted.filter(performance => performance.rank !== null),
+    ...rankedFinalists.filter(performance => performance.rank === null),
+    ...shifted.filter(performance => performance.rank === null)
+  ];
+}
+
+// Annotate a scraped athletics sport in place:
+// - results[].athletics: event classification plus parsed, ranked marks
+// - medals[].event and medals[].items[].mark
+// - athletics.events: every event's performances across heats and finals, ranked together
+//   (finalists first by their final result)
+function annotateSportData(sportData) {
+  const events = new Map();
+
+  (sportData.results || []).forEach(table => {
+    const analysis = analyzeResultsTable(table);
+    if (!analysis) return;
+    table.athletics = analysis;
+
+    const { event } = analysis;
+    if (!events.has(event.key)) {
+      events.set(event.key, {
+        key: event.key,
+        name: event.eventName,
+        kind: event.kind,
+        discipline: event.discipline,
+        gender: table.gender || null,
+        ageGroup: table.ageGroup || null,
+        rounds: [],
+        performances: []
+      });
+    }
+    const summary = events.get(event.key);
+    summary.rounds.push({ title: tableLabel(table), round: event.round, heat: event.heat });
+    analysis.performances.forEach(performance => {
+      summary.performances.push({ ...performance, round: event.round, heat: event.heat, table: tableLabel(table) });
+    });
+  });
+
+  (sportData.medals || []).forEach(table => {
+    table.event = classifyEvent(tableLabel(table));
+    table.items.forEach(item => {
+      if (item.result) item.mark = parseMark(item.result, table.event.kind);
+    });
+  });
+
+  // Finalists are ranked first by their final result; everyone else follows by their best earlier-round mark
+  const eventList = Array.from(events.values()).map(summary => ({
+    ...summary,
+    performances: rankAcrossRounds(summary.performances, summary.kind)
+  }));
+
+  if (eventList.length > 0) {
+    sportData.athletics = { events: eventList };
+  }
+  return sportData;
+}
+
+module.exports = {
+  parseMark,
+  formatMark,
+  classifyEvent,
+  extractWind,
+  rankPerformances,
+  isBetterMark,
+  analyzeResultsTable,
+  annotateSportData,
+  isLowerBetter
+};
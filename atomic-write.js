@@ -0,0 +1,31 @@
+// atomic-write.js
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const writeFileAsync = promisify(fs.writeFile);
+const renameAsync = promisify(fs.rename);
+const unlinkAsync = promisify(fs.unlink);
+
+let counter = 0;
+
+// Write a file atomically: write to a temporary file in the same directory, then
+// rename it over the target. Readers (and an interrupted run) never see a half-written file.
+async function writeFileAtomic(filePath, data, options) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${counter++}.tmp`
+  );
+
+  try {
+    await writeFileAsync(tempPath, data, options);
+    await renameAsync(tempPath, filePath);
+  } catch (error) {
+    await unlinkAsync(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  writeFileAtomic
+};
@@ -0,0 +1,103 @@
+// category-parser.js
+
+// Gender words as they appear on the site ("Juvenil Masculino", "Damas", "Dobles mixtos", "(F)")
+const GENDERS = [
+  ['mixto', /\bmixt[oa]s?\b/],
+  ['masculino', /\b(?:masculin[oa]s?|masc|varones|varonil|hombres|caballeros|ninos|chicos)\b|\(\s*m\s*\)/],
+  ['femenino', /\b(?:femenin[oa]s?|fem|femenil|hembras|mujeres|damas|ninas|chicas)\b|\(\s*f\s*\)/]
+];
+
+// Age groups, youngest first; pre-infantil must be checked before infantil. "Libre" alone is not
+// an age group ("100m estilo libre", "lucha libre", "tiro libre"), only "categoría libre" is.
+const AGE_GROUPS = [
+  ['pre-infantil', /\bpre\s*-?\s*infantil(?:es)?\b/],
+  ['mini', /\bmini(?:s|basket)?\b/],
+  ['infantil', /\binfantil(?:es)?\b/],
+  ['cadete', /\bcadetes?\b/],
+  ['juvenil', /\bjuvenil(?:es)?\b/],
+  ['junior', /\bjunior(?:s|es)?\b/],
+  ['mayor', /\b(?:mayor(?:es)?|superior)\b|\bcategoria\s+libre\b/]
+];
+
+// Competition phases; the more specific ones (semifinal, cuartos de final) before plain "final"
+const PHASES = [
+  ['tercer-lugar', /\b(?:tercer|3er|3\s*[°º])\s*(?:lugar|puesto)\b|\bpor\s+el\s+bronce\b/],
+  ['semifinal', /\bsemi\s*-?\s*finale?s?\b/],
+  ['cuartos', /\bcuartos(?:\s+de\s+final)?\b/],
+  ['octavos', /\boctavos(?:\s+de\s+final)?\b/],
+  ['final', /\b(?:gran\s+)?final(?:es)?\b/],
+  ['eliminatoria', /\b(?:eliminatorias?|clasificatorias?|preliminar(?:es)?|series?\s*\d+|heats?)\b/],
+  ['grupos', /\bfase\s+de\s+grupos\b|\bround\s+robin\b|\btodos\s+contra\s+todos\b/]
+];
+
+// Fields stamped on every table, match, standing and medal entry
+const CATEGORY_FIELDS = ['gender', 'ageGroup', 'group', 'phase'];
+
+// Helper function to normalise a category text ("Juvenil Femenino - Grupo Á" -> "juvenil femenino - grupo a")
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Helper function to find the first matching entry of a [value, pattern] list
+function findValue(list, text) {
+  const entry = list.find(([, pattern]) => pattern.test(text));
+  return entry ? entry[0] : null;
+}
+
+// Helper function to read the gender of a normalised text: naming both ("Niños y niñas") means mixed
+function findGender(normalized) {
+  const found = GENDERS.filter(([, pattern]) => pattern.test(normalized)).map(([value]) => value);
+  if (found.includes('mixto') || (found.includes('masculino') && found.includes('femenino'))) return 'mixto';
+  return found[0] || null;
+}
+
+// Helper function to read the fields a normalised text names (no phase is inferred from a group)
+function readCategory(normalized) {
+  const subAge = normalized.match(/\b(?:sub|u)\s*-?\s*(\d{1,2})\b/);
+  const group = normalized.match(/\bgrupo\s+(?:n[o°º.]*\s*)?([a-z]|\d{1,2}|unico)\b/);
+
+  return {
+    gender: findGender(normalized),
+    ageGroup: subAge ? `sub-${subAge[1]}` : findValue(AGE_GROUPS, normalized),
+    group: group ? (group[1] === 'unico' ? 'Único' : group[1].toUpperCase()) : null,
+    phase: findValue(PHASES, normalized)
+  };
+}
+
+// Parse category texts (e.g. a category line, then a title) into { gender, ageGroup, group, phase };
+// the first text that names a field wins, and a group with no phase means the group stage
+function parseCategory(...texts) {
+  const category = { gender: null, ageGroup: null, group: null, phase: null };
+  texts.forEach(text => {
+    const parsed = readCategory(normalize(text));
+    CATEGORY_FIELDS.forEach(field => {
+      if (category[field] === null) category[field] = parsed[field];
+    });
+  });
+
+  if (!category.phase && category.group) category.phase = 'grupos';
+  return category;
+}
+
+// Stamp gender, ageGroup, group and phase (in place) on every result table, match,
+// standing and medal table of a sport, from its category text and title
+function stampSportData(sportData) {
+  const stamp = entry => Object.assign(entry, parseCategory(entry.category, entry.title));
+
+  (sportData.results || []).forEach(stamp);
+  (sportData.matches || []).forEach(stamp);
+  (sportData.standings || []).forEach(stamp);
+  (sportData.medals || []).forEach(stamp);
+  return sportData;
+}
+
+module.exports = {
+  parseCategory,
+  stampSportData,
+  CATEGORY_FIELDS
+};
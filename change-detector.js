@@ -0,0 +1,194 @@
+// change-detector.js
+
+// Helper function to normalise text used in identity keys
+function normalize(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Identity of a match, independent of its score and winner
+function matchKey(match) {
+  const teams = (match.teams || []).map(normalize).join(' vs ');
+  return [match.category, match.title, teams, match.date, match.time].map(normalize).join('|');
+}
+
+// Identity of a standings table and of a medal table
+function tableKey(table) {
+  return [table.title, table.category].map(normalize).join('|');
+}
+
+// Identity of a medal entry within its table
+function medalKey(item) {
+  return [item.position, item.name, item.school].map(normalize).join('|');
+}
+
+// Index an array by key (first item wins when keys repeat)
+function indexBy(items, keyFn) {
+  const index = new Map();
+  (items || []).forEach(item => {
+    const key = keyFn(item);
+    if (!index.has(key)) index.set(key, item);
+  });
+  return index;
+}
+
+// Compare the matches of one sport
+function diffMatches(previousMatches, currentMatches, changes) {
+  const previous = indexBy(previousMatches, matchKey);
+  const current = indexBy(currentMatches, matchKey);
+
+  current.forEach((match, key) => {
+    const before = previous.get(key);
+    if (!before) {
+      changes.newMatches.push(match);
+    } else if (normalize(before.score) !== normalize(match.score) || normalize(before.winner) !== normalize(match.winner)) {
+      changes.updatedScores.push({
+        match,
+        previousScore: before.score || '',
+        score: match.score || '',
+        previousWinner: before.winner || '',
+        winner: match.winner || ''
+      });
+    }
+  });
+
+  previous.forEach((match, key) => {
+    if (!current.has(key)) changes.removed.matches.push(match);
+  });
+}
+
+// Compare the medal tables of one sport
+function diffMedals(previousMedals, currentMedals, changes) {
+  const previousTables = indexBy(previousMedals, tableKey);
+  const currentTables = indexBy(currentMedals, tableKey);
+
+  currentTables.forEach((table, key) => {
+    const before = indexBy(previousTables.has(key) ? previousTables.get(key).items : [], medalKey);
+    table.items.forEach(item => {
+      if (!before.has(medalKey(item))) {
+        changes.newMedalWinners.push({ table: table.title, ...item });
+      }
+    });
+  });
+
+  previousTables.forEach((table, key) => {
+    const now = indexBy(currentTables.has(key) ? currentTables.get(key).items : [], medalKey);
+    table.items.forEach(item => {
+      if (!now.has(medalKey(item))) {
+        changes.removed.medals.push({ table: table.title, ...item });
+      }
+    });
+  });
+}
+
+// Compare the standings tables of one sport (position changes, new and removed teams)
+function diffStandings(previousStandings, currentStandings, changes) {
+  const previousTables = indexBy(previousStandings, tableKey);
+  const currentTables = indexBy(currentStandings, tableKey);
+
+  currentTables.forEach((table, key) => {
+    const before = indexBy(previousTables.has(key) ? previousTables.get(key).teams : [], team => normalize(team.name));
+    table.teams.forEach(team => {
+      const previousTeam = before.get(normalize(team.name));
+      if (!previousTeam || normalize(previousTeam.position) !== normalize(team.position) ||
+          normalize(previousTeam.points) !== normalize(team.points)) {
+        changes.standingsChanges.push({
+          table: table.title,
+          category: table.category || '',
+          team: team.name,
+          schoolId: team.schoolId || null,
+          previousPosition: previousTeam ? previousTeam.position : null,
+          position: team.position,
+          previousPoints: previousTeam ? previousTeam.points : null,
+          points: team.points
+        });
+      }
+    });
+  });
+
+  previousTables.forEach((table, key) => {
+    const now = indexBy(currentTables.has(key) ? currentTables.get(key).teams : [], team => normalize(team.name));
+    table.teams.forEach(team => {
+      if (!now.has(normalize(team.name))) {
+        changes.removed.standings.push({ table: table.title, team: team.name, position: team.position });
+      }
+    });
+  });
+}
+
+// Helper function to count the changes of one sport
+function countChanges(changes) {
+  return {
+    newMatches: changes.newMatches.length,
+    updatedScores: changes.updatedScores.length,
+    newMedalWinners: changes.newMedalWinners.length,
+    standingsChanges: changes.standingsChanges.length,
+    removed: changes.removed.matches.length + changes.removed.medals.length + changes.removed.standings.length
+  };
+}
+
+// Compare two all_data.json snapshots and build a changeset. Sports that failed to
+// scrape in either run are skipped, so an outage is not reported as removals (or,
+// once it is over, as a flood of new results).
+function detectChanges(previousData, currentData, { previousSnapshot = null, currentSnapshot = null } = {}) {
+  const changeset = {
+    generatedAt: new Date().toISOString(),
+    previousSnapshot,
+    currentSnapshot,
+    previousScrapedAt: previousData?.metadata?.scrapedAt || null,
+    currentScrapedAt: currentData?.metadata?.scrapedAt || null,
+    baseline: !previousData,
+    hasChanges: false,
+    totals: { newMatches: 0, updatedScores: 0, newMedalWinners: 0, standingsChanges: 0, removed: 0 },
+    skippedSports: [],
+    sports: {}
+  };
+
+  // First snapshot: nothing to compare against
+  if (!previousData) return changeset;
+
+  // Sports only in the previous run are diffed against nothing, so their data shows up as removed
+  const sportNames = new Set([...Object.keys(previousData.sports || {}), ...Object.keys(currentData.sports || {})]);
+  sportNames.forEach(sportName => {
+    const inCurrent = Object.prototype.hasOwnProperty.call(currentData.sports || {}, sportName);
+    const current = inCurrent ? currentData.sports[sportName] : {};
+    const previous = previousData.sports?.[sportName];
+
+    if (!current || current.sportInfo?.error) {
+      changeset.skippedSports.push({ sport: sportName, reason: 'scrape failed in this run' });
+      return;
+    }
+    if (previous?.sportInfo?.error) {
+      changeset.skippedSports.push({ sport: sportName, reason: 'scrape failed in the previous run' });
+      return;
+    }
+
+    const changes = {
+      newMatches: [],
+      updatedScores: [],
+      newMedalWinners: [],
+      standingsChanges: [],
+      removed: { matches: [], medals: [], standings: [] }
+    };
+
+    diffMatches(previous?.matches, current.matches, changes);
+    diffMedals(previous?.medals, current.medals, changes);
+    diffStandings(previous?.standings, current.standings, changes);
+
+    const counts = countChanges(changes);
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      changeset.sports[sportName] = { counts, ...changes };
+      Object.keys(counts).forEach(key => {
+        changeset.totals[key] += counts[key];
+      });
+    }
+  });
+
+  changeset.hasChanges = Object.keys(changeset.sports).length > 0;
+  return changeset;
+}
+
+module.exports = {
+  detectChanges,
+  matchKey
+};
@@ -0,0 +1,340 @@
+// config.js
+const fs = require('fs');
+const path = require('path');
+const { loadEditions } = require('./editions');
+
+// Configuration file read from the working directory (or the path in --config / SALESIANOS_CONFIG)
+const DEFAULT_FILE = 'salesianos.config.json';
+
+// Every setting, in resolution order (paths inside outputDir default from it). Each one can be set,
+// from lowest to highest precedence, in the config file (nested: { "circuitBreaker": { "cooldownMs": 1 } }),
+// in an environment variable (SALESIANOS_ + the key in upper snake case, e.g. SALESIANOS_CIRCUIT_BREAKER_COOLDOWN_MS)
+// and with a CLI flag (the dedicated `flag`, or --set key=value). fileOnly settings are structured
+// values that only the config file can hold. `after` runs once the setting is resolved and adds
+// derived values (the editions list, the selected edition) for the settings below it.
+const SETTINGS = [
+  {
+    key: 'editionsFile',
+    type: 'path',
+    default: () => path.join(__dirname, 'editions.json'), // editions that can be scraped (see editions.js)
+    after: flat => {
+      const registry = loadEditions(flat.editionsFile);
+      flat.editions = registry.editions;
+      flat.defaultEdition = registry.current;
+    }
+  },
+  {
+    key: 'edition',
+    type: 'edition',
+    default: values => values.defaultEdition, // which edition this run scrapes and reports on
+    flag: '--edition',
+    after: flat => {
+      flat.editionInfo = flat.editions.find(edition => edition.id === flat.edition);
+    }
+  },
+  { key: 'baseUrl', type: 'url', default: values => values.editionInfo.baseUrl, flag: '--base-url' },
+  {
+    key: 'outputDir',
+    type: 'path',
+    default: values => values.editionInfo.outputDir, // each edition has its own data directory
+    flag: '--output-dir',
+    after: flat => {
+      // The selected edition's data is wherever this run writes it
+      flat.editions = flat.editions.map(edition => (edition.id === flat.edition ? { ...edition, outputDir: flat.outputDir } : edition));
+      flat.editionInfo = flat.editions.find(edition => edition.id === flat.edition);
+    }
+  },
+  { key: 'reportsDir', type: 'path', default: () => path.join(__dirname, 'reportes_salesianos'), flag: '--reports-dir' },
+  { key: 'archiveDir', type: 'path', default: values => path.join(values.outputDir, 'archives') },
+  { key: 'cacheDir', type: 'path', default: values => path.join(values.outputDir, 'http_cache') },
+  { key: 'snapshotsDir', type: 'path', default: values => path.join(values.outputDir, 'snapshots') },
+  { key: 'robotsCacheDir', type: 'path', default: values => path.join(values.outputDir, 'robots_cache') },
+  { key: 'mediaDir', type: 'path', default: values => path.join(values.outputDir, 'media') }, // local copies of images, read by the processor
+  { key: 'pdfDir', type: 'path', default: values => path.join(values.outputDir, 'pdfs') }, // downloaded PDF bulletins, kept for later runs and replays
+  { key: 'profilesFile', type: 'path', default: () => path.join(__dirname, 'extraction-profiles.json') },
+  { key: 'schoolsFile', type: 'path', default: () => path.join(__dirname, 'schools.json') }, // canonical schools and their aliases
+  { key: 'schoolMatching.autoAcceptScore', type: 'number', default: 0.92, min: 0, max: 1 }, // fuzzy matches this close to an alias get the schoolId (and are proposed)
+  { key: 'schoolMatching.proposeScore', type: 'number', default: 0.6, min: 0, max: 1 }, // weaker matches are only proposed as new aliases
+  { key: 'maxSnapshots', type: 'integer', default: 500, min: 0 }, // oldest snapshots are deleted beyond this count (0 = keep all)
+  { key: 'maxManifests', type: 'integer', default: 500, min: 0 }, // oldest run manifests (manifests/run_<runId>.json) are deleted beyond this count (0 = keep all)
+  { key: 'maxMediaBytes', type: 'integer', default: 10 * 1024 * 1024, min: 0 }, // larger images are left on the remote site
+  { key: 'pdf.maxPerSport', type: 'integer', default: 10, min: 0 }, // PDF bulletins read per sport, in page order (0 = none)
+  { key: 'pdf.maxBytes', type: 'integer', default: 20 * 1024 * 1024, min: 0 }, // larger PDFs are not downloaded
+  { key: 'concurrency', type: 'integer', default: 4, min: 1 }, // pages fetched in parallel
+  { key: 'requestsPerSecond', type: 'number', default: 1, min: 0.001, flag: '--requests-per-second' }, // request budget per host, shared by every fetch
+  { key: 'burst', type: 'integer', default: 2, min: 1 }, // requests a host may receive back to back before the rate applies
+  { key: 'maxRetries', type: 'integer', default: 3, min: 0 },
+  { key: 'retryBaseDelayMs', type: 'integer', default: 1000, min: 0 }, // first retry after ~1s, doubling on each attempt
+  { key: 'maxRetryDelayMs', type: 'integer', default: 30000, min: 0 }, // longest wait between attempts (longer Retry-After values give up)
+  { key: 'circuitBreaker.failureThreshold', type: 'integer', default: 5, min: 1 }, // consecutive retryable failures before the host is left alone
+  { key: 'circuitBreaker.cooldownMs', type: 'integer', default: 60000, min: 0 }, // 1 minute before a trial request is allowed again
+  { key: 'robotsTtlMs', type: 'integer', default: 24 * 60 * 60 * 1000, min: 0 }, // re-read robots.txt once a day
+  { key: 'timeoutMs', type: 'integer', default: 30000, min: 1 }, // 30 seconds timeout
+  { key: 'editionYear', type: 'integer', default: values => values.editionInfo.year, min: 2000, max: 2100 }, // year assumed for dates written without one ("sábado 15 de marzo")
+  { key: 'timeZone', type: 'timeZone', default: 'America/Santo_Domingo' }, // scraped dates and times are local to the event
+  // Webhooks called when a run finds new or changed results. Each entry:
+  // { name, url, secretEnv: 'VAR_WITH_SECRET' (or secret), sports: ['futbol'], schools: ['Don Bosco'] }
+  { key: 'notifications.webhooks', type: 'webhooks', default: () => [], fileOnly: true },
+  { key: 'notifications.maxRetries', type: 'integer', default: 3, min: 0 },
+  { key: 'notifications.retryBaseDelayMs', type: 'integer', default: 2000, min: 0 },
+  { key: 'notifications.maxRetryDelayMs', type: 'integer', default: 60000, min: 0 },
+  { key: 'notifications.timeoutMs', type: 'integer', default: 10000, min: 1 },
+  { key: 'notifications.deliveryLog', type: 'path', default: values => path.join(values.outputDir, 'webhook_deliveries.jsonl') },
+  // Logging: readable lines on the console (level; --quiet = warn, --verbose = debug) and
+  // JSON lines with the run id and structured fields in a file rotated at maxBytes
+  { key: 'logging.level', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+  { key: 'logging.fileLevel', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'debug' },
+  { key: 'logging.file', type: 'path', default: values => path.join(values.outputDir, 'logs', 'scraper.jsonl') }, // written once the data directory exists
+  { key: 'logging.maxBytes', type: 'integer', default: 5 * 1024 * 1024, min: 1024 }, // rotate at 5 MB
+  { key: 'logging.maxFiles', type: 'integer', default: 5, min: 1 }, // rotated files kept (scraper.jsonl.1 ... .5)
+  // Source adapters: "html" parses the rendered pages, "wordpress" reads the site's REST API
+  // (wp-json/wp/v2). Sports listed (by slug) in adapter.html / adapter.wordpress use that adapter,
+  // the rest adapter.default; a sport in editions.json may name its own "adapter". When the chosen
+  // adapter fails or finds nothing, the other one is tried.
+  { key: 'adapter.default', type: 'enum', values: ['html', 'wordpress'], default: 'html', flag: '--adapter' },
+  { key: 'adapter.html', type: 'list', default: () => [] },
+  { key: 'adapter.wordpress', type: 'list', default: () => [] },
+  { key: 'wordpress.apiUrl', type: 'url', default: values => new URL('/wp-json/wp/v2/', values.baseUrl).href },
+  { key: 'wordpress.perPage', type: 'integer', default: 100, min: 1, max: 100 }, // entries per request (the API allows 100)
+  { key: 'wordpress.maxPages', type: 'integer', default: 10, min: 1 }, // requests per collection at most
+  // Sport discovery (--discover): allow = always scrape these (slugs or { name, urlPath }),
+  // deny = never treat these page slugs as sports ("prefix*" patterns allowed)
+  { key: 'discovery.allow', type: 'list', default: () => [] },
+  {
+    key: 'discovery.deny',
+    type: 'list',
+    default: () => [
+      'inicio', 'noticias', 'contacto', 'galeria', 'galerias', 'calendario', 'programa',
+      'programacion', 'resultados', 'medallero', 'sedes', 'reglamento', 'equipos',
+      'colegios', 'page', 'feed', 'tag', 'author', 'comments', 'amp'
+    ]
+  },
+  // Watch mode schedule (hours are local to timeZone)
+  { key: 'watch.intervalMinutes', type: 'number', default: 5, min: 0.1 }, // between runs during the day
+  { key: 'watch.nightIntervalMinutes', type: 'number', default: 30, min: 0.1 }, // between runs at night, when no games are played
+  { key: 'watch.nightStartHour', type: 'integer', default: 22, min: 0, max: 23 },
+  { key: 'watch.nightEndHour', type: 'integer', default: 6, min: 0, max: 23 }
+];
+
+// Helper function to name the environment variable of a setting (discovery.allow -> SALESIANOS_DISCOVERY_ALLOW)
+function envName(key) {
+  return 'SALESIANOS_' + key.replace(/\./g, '_').replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+// Helper function to turn text from the environment or the command line into a typed value
+function fromText(setting, text) {
+  switch (setting.type) {
+    case 'integer':
+      return /^-?\d+$/.test(text.trim()) ? parseInt(text, 10) : text;
+    case 'number':
+      return text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : text;
+    case 'list':
+      return text.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return text;
+  }
+}
+
+// Helper function to check (and normalise) one value; returns { value } or { error }
+function checkValue(setting, value, baseDir, flat) {
+  switch (setting.type) {
+    case 'edition':
+      return flat.editions.some(edition => edition.id === value)
+        ? { value }
+        : { error: `must be one of ${flat.editions.map(edition => `"${edition.id}"`).join(', ')}` };
+    case 'url': {
+      let url;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        return { error: 'must be an absolute http(s) URL' };
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return { error: 'must be an absolute http(s) URL' };
+      // Sport pages are built as baseUrl + slug + "/"
+      return { value: url.href.endsWith('/') ? url.href : `${url.href}/` };
+    }
+    case 'path':
+      if (typeof value !== 'string' || value.trim() === '') return { error: 'must be a path' };
+      return { value: path.resolve(baseDir, value) };
+    case 'integer':
+    case 'number': {
+      const valid = setting.type === 'integer' ? Number.isInteger(value) : typeof value === 'number' && Number.isFinite(value);
+      if (!valid) return { error: `must be ${setting.type === 'integer' ? 'an integer' : 'a number'}` };
+      if (setting.min !== undefined && value < setting.min) return { error: `must be at least ${setting.min}` };
+      if (setting.max !== undefined && value > setting.max) return { error: `must be at most ${setting.max}` };
+      return { value };
+    }
+    case 'timeZone':
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return { value };
+      } catch (error) {
+        return { error: 'must be an IANA time zone such as "America/Santo_Domingo"' };
+      }
+    case 'enum':
+      return setting.values.includes(value) ? { value } : { error: `must be one of ${setting.values.join(', ')}` };
+    case 'list':
+      return Array.isArray(value) ? { value } : { error: 'must be a list' };
+    case 'webhooks':
+      if (!Array.isArray(value)) return { error: 'must be a list of webhooks' };
+      if (value.some(webhook => !webhook || typeof webhook.url !== 'string' || !/^https?:\/\//.test(webhook.url))) {
+        return { error: 'every webhook needs an http(s) "url"' };
+      }
+      return { value };
+    default:
+      return { value };
+  }
+}
+
+// Helper function to flatten the config file into dotted keys, reporting keys no setting uses
+function flattenFile(object, prefix, errors, flat = {}) {
+  Object.keys(object).forEach(name => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    const value = object[name];
+    if (SETTINGS.some(setting => setting.key === key)) {
+      flat[key] = value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+               SETTINGS.some(setting => setting.key.startsWith(`${key}.`))) {
+      flattenFile(value, key, errors, flat);
+    } else {
+      errors.push(`${key}: unknown setting`);
+    }
+  });
+  return flat;
+}
+
+// Helper function to set a dotted key in a nested object
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((node, part) => node[part] || (node[part] = {}), object);
+  target[last] = value;
+}
+
+// Resolve the effective configuration. flags maps setting keys to command line text
+// ({ baseUrl: 'https://...' }) and flagNames to the flag each came from (for `config show`).
+// Throws with every problem found. Returns { values (nested), sources, file } where sources maps
+// each key to { from: 'default'|'file'|'env'|'flag', name } (name: file path, variable or flag).
+function loadConfig({ file = null, flags = {}, flagNames = {}, env = process.env, cwd = process.cwd() } = {}) {
+  const explicitFile = file || env.SALESIANOS_CONFIG || null;
+  const filePath = path.resolve(cwd, explicitFile || DEFAULT_FILE);
+  const errors = [];
+  let fileValues = {};
+  let fileUsed = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('the file must contain a JSON object');
+      }
+      fileValues = flattenFile(parsed, '', errors);
+      fileUsed = filePath;
+    } catch (error) {
+      throw new Error(`Cannot read configuration from ${filePath}: ${error.message}`);
+    }
+  } else if (explicitFile) {
+    throw new Error(`Configuration file not found: ${filePath}`);
+  }
+
+  Object.keys(flags).forEach(key => {
+    if (!SETTINGS.some(setting => setting.key === key)) errors.push(`${key}: unknown setting`);
+  });
+
+  const flat = {};
+  const sources = {};
+  SETTINGS.forEach(setting => {
+    const { key } = setting;
+    let value;
+    let source;
+    let baseDir = cwd;
+
+    if (flags[key] !== undefined && !setting.fileOnly) {
+      value = fromText(setting, flags[key]);
+      source = { from: 'flag', name: flagNames[key] || setting.flag || '--set' };
+    } else if (env[envName(key)] !== undefined && !setting.fileOnly) {
+      value = fromText(setting, env[envName(key)]);
+      source = { from: 'env', name: envName(key) };
+    } else if (fileValues[key] !== undefined) {
+      value = fileValues[key];
+      source = { from: 'file', name: fileUsed };
+      baseDir = path.dirname(fileUsed); // relative paths in the file are relative to it
+    } else {
+      value = typeof setting.default === 'function' ? setting.default(flat) : setting.default;
+      source = { from: 'default', name: null };
+    }
+
+    if (flags[key] !== undefined && setting.fileOnly) {
+      errors.push(`${key}: can only be set in the configuration file`);
+    }
+
+    const checked = checkValue(setting, value, baseDir, flat);
+    if (checked.error) {
+      errors.push(`${key} (${source.name || source.from}): ${checked.error}, got ${JSON.stringify(value)}`);
+      // Keep resolving the settings that default from this one, so every problem is reported at once
+      flat[key] = typeof setting.default === 'function' ? setting.default(flat) : setting.default;
+    } else {
+      flat[key] = checked.value;
+    }
+    sources[key] = source;
+
+    if (setting.after) {
+      try {
+        setting.after(flat);
+      } catch (error) {
+        // Nothing below can be resolved without it (e.g. an unreadable editions file)
+        errors.push(`${key}: ${error.message}`);
+        throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+      }
+    }
+  });
+
+  if (flat['schoolMatching.proposeScore'] > flat['schoolMatching.autoAcceptScore']) {
+    errors.push('schoolMatching.proposeScore: must not be higher than schoolMatching.autoAcceptScore');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const values = {};
+  Object.keys(flat).forEach(key => setPath(values, key, flat[key]));
+  return { values, sources, file: fileUsed };
+}
+
+// Configuration from defaults, the config file and the environment, loaded once per process
+let current = null;
+function getConfig() {
+  if (!current) current = loadConfig();
+  return current;
+}
+
+// Rows for `config show`: every setting with its effective value and source (webhook secrets hidden)
+function describeConfig(loaded) {
+  return SETTINGS.map(setting => {
+    let value = setting.key.split('.').reduce((node, part) => node[part], loaded.values);
+    if (setting.type === 'webhooks') {
+      value = value.map(webhook => (webhook.secret ? { ...webhook, secret: '***' } : webhook));
+    }
+    return {
+      key: setting.key,
+      value: typeof value === 'string' ? value : JSON.stringify(value),
+      source: loaded.sources[setting.key],
+      env: setting.fileOnly ? null : envName(setting.key),
+      flag: setting.fileOnly ? null : setting.flag || null
+    };
+  });
+}
+
+// Command line flags with a dedicated name (--base-url ...), by flag
+const CONFIG_FLAGS = SETTINGS.filter(setting => setting.flag)
+  .reduce((flags, setting) => ({ ...flags, [setting.flag]: setting.key }), {});
+
+module.exports = {
+  DEFAULT_FILE,
+  CONFIG_FLAGS,
+  loadConfig,
+  getConfig,
+  describeConfig,
+  envName
+};
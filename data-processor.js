@@ -3,24 +3,51 @@ const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 const readFileAsync = promisify(fs.readFile);
-const writeFileAsync = promisify(fs.writeFile);
 const mkdirAsync = promisify(fs.mkdir);
+const { writeFileAtomic } = require('./atomic-write');
+const athletics = require('./athletics');
+const { CATEGORY_FIELDS, parseCategory } = require('./category-parser');
+const dataSchema = require('./data-schema');
+const mediaMirror = require('./media-mirror');
+const editionComparison = require('./edition-comparison');
+const runManifests = require('./run-manifest');
+const appConfig = require('./config');
+const logger = require('./logger');
 
 // Import the scraper module
 const scraper = require('./enhanced-scraper');
 
+const log = logger.createLogger('processor');
+
+// Helper function to take the processor's part of the shared settings (see config.js).
+// Each edition's reports go to their own folder; the edition selector and the comparison between
+// editions sit in the reports root.
+function processorSettings(settings) {
+  return {
+    dataDir: settings.outputDir, // where the scraper saved its data
+    reportsRoot: settings.reportsDir,
+    reportsDir: path.join(settings.reportsDir, settings.edition),
+    edition: settings.editionInfo,
+    editions: settings.editions
+  };
+}
+
 // Configuration
 const CONFIG = {
-  dataDir: path.join(__dirname, 'resultados_salesianos_2025'),
-  reportsDir: path.join(__dirname, 'reportes_salesianos'),
+  ...processorSettings(appConfig.getConfig().values),
   exportFormats: ['json', 'csv', 'html']
 };
 
+// Apply a configuration loaded with CLI flags to this module
+function applyConfig(settings) {
+  Object.assign(CONFIG, processorSettings(settings));
+}
+
 // Ensure directory exists
 async function ensureDirectoryExists(dirPath) {
   try {
     await mkdirAsync(dirPath, { recursive: true });
-    console.log(`Directory created: ${dirPath}`);
+    log.debug(`Directory created: ${dirPath}`, { path: dirPath });
   } catch (error) {
     // Ignore if directory already exists
     if (error.code !== 'EEXIST') throw error;
@@ -34,7 +61,7 @@ async function loadJsonFile(fileName) {
     const data = await readFileAsync(filePath, 'utf8');
     return JSON.parse(data);
   } catch (error) {
-    console.error(`Error loading file ${fileName}: ${error.message}`);
+    log.error(`Error loading file ${fileName}: ${error.message}`, { file: fileName, error });
     return null;
   }
 }
@@ -144,6 +171,11 @@ function formatHTMLValue(value) {
     return '';
   }
   
+  // Table cell with a logo (its imgSrc already points to the local copy)
+  if (typeof value === 'object' && value.imgSrc) {
+    return `<img src="${formatHTMLValue(value.imgSrc)}" alt="${formatHTMLValue(value.text)}" class="logo"> ${formatHTMLValue(value.text)}`;
+  }
+  
   if (typeof value === 'object') {
     value = JSON.stringify(value);
   }
@@ -156,6 +188,399 @@ function formatHTMLValue(value) {
     .replace(/'/g, '&#039;');
 }
 
+// Side names shown when the winning team's name is unknown
+const SIDE_LABELS = { home: 'Local', away: 'Visitante' };
+
+// Flatten matches for tables and CSV: the parsed score becomes readable columns
+function formatMatchRows(matches) {
+  const rows = matches.map(match => {
+    const { result, ...row } = match;
+    if (!result) return row;
+    
+    if (!result.parsed) {
+      row.marcadorInterpretado = 'no reconocido';
+      return row;
+    }
+    
+    row.totalLocal = result.home;
+    row.totalVisitante = result.away;
+    row.parciales = result.periods.map(period => `${period.home}-${period.away}`).join(', ');
+    if (result.penalties) {
+      row.penales = `${result.penalties.home}-${result.penalties.away}`;
+    }
+    row.ganadorCalculado = result.winner === 'draw' ? 'Empate' : (result.winnerTeam || SIDE_LABELS[result.winner]);
+    return row;
+  });
+  
+  // Every column that appears in any row, in order of appearance
+  const headers = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+  
+  return { rows, headers };
+}
+
+// Rows of a results table for HTML and CSV: the typed records under the page's own column headers
+// (merged cells expanded), or the raw grid for data scraped before records existed.
+// imageSrc (HTML only) maps each logo to the src to show; without it cells are plain text.
+function formatResultRows(result, imageSrc = null) {
+  if (!result.records) {
+    const rows = imageSrc
+      ? result.data.map(row => row.map(cell => (cell && cell.imgSrc ? { ...cell, imgSrc: imageSrc(cell.imgSrc) } : cell)))
+      : result.data;
+    return { rows, headers: null };
+  }
+  
+  // Repeated labels (two "Equipo" columns) fall back to the record key
+  const labels = result.columns.map(column => column.label || column.key);
+  const headers = labels.map((label, i) => labels.indexOf(label) === i ? label : result.columns[i].key);
+  const hasSections = result.records.some(record => record.section);
+  const hasWinners = result.records.some(record => record.isWinner);
+  
+  const rows = result.records.map(record => {
+    const row = {};
+    if (hasSections) row.seccion = record.section || '';
+    result.columns.forEach((column, i) => {
+      const image = imageSrc && record.images && record.images[column.key];
+      row[headers[i]] = image
+        ? { text: record[column.key] === null || record[column.key] === undefined ? '' : String(record[column.key]), imgSrc: imageSrc(image) }
+        : record[column.key];
+    });
+    if (hasWinners) row.ganador = record.isWinner ? 'Sí' : '';
+    return row;
+  });
+  
+  return {
+    rows,
+    headers: [...(hasSections ? ['seccion'] : []), ...headers, ...(hasWinners ? ['ganador'] : [])]
+  };
+}
+
+// Flatten medal items: a parsed athletics mark becomes a readable column
+function formatMedalRows(items) {
+  return items.map(item => {
+    const { mark, ...row } = item;
+    if (mark) row.marcaNormalizada = athletics.formatMark(mark);
+    return row;
+  });
+}
+
+// Helper function to describe an athletics round ("Final", "Serie 2")
+function formatRound(round, heat) {
+  if (round === 'heat') return heat ? `Serie ${heat}` : 'Serie';
+  if (round === 'semifinal') return 'Semifinal';
+  if (round === 'final') return 'Final';
+  return '';
+}
+
+// Rows of an athletics event ranking (best mark of each athlete across heats and finals)
+function formatAthleticsRanking(event) {
+  return event.performances.map(performance => ({
+    puesto: performance.rank || '',
+    atleta: performance.athlete,
+    colegio: performance.school,
+    marca: athletics.formatMark(performance.mark),
+    viento: performance.mark.wind !== null ? performance.mark.wind : '',
+    vientoIlegal: performance.mark.windAssisted ? 'Sí' : '',
+    ronda: formatRound(performance.round, performance.heat),
+    estado: performance.mark.status === 'OK' ? (performance.mark.parsed ? '' : 'marca no reconocida') : performance.mark.status
+  }));
+}
+
+// Spanish labels for the parsed category fields
+const CATEGORY_LABELS = {
+  gender: { masculino: 'Masculino', femenino: 'Femenino', mixto: 'Mixto' },
+  ageGroup: {
+    'pre-infantil': 'Pre-infantil', mini: 'Mini', infantil: 'Infantil', cadete: 'Cadete',
+    juvenil: 'Juvenil', junior: 'Junior', mayor: 'Mayor'
+  },
+  phase: {
+    grupos: 'Fase de grupos', eliminatoria: 'Eliminatoria', octavos: 'Octavos de final',
+    cuartos: 'Cuartos de final', semifinal: 'Semifinal', 'tercer-lugar': 'Tercer lugar', final: 'Final'
+  }
+};
+
+// Describe an entry's category ("Juvenil · Femenino · Grupo A · Semifinal"); falls back to the raw category text
+function formatCategory(entry) {
+  const parts = [];
+  if (entry.ageGroup) {
+    parts.push(CATEGORY_LABELS.ageGroup[entry.ageGroup] || entry.ageGroup.replace(/^sub/, 'Sub'));
+  }
+  if (entry.gender) parts.push(CATEGORY_LABELS.gender[entry.gender]);
+  if (entry.group) parts.push(`Grupo ${entry.group}`);
+  if (entry.phase && !(entry.phase === 'grupos' && entry.group)) parts.push(CATEGORY_LABELS.phase[entry.phase]);
+  return parts.length > 0 ? parts.join(' · ') : (entry.category || '');
+}
+
+// Helper function to check an entry against the category filters ({ gender, ageGroup, group, phase });
+// an entry that does not say its category never matches a filter on it
+function matchesFilters(entry, filters) {
+  return CATEGORY_FIELDS.every(field => !filters[field] || entry[field] === filters[field]);
+}
+
+// Keep only the result tables, matches, standings, medals and athletics rankings of the filtered categories
+function filterSportData(sport, filters) {
+  const filtered = { ...sport };
+  ['results', 'matches', 'standings', 'medals'].forEach(key => {
+    if (sport[key]) filtered[key] = sport[key].filter(entry => matchesFilters(entry, filters));
+  });
+  if (sport.athletics) {
+    // Rankings span rounds, so only their gender and age group can be filtered
+    const { group, phase, ...divisionFilters } = filters;
+    filtered.athletics = { ...sport.athletics, events: sport.athletics.events.filter(event => matchesFilters(event, divisionFilters)) };
+  }
+  return filtered;
+}
+
+// Helper function to keep only some category fields of an entry
+function pickCategory(entry, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    picked[field] = entry[field] || null;
+  });
+  return picked;
+}
+
+// Group entries by division (age group and gender), in order of first appearance
+function groupByDivision(entries) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const label = formatCategory(pickCategory(entry, ['ageGroup', 'gender']));
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(entry);
+  });
+  return Array.from(groups.entries()).map(([label, items]) => ({ label, items }));
+}
+
+// Helper function to title a table with the parts of its category the title does not already say
+// ("Tabla de posiciones - Juvenil · Masculino")
+function categoryHeading(title, entry) {
+  const named = parseCategory(title);
+  const missing = CATEGORY_FIELDS.filter(field => entry[field] && !named[field]);
+  if (missing.length === 0) {
+    return entry.category && !CATEGORY_FIELDS.some(field => entry[field]) ? `${title} - ${entry.category}` : title;
+  }
+  return `${title} - ${formatCategory(pickCategory(entry, missing))}`;
+}
+
+// Helper function to title a table, noting the page of the PDF bulletin it was read from
+function tableHeading(entry) {
+  const heading = categoryHeading(entry.title, entry);
+  return entry.source === 'pdf' && entry.pdf ? `${heading} (boletín PDF, pág. ${entry.pdf.page})` : heading;
+}
+
+// Sort items by their parsed date (dateISO); undated items keep their order at the end
+function sortByDate(items) {
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => {
+      if (a.item.dateISO && b.item.dateISO) {
+        return a.item.dateISO.localeCompare(b.item.dateISO) || a.index - b.index;
+      }
+      if (a.item.dateISO || b.item.dateISO) return a.item.dateISO ? -1 : 1;
+      return a.index - b.index;
+    })
+    .map(entry => entry.item);
+}
+
+// Helper function to write a calendar day as "sábado, 15 de marzo"
+function formatDayHeading(isoDate) {
+  return new Date(`${isoDate}T12:00:00Z`).toLocaleDateString('es-ES', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    timeZone: 'UTC'
+  });
+}
+
+// Build the index page's match calendar: every dated match of every sport, grouped by day
+function createMatchCalendarHTML(allData) {
+  const days = {};
+  
+  for (const sportName in allData.sports) {
+    (allData.sports[sportName].matches || []).forEach(match => {
+      if (!match.dateISO) return;
+      const day = match.dateISO.slice(0, 10);
+      (days[day] = days[day] || []).push({
+        hora: match.dateISO.length > 10 ? match.dateISO.slice(11, 16) : '',
+        deporte: sportName,
+        categoria: formatCategory(match),
+        partido: match.title || '',
+        equipos: (match.teams || []).join(' vs '),
+        marcador: match.score || '',
+        lugar: match.location || ''
+      });
+    });
+  }
+  
+  const sortedDays = Object.keys(days).sort();
+  if (sortedDays.length === 0) {
+    return '';
+  }
+  
+  let html = '<h2>Calendario de Partidos</h2>';
+  sortedDays.forEach(day => {
+    const rows = days[day].sort((a, b) => a.hora.localeCompare(b.hora));
+    html += convertToHTMLTable(rows, formatDayHeading(day), ['hora', 'deporte', 'categoria', 'partido', 'equipos', 'marcador', 'lugar']);
+  });
+  return html;
+}
+
+// Build the provenance line of a sport page: the page it was parsed from and the run manifest entry
+function createSourceHTML(source) {
+  if (!source) {
+    return '';
+  }
+  const fetchedAt = source.fetchedAt ? `, descargada el ${new Date(source.fetchedAt).toLocaleString('es-ES')}` : '';
+  return `<p><small>Fuente: <a href="${formatHTMLValue(source.url)}">${formatHTMLValue(source.url)}</a>${fetchedAt} ` +
+    `(ejecución ${formatHTMLValue(source.runId)}, ${formatHTMLValue(source.manifest)} #${formatHTMLValue(source.fetchId)})</small></p>`;
+}
+
+// Build the list of PDF bulletins a sport was read from, with the tables taken from each
+function createBulletinsHTML(bulletins) {
+  if (!bulletins || bulletins.length === 0) {
+    return '';
+  }
+  const items = bulletins.map(bulletin => {
+    const link = `<a href="${formatHTMLValue(bulletin.url)}">${formatHTMLValue(bulletin.title || bulletin.url)}</a>`;
+    if (bulletin.error) {
+      return `${link} (no se pudo leer: ${formatHTMLValue(bulletin.error.message)})`;
+    }
+    const tables = bulletin.tables.results + bulletin.tables.standings + bulletin.tables.medals;
+    return `${link} (${tables} ${tables === 1 ? 'tabla' : 'tablas'})`;
+  });
+  return `<p><small>Boletines PDF: ${items.join(', ')}</small></p>`;
+}
+
+// Build the data quality section: dates that could not be read or look wrong
+function createDataQualityHTML(allData) {
+  const issueLabels = {
+    'unparsed': 'Fecha no reconocida',
+    'invalid-date': 'La fecha no existe',
+    'weekday-mismatch': 'El día de la semana no coincide con la fecha'
+  };
+  const rows = [];
+  const collect = (items, source) => {
+    (items || []).forEach(item => {
+      if (!item.dateIssue) return;
+      rows.push({
+        origen: source,
+        elemento: item.title || (item.teams || []).join(' vs ') || '',
+        fecha: item.date,
+        fechaInterpretada: item.dateISO || '',
+        problema: issueLabels[item.dateIssue] || item.dateIssue
+      });
+    });
+  };
+  
+  if (allData.mainPage) {
+    collect(allData.mainPage.news, 'Noticias (inicio)');
+    collect(allData.mainPage.scheduleItems, 'Calendario (inicio)');
+  }
+  for (const sportName in allData.sports) {
+    collect(allData.sports[sportName].matches, `${sportName}: partidos`);
+    collect(allData.sports[sportName].news, `${sportName}: noticias`);
+  }
+  
+  if (rows.length === 0) {
+    return '';
+  }
+  
+  return '<h2>Calidad de Datos</h2>' +
+    '<p>Fechas que no se pudieron interpretar o que parecen incorrectas. Se muestran tal como aparecen en el sitio.</p>' +
+    convertToHTMLTable(rows, 'Fechas con problemas', ['origen', 'elemento', 'fecha', 'fechaInterpretada', 'problema']);
+}
+
+// Build the "recent changes" section of the index page from changes.json
+function createChangesHTML(changes) {
+  if (!changes || changes.baseline) {
+    return '';
+  }
+  
+  const since = changes.previousScrapedAt ? new Date(changes.previousScrapedAt).toLocaleString('es-ES') : 'la ejecución anterior';
+  let html = `<h2>Cambios desde ${formatHTMLValue(since)}</h2>`;
+  
+  if (!changes.hasChanges) {
+    return html + '<div class="notice"><p>Sin cambios en los resultados.</p></div>';
+  }
+  
+  const totals = changes.totals;
+  html += `
+    <div class="notice">
+      <p><strong>Partidos nuevos:</strong> ${totals.newMatches} &nbsp;
+         <strong>Marcadores actualizados:</strong> ${totals.updatedScores} &nbsp;
+         <strong>Nuevos medallistas:</strong> ${totals.newMedalWinners} &nbsp;
+         <strong>Cambios en clasificaciones:</strong> ${totals.standingsChanges} &nbsp;
+         <strong>Eliminados:</strong> ${totals.removed}</p>
+    </div>
+  `;
+  
+  for (const sportName in changes.sports) {
+    const sportChanges = changes.sports[sportName];
+    html += `<h3>${formatHTMLValue(sportName)}</h3>`;
+    
+    if (sportChanges.newMatches.length > 0) {
+      html += convertToHTMLTable(
+        sportChanges.newMatches.map(match => ({
+          partido: match.title || '',
+          equipos: (match.teams || []).join(' vs '),
+          marcador: match.score || ''
+        })),
+        'Partidos nuevos'
+      );
+    }
+    
+    if (sportChanges.updatedScores.length > 0) {
+      html += convertToHTMLTable(
+        sportChanges.updatedScores.map(update => ({
+          partido: update.match.title || '',
+          equipos: (update.match.teams || []).join(' vs '),
+          anterior: update.previousScore,
+          actual: update.score
+        })),
+        'Marcadores actualizados'
+      );
+    }
+    
+    if (sportChanges.newMedalWinners.length > 0) {
+      html += convertToHTMLTable(
+        sportChanges.newMedalWinners.map(item => ({
+          tabla: item.table,
+          posicion: item.position,
+          nombre: item.name,
+          colegio: item.school
+        })),
+        'Nuevos medallistas'
+      );
+    }
+    
+    if (sportChanges.standingsChanges.length > 0) {
+      html += convertToHTMLTable(
+        sportChanges.standingsChanges.map(change => ({
+          tabla: change.table,
+          equipo: change.team,
+          posicion_anterior: change.previousPosition === null ? 'nuevo' : change.previousPosition,
+          posicion: change.position,
+          puntos: change.points
+        })),
+        'Cambios en clasificaciones'
+      );
+    }
+    
+    const removed = sportChanges.removed;
+    const removedCount = removed.matches.length + removed.medals.length + removed.standings.length;
+    if (removedCount > 0) {
+      html += `<p><small>Eliminados desde la última actualización: ${removed.matches.length} partidos, ` +
+              `${removed.medals.length} medallas, ${removed.standings.length} posiciones.</small></p>`;
+    }
+  }
+  
+  return html;
+}
+
 // Create HTML page template
 function createHTMLPage(title, content) {
   return `
@@ -249,6 +674,20 @@ function createHTMLPage(title, content) {
     .nav a:hover {
       background-color: #2874a6;
     }
+    .nav select {
+      padding: 6px 10px;
+      border: 1px solid #3498db;
+      border-radius: 3px;
+    }
+    .hero {
+      max-width: 100%;
+      max-height: 300px;
+      object-fit: cover;
+    }
+    img.logo {
+      height: 24px;
+      vertical-align: middle;
+    }
   </style>
 </head>
 <body>
@@ -260,23 +699,175 @@ function createHTMLPage(title, content) {
   `;
 }
 
-// Process and export all sports data
-async function processAllSportsData() {
+// Helper function to build the edition selector of the navigation bar (editions that have reports)
+function createEditionSelectHTML() {
+  const editions = CONFIG.editions.filter(edition => (
+    edition.id === CONFIG.edition.id || fs.existsSync(path.join(CONFIG.reportsRoot, edition.id, 'index.html'))
+  ));
+  if (editions.length < 2) return '';
+  
+  const options = editions.slice().reverse().map(edition => (
+    `<option value="../${edition.id}/index.html"${edition.id === CONFIG.edition.id ? ' selected' : ''}>${formatHTMLValue(edition.name)}</option>`
+  ));
+  return `<select aria-label="Edición" onchange="location.href = this.value">${options.join('')}</select>`;
+}
+
+// Helper function to load the data of every edition that has been scraped, upgraded to the current version
+async function loadEditionsData() {
+  const scraped = [];
+  for (const edition of CONFIG.editions) {
+    const filePath = path.join(edition.outputDir, 'all_data.json');
+    if (!fs.existsSync(filePath)) continue;
+    try {
+      const { data } = dataSchema.migrateAllData(JSON.parse(await readFileAsync(filePath, 'utf8')));
+      scraped.push({ edition, allData: data });
+    } catch (error) {
+      log.warn(`Leaving edition ${edition.id} out of the comparison: ${error.message}`, { edition: edition.id });
+    }
+  }
+  return scraped;
+}
+
+// Create the edition selector page: every edition, newest first, with a link to its reports
+function createEditionIndexHTML(scraped) {
+  let content = '<div class="nav"><a href="comparacion.html">Comparación entre ediciones</a></div>';
+  content += '<h2>Ediciones</h2><ul>';
+  
+  CONFIG.editions.slice().reverse().forEach(edition => {
+    const data = scraped.find(entry => entry.edition.id === edition.id);
+    const hasReports = fs.existsSync(path.join(CONFIG.reportsRoot, edition.id, 'index.html'));
+    const name = hasReports
+      ? `<a href="${edition.id}/index.html">${formatHTMLValue(edition.name)}</a>`
+      : formatHTMLValue(edition.name);
+    const status = [
+      data ? `actualizado el ${new Date(data.allData.metadata.scrapedAt).toLocaleString('es-ES')}` : 'sin datos extraídos',
+      ...(hasReports ? [] : ['sin reportes'])
+    ];
+    content += `<li>${name} <small>(${status.join(', ')})</small></li>`;
+  });
+  
+  content += '</ul>';
+  return content;
+}
+
+// Create the year-over-year comparison: medals per school and champions per sport and division
+function createComparisonHTML(comparison) {
+  const { editions, medals, champions } = comparison;
+  let content = '<div class="nav"><a href="index.html">Ediciones</a></div>';
+  
+  if (editions.length < 2) {
+    content += '<div class="notice"><p>La comparación necesita los datos de al menos dos ediciones ' +
+               `(hay ${editions.length}).</p></div>`;
+  }
+  
+  const ids = editions.map(edition => edition.id);
+  const latest = ids[ids.length - 1];
+  const previous = ids[ids.length - 2];
+  
+  // One column per edition with "oro / plata / bronce (total)", and the change in the total
+  content += '<h2>Medallero por colegio</h2>';
+  content += '<p><small>Oro / Plata / Bronce (total) de cada edición.</small></p>';
+  const medalRows = medals.map(row => {
+    const cells = { colegio: row.name };
+    ids.forEach(id => {
+      const count = row.byEdition[id];
+      cells[id] = `${count.gold} / ${count.silver} / ${count.bronze} (${count.total})`;
+    });
+    if (previous) {
+      const change = row.byEdition[latest].total - row.byEdition[previous].total;
+      cells.variacion = change > 0 ? `+${change}` : String(change);
+    }
+    return cells;
+  });
+  content += convertToHTMLTable(medalRows, 'Medallas', ['colegio', ...ids, ...(previous ? ['variacion'] : [])]);
+  
+  // The champion of each edition; a champion taken from a standings table is marked as such
+  content += '<h2>Campeones por disciplina</h2>';
+  const championRows = champions.map(row => {
+    const cells = {
+      disciplina: row.sport,
+      division: formatCategory({ ageGroup: row.ageGroup, gender: row.gender }) || 'General'
+    };
+    ids.forEach(id => {
+      const champion = row.byEdition[id];
+      cells[id] = champion ? `${champion.name}${champion.source === 'standings' ? ' (clasificación)' : ''}` : '';
+    });
+    return cells;
+  });
+  content += convertToHTMLTable(championRows, 'Campeones', ['disciplina', 'division', ...ids]);
+  
+  return content;
+}
+
+// Write the edition selector (index.html) and the comparison between editions (comparacion.html)
+// to the reports root, from the data of every edition scraped so far
+async function writeEditionPages() {
+  const scraped = await loadEditionsData();
+  const comparison = editionComparison.compareEditions(scraped);
+  
+  await writeFileAtomic(
+    path.join(CONFIG.reportsRoot, 'index.html'),
+    createHTMLPage('Juegos Nacionales Salesianos', createEditionIndexHTML(scraped))
+  );
+  await writeFileAtomic(
+    path.join(CONFIG.reportsRoot, 'comparacion.html'),
+    createHTMLPage('Juegos Nacionales Salesianos - Comparación entre ediciones', createComparisonHTML(comparison))
+  );
+  log.info(`Edition selector and comparison of ${scraped.length} editions saved to ${CONFIG.reportsRoot}`, {
+    editions: scraped.map(entry => entry.edition.id)
+  });
+}
+
+// Process and export all sports data.
+// options.filters ({ gender, ageGroup, group, phase }) limits the reports to those categories.
+async function processAllSportsData(options = {}) {
+  const filters = options.filters || {};
+  const activeFilters = CATEGORY_FIELDS.filter(field => filters[field]);
+  const startTime = Date.now();
+  
   try {
-    console.log('Processing all sports data...');
+    log.info('Processing all sports data...', { edition: CONFIG.edition.id });
     
     // Ensure reports directory exists
     await ensureDirectoryExists(CONFIG.reportsDir);
     
-    // Load the combined data file
-    const allData = await loadJsonFile('all_data.json');
-    if (!allData) {
+    // Load the combined data file, upgrade older or legacy versions and check it against the schema
+    const storedData = await loadJsonFile('all_data.json');
+    if (!storedData) {
       throw new Error('Failed to load all_data.json file');
     }
     
+    const { data: allData, from, steps } = dataSchema.migrateAllData(storedData);
+    if (steps.length > 0) {
+      log.info(`Upgraded all_data.json from version ${from} to ${dataSchema.CURRENT_VERSION} ` +
+               `(${steps.join(', ')}); run the "migrate" command to rewrite the files`, { from, to: dataSchema.CURRENT_VERSION });
+    }
+    
+    const schemaErrors = dataSchema.validate('all-data.schema.json', allData);
+    if (schemaErrors.length > 0) {
+      throw new Error(`all_data.json does not match all-data.schema.json (${schemaErrors.length} problems):\n  - ` +
+                      schemaErrors.slice(0, 20).join('\n  - ') + (schemaErrors.length > 20 ? '\n  - ...' : ''));
+    }
+    
+    // Images are served from the local copies the scraper mirrored, so the reports work offline
+    const media = await mediaMirror.createReportMedia(
+      path.join(CONFIG.dataDir, 'media'),
+      path.join(CONFIG.reportsDir, 'media')
+    );
+    const baseUrl = allData.metadata.config ? allData.metadata.config.baseUrl : null;
+    
+    // Narrow every sport to the requested categories
+    if (activeFilters.length > 0) {
+      log.info(`Filtering reports by ${activeFilters.map(field => `${field}=${filters[field]}`).join(', ')}`, { filters });
+      for (const sportName in allData.sports) {
+        allData.sports[sportName] = filterSportData(allData.sports[sportName], filters);
+      }
+    }
+    
     // Create navigation links for HTML reports
     const navLinks = [
       '<div class="nav">',
+      '<a href="../index.html">Ediciones</a>',
       '<a href="index.html">Inicio</a>'
     ];
     
@@ -285,6 +876,7 @@ async function processAllSportsData() {
       navLinks.push(`<a href="${sportFileName}.html">${sportName}</a>`);
     }
     
+    navLinks.push(createEditionSelectHTML());
     navLinks.push('</div>');
     const navigationHTML = navLinks.join('\n');
     
@@ -293,16 +885,29 @@ async function processAllSportsData() {
     
     // Add event information
     if (allData.mainPage && allData.mainPage.generalInfo) {
+      if (allData.mainPage.generalInfo.heroImage) {
+        indexContent += `<img src="${formatHTMLValue(media.src(allData.mainPage.generalInfo.heroImage, baseUrl))}" alt="" class="hero">`;
+      }
       indexContent += `
         <div class="notice">
           <h2>Información General</h2>
-          <p><strong>Evento:</strong> ${allData.mainPage.generalInfo.title || 'Juegos Nacionales Salesianos 2025'}</p>
+          <p><strong>Evento:</strong> ${allData.mainPage.generalInfo.title || CONFIG.edition.name}</p>
           <p><strong>Descripción:</strong> ${allData.mainPage.generalInfo.description || 'Información no disponible'}</p>
           <p><strong>Última actualización:</strong> ${new Date(allData.metadata.scrapedAt).toLocaleString('es-ES')}</p>
         </div>
       `;
     }
     
+    // Say which categories the reports are limited to
+    if (activeFilters.length > 0) {
+      indexContent += `<div class="notice"><p><strong>Reportes filtrados por categoría:</strong> ${formatHTMLValue(formatCategory(filters))}</p></div>`;
+    }
+    
+    // Add changes since the previous run if available
+    if (fs.existsSync(path.join(CONFIG.dataDir, 'changes.json'))) {
+      indexContent += createChangesHTML(await loadJsonFile('changes.json'));
+    }
+    
     // Add announcements if available
     if (allData.mainPage && allData.mainPage.announcements && allData.mainPage.announcements.length > 0) {
       indexContent += `<h2>Anuncios</h2>`;
@@ -335,14 +940,17 @@ async function processAllSportsData() {
       indexContent += `<h2>Calendario de Eventos</h2>`;
       
       const scheduleHTML = convertToHTMLTable(
-        allData.mainPage.scheduleItems,
+        sortByDate(allData.mainPage.scheduleItems),
         'Próximos Eventos',
-        ['title', 'date', 'location', 'description']
+        ['title', 'date', 'dateISO', 'location', 'description']
       );
       
       indexContent += scheduleHTML;
     }
     
+    // Add every sport's matches grouped by day
+    indexContent += createMatchCalendarHTML(allData);
+    
     // Add standings if available
     if (allData.mainPage && allData.mainPage.standings && allData.mainPage.standings.length > 0) {
       indexContent += `<h2>Clasificaciones Generales</h2>`;
@@ -369,9 +977,12 @@ async function processAllSportsData() {
     
     indexContent += `</ul>`;
     
+    // Add data quality issues (unreadable dates) if any
+    indexContent += createDataQualityHTML(allData);
+    
     // Save index HTML
-    const indexHTML = createHTMLPage('Juegos Nacionales Salesianos 2025', indexContent);
-    await writeFileAsync(path.join(CONFIG.reportsDir, 'index.html'), indexHTML);
+    const indexHTML = createHTMLPage(CONFIG.edition.name, indexContent);
+    await writeFileAtomic(path.join(CONFIG.reportsDir, 'index.html'), indexHTML);
     
     // Process each sport
     for (const sportName in allData.sports) {
@@ -382,10 +993,16 @@ async function processAllSportsData() {
       let sportContent = navigationHTML;
       
       // Add sport information
+      const pageUrl = sport.sportInfo.url || baseUrl;
+      if (sport.sportInfo.heroImage) {
+        sportContent += `<img src="${formatHTMLValue(media.src(sport.sportInfo.heroImage, pageUrl))}" alt="" class="hero">`;
+      }
       sportContent += `
         <div class="notice">
           <h2>${sport.sportInfo.title || sportName}</h2>
           <p>${sport.sportInfo.description || ''}</p>
+          ${sport.sportInfo.error ? '' : createSourceHTML(sport.sportInfo.source)}
+          ${sport.sportInfo.error ? '' : createBulletinsHTML(sport.sportInfo.bulletins)}
         </div>
       `;
       
@@ -394,10 +1011,11 @@ async function processAllSportsData() {
         sportContent += `<h2>Resultados</h2>`;
         
         sport.results.forEach(result => {
+          const resultRows = formatResultRows(result, src => media.src(src, pageUrl));
           const resultHTML = convertToHTMLTable(
-            result.data,
-            result.title,
-            null // Use the first row as headers
+            resultRows.rows,
+            tableHeading(result),
+            resultRows.headers
           );
           
           sportContent += resultHTML;
@@ -405,10 +1023,10 @@ async function processAllSportsData() {
         
         // Save results as CSV
         for (let i = 0; i < sport.results.length; i++) {
-          const result = sport.results[i];
-          const csvData = convertToCSV(result.data);
+          const resultRows = formatResultRows(sport.results[i]);
+          const csvData = convertToCSV(resultRows.rows, resultRows.headers);
           const csvFileName = `${sportFileName}_resultados_${i+1}.csv`;
-          await writeFileAsync(path.join(CONFIG.reportsDir, csvFileName), csvData);
+          await writeFileAtomic(path.join(CONFIG.reportsDir, csvFileName), csvData);
         }
       }
       
@@ -416,18 +1034,26 @@ async function processAllSportsData() {
       if (sport.matches && sport.matches.length > 0) {
         sportContent += `<h2>Partidos/Eventos</h2>`;
         
-        const matchesHTML = convertToHTMLTable(
-          sport.matches,
-          'Partidos',
-          Object.keys(sport.matches[0])
-        );
-        
-        sportContent += matchesHTML;
+        // One table per division (age group and gender) with the group or phase as a column;
+        // the CSV keeps every category field as its own column
+        const matchRows = formatMatchRows(sortByDate(sport.matches));
+        const hasStage = sport.matches.some(match => match.group || match.phase);
+        const htmlHeaders = [
+          ...(hasStage ? ['fase'] : []),
+          ...matchRows.headers.filter(header => !CATEGORY_FIELDS.includes(header))
+        ];
+        groupByDivision(sortByDate(sport.matches)).forEach(group => {
+          const groupRows = formatMatchRows(group.items).rows.map(row => ({
+            fase: formatCategory(pickCategory(row, ['group', 'phase'])),
+            ...row
+          }));
+          sportContent += convertToHTMLTable(groupRows, group.label ? `Partidos - ${group.label}` : 'Partidos', htmlHeaders);
+        });
         
         // Save matches as CSV
-        const csvData = convertToCSV(sport.matches, Object.keys(sport.matches[0]));
+        const csvData = convertToCSV(matchRows.rows, matchRows.headers);
         const csvFileName = `${sportFileName}_partidos.csv`;
-        await writeFileAsync(path.join(CONFIG.reportsDir, csvFileName), csvData);
+        await writeFileAtomic(path.join(CONFIG.reportsDir, csvFileName), csvData);
       }
       
       // Add standings if available
@@ -435,7 +1061,7 @@ async function processAllSportsData() {
         sportContent += `<h2>Clasificaciones</h2>`;
         
         sport.standings.forEach(standing => {
-          sportContent += `<h3>${standing.title}${standing.category ? ' - ' + standing.category : ''}</h3>`;
+          sportContent += `<h3>${tableHeading(standing)}</h3>`;
           
           const standingHTML = convertToHTMLTable(
             standing.teams,
@@ -451,7 +1077,7 @@ async function processAllSportsData() {
           const standing = sport.standings[i];
           const csvData = convertToCSV(standing.teams, Object.keys(standing.teams[0]));
           const csvFileName = `${sportFileName}_clasificacion_${i+1}.csv`;
-          await writeFileAsync(path.join(CONFIG.reportsDir, csvFileName), csvData);
+          await writeFileAtomic(path.join(CONFIG.reportsDir, csvFileName), csvData);
         }
       }
       
@@ -460,12 +1086,13 @@ async function processAllSportsData() {
         sportContent += `<h2>Medallero</h2>`;
         
         sport.medals.forEach(medal => {
-          sportContent += `<h3>${medal.title}</h3>`;
+          sportContent += `<h3>${tableHeading(medal)}</h3>`;
           
+          const medalRows = formatMedalRows(medal.items);
           const medalHTML = convertToHTMLTable(
-            medal.items,
+            medalRows,
             '',
-            Object.keys(medal.items[0])
+            Object.keys(medalRows[0])
           );
           
           sportContent += medalHTML;
@@ -473,10 +1100,31 @@ async function processAllSportsData() {
         
         // Save medals as CSV
         for (let i = 0; i < sport.medals.length; i++) {
-          const medal = sport.medals[i];
-          const csvData = convertToCSV(medal.items, Object.keys(medal.items[0]));
+          const medalRows = formatMedalRows(sport.medals[i].items);
+          const csvData = convertToCSV(medalRows, Object.keys(medalRows[0]));
           const csvFileName = `${sportFileName}_medallero_${i+1}.csv`;
-          await writeFileAsync(path.join(CONFIG.reportsDir, csvFileName), csvData);
+          await writeFileAtomic(path.join(CONFIG.reportsDir, csvFileName), csvData);
+        }
+      }
+      
+      // Add athletics rankings if available
+      if (sport.athletics && sport.athletics.events.length > 0) {
+        sportContent += `<h2>Ranking por prueba</h2>`;
+        
+        for (let i = 0; i < sport.athletics.events.length; i++) {
+          const event = sport.athletics.events[i];
+          const rankingRows = formatAthleticsRanking(event);
+          const rounds = event.rounds.map(round => formatRound(round.round, round.heat)).filter(Boolean);
+          
+          sportContent += `<h3>${formatHTMLValue(event.name)}</h3>`;
+          if (rounds.length > 1) {
+            sportContent += `<p><small>Mejor marca de cada atleta en: ${formatHTMLValue(rounds.join(', '))}</small></p>`;
+          }
+          sportContent += convertToHTMLTable(rankingRows, '', Object.keys(rankingRows[0] || {}));
+          
+          const csvData = convertToCSV(rankingRows, Object.keys(rankingRows[0] || {}));
+          const csvFileName = `${sportFileName}_ranking_${i+1}.csv`;
+          await writeFileAtomic(path.join(CONFIG.reportsDir, csvFileName), csvData);
         }
       }
       
@@ -504,7 +1152,7 @@ async function processAllSportsData() {
         sport.gallery.forEach(image => {
           sportContent += `
             <div style="margin-bottom: 15px; text-align: center;">
-              <img src="${image.url}" alt="${image.title}" style="max-width: 200px; max-height: 150px; object-fit: cover;">
+              <img src="${formatHTMLValue(media.src(image.url, pageUrl))}" alt="${formatHTMLValue(image.title)}" style="max-width: 200px; max-height: 150px; object-fit: cover;">
               ${image.caption ? `<p><small>${image.caption}</small></p>` : ''}
             </div>
           `;
@@ -514,28 +1162,98 @@ async function processAllSportsData() {
       }
       
       // Save sport HTML
-      const sportHTML = createHTMLPage(`${sportName} - Juegos Nacionales Salesianos 2025`, sportContent);
-      await writeFileAsync(path.join(CONFIG.reportsDir, `${sportFileName}.html`), sportHTML);
+      const sportHTML = createHTMLPage(`${sportName} - ${CONFIG.edition.name}`, sportContent);
+      await writeFileAtomic(path.join(CONFIG.reportsDir, `${sportFileName}.html`), sportHTML);
       
-      console.log(`Processed ${sportName} data`);
+      log.info(`Processed ${sportName} data`, { sport: sportName });
     }
     
-    console.log(`Data processing complete. Reports saved to ${CONFIG.reportsDir}`);
+    const copied = await media.copy();
+    if (copied > 0) {
+      log.info(`Copied ${copied} mirrored images to ${path.join(CONFIG.reportsDir, 'media')}`, { images: copied });
+    }
+    
+    await writeEditionPages();
+    
+    // Note the report generation in the manifest of the run that produced the data
+    const durationMs = Date.now() - startTime;
+    if (allData.metadata.manifest) {
+      const recorded = await runManifests.recordReportGeneration(CONFIG.dataDir, allData.metadata.manifest, {
+        runId: logger.getRunId(),
+        durationMs,
+        reportsDir: CONFIG.reportsDir,
+        filters: activeFilters.length > 0 ? filters : null
+      });
+      if (!recorded) {
+        log.debug(`Run manifest ${allData.metadata.manifest} not found, report generation not recorded`, { manifest: allData.metadata.manifest });
+      }
+    }
+    
+    log.info(`Data processing complete. Reports saved to ${CONFIG.reportsDir}`, {
+      reportsDir: CONFIG.reportsDir,
+      durationMs
+    });
     return true;
   } catch (error) {
-    console.error('Error processing data:', error);
+    log.error(`Error processing data: ${error.message}`, { error, durationMs: Date.now() - startTime });
     return false;
   }
 }
 
+// Rewrite the data directory in the current version: all_data.json, main_page.json and every
+// per-sport file. Returns { from, steps, files } (files lists what was rewritten).
+async function migrateDataFiles() {
+  const storedData = await loadJsonFile('all_data.json');
+  if (!storedData) {
+    throw new Error('Failed to load all_data.json file');
+  }
+  
+  const { data: allData, from, steps } = dataSchema.migrateAllData(storedData);
+  if (steps.length === 0) {
+    return { from, steps, files: [] };
+  }
+  
+  const schemaErrors = dataSchema.validate('all-data.schema.json', allData);
+  if (schemaErrors.length > 0) {
+    throw new Error(`Migrated all_data.json still does not match the schema:\n  - ${schemaErrors.slice(0, 20).join('\n  - ')}`);
+  }
+  
+  const writeJson = (fileName, data) => writeFileAtomic(path.join(CONFIG.dataDir, fileName), JSON.stringify(data, null, 2));
+  const files = [];
+  
+  // Per-sport files and main_page.json carry no version; they are as old as all_data.json
+  if (fs.existsSync(path.join(CONFIG.dataDir, 'main_page.json'))) {
+    const mainPage = await loadJsonFile('main_page.json');
+    if (mainPage) {
+      await writeJson('main_page.json', dataSchema.migrateMainPage(mainPage, from));
+      files.push('main_page.json');
+    }
+  }
+  for (const sportName in allData.sports) {
+    const fileName = `${sportName.toLowerCase().replace(/\s+/g, '_')}.json`;
+    if (!fs.existsSync(path.join(CONFIG.dataDir, fileName))) continue;
+    const sportData = await loadJsonFile(fileName);
+    if (sportData) {
+      await writeJson(fileName, dataSchema.migrateSportData(sportData, from, sportName));
+      files.push(fileName);
+    }
+  }
+  
+  await writeJson('all_data.json', allData);
+  files.push('all_data.json');
+  
+  log.info(`Migrated ${files.length} files from version ${from} to ${dataSchema.CURRENT_VERSION}`, { from, files });
+  return { from, steps, files };
+}
+
 // Main function to run scraper and process data
 async function runScraperAndProcessData() {
   try {
-    console.log('Starting the scraping and data processing...');
+    log.info('Starting the scraping and data processing...');
     
     // Run the scraper
     const summary = await scraper.runScraper();
-    console.log('Scraping completed with summary:', summary);
+    log.info('Scraping completed', { summary });
     
     // Process the scraped data
     const processed = await processAllSportsData();
@@ -558,7 +1276,7 @@ CSV exports for each sport are also available in the reports directory.
     
     return { success: true };
   } catch (error) {
-    console.error('Fatal error in scraping or processing:', error);
+    log.error(`Fatal error in scraping or processing: ${error.message}`, { error });
     return { success: false, error: error.message };
   }
 }
@@ -574,14 +1292,16 @@ if (require.main === module) {
       }
     })
     .catch(error => {
-      console.error('Process failed with error:', error);
+      log.error(`Process failed with error: ${error.message}`, { error });
       process.exit(1);
     });
 } else {
   // Export functions for use as a module
   module.exports = {
     processAllSportsData,
+    migrateDataFiles,
     runScraperAndProcessData,
+    applyConfig,
     CONFIG
   };
 }
@@ -0,0 +1,272 @@
+// data-schema.js
+const { parseCategory } = require('./category-parser');
+
+// Version written to all_data.json metadata by the current scraper
+const CURRENT_VERSION = '1.2.0';
+
+// Published schemas, by $id (references between them use these ids)
+const SCHEMAS = new Map([
+  require('./all-data.schema.json'),
+  require('./sport-data.schema.json'),
+  require('./summary.schema.json')
+].map(schema => [schema.$id, schema]));
+
+// Helper function to name the JSON type of a value ('integer' is reported as 'number')
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Helper function to check a value against one JSON Schema type name
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return typeOf(value) === 'object';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+// Helper function to escape a property name for a JSON pointer
+function pointerPart(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Resolve a $ref ("#/$defs/match", "sport-data.schema.json", "sport-data.schema.json#/$defs/dated")
+// against the document it appears in; returns the target schema and its document
+function resolveRef(ref, root) {
+  const [file, fragment] = ref.split('#');
+  const document = file ? SCHEMAS.get(file) : root;
+  if (!document) throw new Error(`Unknown schema reference: ${ref}`);
+
+  let target = document;
+  (fragment || '').split('/').filter(Boolean).forEach(part => {
+    target = target && target[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+  });
+  if (!target) throw new Error(`Unknown schema reference: ${ref}`);
+  return { schema: target, root: document };
+}
+
+// Validate a value against the subset of JSON Schema (2020-12) the published schemas use:
+// $ref, allOf, anyOf, type, const, enum, required, properties, additionalProperties, items,
+// minItems and minimum. Problems are pushed to `errors` as "<pointer>: <message>".
+function validateNode(schema, value, pointer, root, errors) {
+  if (schema === true) return;
+
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, root);
+    validateNode(resolved.schema, value, pointer, resolved.root, errors);
+  }
+
+  (schema.allOf || []).forEach(part => validateNode(part, value, pointer, root, errors));
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateNode(option, value, pointer, root, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) errors.push(`${pointer || '/'}: does not match any allowed shape`);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => hasType(value, type))) {
+      errors.push(`${pointer || '/'}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${pointer || '/'}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer || '/'}: ${JSON.stringify(value)} is not one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${pointer || '/'}: must be at least ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    // Undefined properties are left out of the JSON, so they count as absent
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${pointer || '/'}: missing required property "${key}"`);
+    });
+    Object.keys(value).filter(key => value[key] !== undefined).forEach(key => {
+      const childPointer = `${pointer}/${pointerPart(key)}`;
+      if (schema.properties && schema.properties[key]) {
+        validateNode(schema.properties[key], value[key], childPointer, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer || '/'}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, value[key], childPointer, root, errors);
+      }
+    });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${pointer || '/'}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(schema.items, item, `${pointer}/${i}`, root, errors));
+    }
+  }
+}
+
+// Validate data against a published schema ('all-data.schema.json', ...); returns the list of problems
+function validate(schemaId, data) {
+  const schema = SCHEMAS.get(schemaId);
+  if (!schema) throw new Error(`Unknown schema: ${schemaId}`);
+
+  const errors = [];
+  validateNode(schema, data, '', schema, errors);
+  return errors;
+}
+
+// Tell which version an all_data.json is: its metadata.version, or 'legacy' for the shape written
+// by web-scraper.js (top-level scrapedAt, no metadata)
+function detectVersion(allData) {
+  if (allData && allData.metadata && allData.metadata.version) return allData.metadata.version;
+  return 'legacy';
+}
+
+// legacy -> 1.0.0: web-scraper.js keyed sports by `sportInfo.sport`, stored the score in
+// `matches[].result`, left failed sports as null and called the main page news "highlights"
+const legacyMigration = {
+  from: 'legacy',
+  to: '1.0.0',
+  sport(sportData, sportName) {
+    if (!sportData) {
+      return { sportInfo: { name: sportName, error: 'No data saved by the legacy scraper' } };
+    }
+    const { sport, ...sportInfo } = sportData.sportInfo || {};
+    const migrated = { ...sportData, sportInfo: { name: sport || sportName, ...sportInfo } };
+    if (sportData.matches) {
+      migrated.matches = sportData.matches.map(match => {
+        if (typeof match.result !== 'string') return match;
+        const { result, ...rest } = match;
+        return { score: result, ...rest };
+      });
+    }
+    return migrated;
+  },
+  mainPage(mainPage) {
+    const { highlights, ...rest } = mainPage;
+    return {
+      announcements: [],
+      news: highlights || [],
+      scheduleItems: [],
+      standings: [],
+      ...rest
+    };
+  },
+  allData(allData) {
+    const { scrapedAt, ...rest } = allData;
+    return { ...rest, metadata: { scrapedAt: scrapedAt || new Date().toISOString(), version: '1.0.0' } };
+  }
+};
+
+// 1.0.0 -> 1.1.0: sport errors became { kind, status, attempts, url, message }
+const errorInfoMigration = {
+  from: '1.0.0',
+  to: '1.1.0',
+  sport(sportData) {
+    const error = sportData.sportInfo && sportData.sportInfo.error;
+    if (typeof error !== 'string') return sportData;
+    return {
+      ...sportData,
+      sportInfo: {
+        ...sportData.sportInfo,
+        error: { kind: 'unknown', status: null, attempts: null, url: sportData.sportInfo.url || null, message: error }
+      }
+    };
+  }
+};
+
+// 1.1.0 -> 1.2.0: result tables, matches, standings and medals carry gender, ageGroup, group and phase
+const categoryMigration = {
+  from: '1.1.0',
+  to: '1.2.0',
+  sport(sportData) {
+    const migrated = { ...sportData };
+    ['results', 'matches', 'standings', 'medals'].forEach(key => {
+      if (!sportData[key]) return;
+      migrated[key] = sportData[key].map(entry => (
+        'gender' in entry ? entry : { ...entry, ...parseCategory(entry.category, entry.title) }
+      ));
+    });
+    return migrated;
+  }
+};
+
+// Every migration in order; each upgrades one version to the next
+const MIGRATIONS = [legacyMigration, errorInfoMigration, categoryMigration];
+
+// Helper function to find the migrations needed to bring a version up to date
+function migrationsFrom(version) {
+  if (version === CURRENT_VERSION) return [];
+  const start = MIGRATIONS.findIndex(migration => migration.from === version);
+  if (start === -1) {
+    throw new Error(`Unknown data version "${version}" (this tool reads up to ${CURRENT_VERSION})`);
+  }
+  return MIGRATIONS.slice(start);
+}
+
+// Helper function to run one migration on a sport (failed legacy sports are null)
+function migrateSport(migration, sportData, sportName) {
+  if (!migration.sport || (!sportData && migration.from !== 'legacy')) return sportData;
+  return migration.sport(sportData, sportName);
+}
+
+// Helper function to run one migration on the main page data (null when the main page failed)
+function migrateMainPageStep(migration, mainPage) {
+  return migration.mainPage && mainPage ? migration.mainPage(mainPage) : mainPage;
+}
+
+// Upgrade one sport's data (a per-sport file or an all_data.json entry) from `version`
+function migrateSportData(sportData, version, sportName = null) {
+  return migrationsFrom(version).reduce((data, migration) => migrateSport(migration, data, sportName), sportData);
+}
+
+// Upgrade main_page.json (or the mainPage of all_data.json) from `version`
+function migrateMainPage(mainPage, version) {
+  return migrationsFrom(version).reduce((data, migration) => migrateMainPageStep(migration, data), mainPage);
+}
+
+// Upgrade a whole all_data.json to the current version (the input is not modified).
+// Returns { data, from, steps } where steps lists the versions passed ("legacy -> 1.0.0", ...).
+function migrateAllData(allData) {
+  const from = detectVersion(allData);
+  const migrations = migrationsFrom(from);
+  if (migrations.length === 0) return { data: allData, from, steps: [] };
+
+  const data = migrations.reduce((current, migration) => {
+    const upgraded = migration.allData ? migration.allData(current) : { ...current };
+    const sports = {};
+    Object.keys(upgraded.sports || {}).forEach(sportName => {
+      sports[sportName] = migrateSport(migration, upgraded.sports[sportName], sportName);
+    });
+    return {
+      ...upgraded,
+      mainPage: migrateMainPageStep(migration, upgraded.mainPage || null),
+      sports,
+      metadata: { ...upgraded.metadata, version: migration.to }
+    };
+  }, allData);
+
+  data.metadata.migratedFrom = from;
+  return { data, from, steps: migrations.map(migration => `${migration.from} -> ${migration.to}`) };
+}
+
+module.exports = {
+  CURRENT_VERSION,
+  validate,
+  detectVersion,
+  migrateAllData,
+  migrateSportData,
+  migrateMainPage
+};
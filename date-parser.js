@@ -0,0 +1,231 @@
+// date-parser.js
+
+const MONTHS = {
+  enero: 1, ene: 1,
+  febrero: 2, feb: 2,
+  marzo: 3, mar: 3,
+  abril: 4, abr: 4,
+  mayo: 5, may: 5,
+  junio: 6, jun: 6,
+  julio: 7, jul: 7,
+  agosto: 8, ago: 8,
+  septiembre: 9, setiembre: 9, sept: 9, sep: 9, set: 9,
+  octubre: 10, oct: 10,
+  noviembre: 11, nov: 11,
+  diciembre: 12, dic: 12
+};
+
+// 0 = Sunday, as in Date#getUTCDay
+const WEEKDAYS = {
+  domingo: 0, dom: 0,
+  lunes: 1, lun: 1,
+  martes: 2, mar: 2,
+  miercoles: 3, mie: 3,
+  jueves: 4, jue: 4,
+  viernes: 5, vie: 5,
+  sabado: 6, sab: 6
+};
+
+const MONTH_NAMES = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const WEEKDAY_NAMES = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|');
+
+// Helper function to normalise a date text ("Sábado 15 de Marzo" -> "sabado 15 de marzo")
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Helper function to pad a number to two digits
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Offset (minutes east of UTC) of a time zone at a given instant
+function getOffsetMinutes(utcMillis, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(utcMillis)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(utcMillis / 1000) * 1000) / 60000);
+}
+
+// Helper function to format an offset in minutes as "-04:00"
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+// Calendar date and time of an instant in a time zone
+function toZonedParts(utcMillis, timeZone) {
+  const local = new Date(utcMillis + getOffsetMinutes(utcMillis, timeZone) * 60000);
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes()
+  };
+}
+
+// ISO 8601 text for a wall-clock date/time in a time zone ("2025-03-15T15:00:00-04:00")
+function toZonedISO({ year, month, day, hour, minute }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffsetMinutes(wallClock - getOffsetMinutes(wallClock, timeZone) * 60000, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:00${formatOffset(offset)}`;
+}
+
+// Find a time of day: "3:00 p.m.", "3 pm", "15:00", "15h00", "10:30 a. m.", "mediodía"
+function parseTime(text) {
+  if (/\bmediodia\b/.test(text)) return { hour: 12, minute: 0, match: 'mediodia' };
+
+  const match = text.match(/\b(\d{1,2})(?:\s*[:h.]\s*(\d{2}))?\s*(a\.?\s*m\.?|p\.?\s*m\.?)(?=\W|$)/) ||
+    text.match(/\b(\d{1,2})\s*[:h]\s*(\d{2})(?:\s*(?:hrs?|horas)\.?)?(?!\s*\d|\/)/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] ? match[3].replace(/[\s.]/g, '') : null;
+
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+
+  return { hour, minute, match: match[0] };
+}
+
+// Helper function to expand a two-digit year ("25" -> 2025)
+function fullYear(year) {
+  return year < 100 ? 2000 + year : year;
+}
+
+// Find a calendar date: "15 de marzo (de 2025)", "15-mar", "marzo 15", "15/03(/2025)", "2025-03-15"
+function parseCalendarDate(text) {
+  let match;
+
+  if ((match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+    return { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10), match: match[0] };
+  }
+  if ((match = text.match(/\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?\b/))) {
+    return {
+      year: match[3] ? fullYear(parseInt(match[3], 10)) : null,
+      month: parseInt(match[2], 10),
+      day: parseInt(match[1], 10),
+      match: match[0]
+    };
+  }
+
+  const dayMonth = new RegExp(`\\b(\\d{1,2})\\s*(?:de\\s*|-\\s*)?(${MONTH_NAMES})\\.?(?![a-z])(?:,?\\s*(?:de(?:l)?\\s*|-)?(\\d{4}))?`);
+  if ((match = text.match(dayMonth))) {
+    return {
+      year: match[3] ? parseInt(match[3], 10) : null,
+      month: MONTHS[match[2]],
+      day: parseInt(match[1], 10),
+      match: match[0]
+    };
+  }
+
+  const monthDay = new RegExp(`\\b(${MONTH_NAMES})\\.?\\s+(\\d{1,2})(?!\\d)(?:,?\\s*(?:de(?:l)?\\s*)?(\\d{4}))?`);
+  if ((match = text.match(monthDay))) {
+    return {
+      year: match[3] ? parseInt(match[3], 10) : null,
+      month: MONTHS[match[1]],
+      day: parseInt(match[2], 10),
+      match: match[0]
+    };
+  }
+
+  return null;
+}
+
+// Dates relative to the scrape: "hoy", "ayer", "mañana", "hace 3 horas", "hace 2 días"
+function parseRelativeDate(text, referenceDate, timeZone) {
+  const reference = referenceDate.getTime();
+  let match;
+
+  if ((match = text.match(/\bhace\s+(\d+|un|una)\s+(minuto|hora|dia|semana)s?\b/))) {
+    const amount = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+    const unitMs = { minuto: 60000, hora: 3600000, dia: 86400000, semana: 604800000 }[match[2]];
+    const parts = toZonedParts(reference - amount * unitMs, timeZone);
+    return { ...parts, hasTime: match[2] === 'minuto' || match[2] === 'hora' };
+  }
+
+  const days = { hoy: 0, ayer: -1, manana: 1 };
+  if ((match = text.match(/^(?:[a-z]+\s+)?(hoy|ayer|manana)\b/))) {
+    const { year, month, day } = toZonedParts(reference + days[match[1]] * 86400000, timeZone);
+    return { year, month, day, hasTime: false };
+  }
+
+  return null;
+}
+
+// Helper function to check that a year/month/day exists
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Parse a Spanish date/time text into ISO 8601 in the given time zone.
+// options: { defaultYear, timeZone, time (separate time text), referenceDate (for "hoy", "hace 2 horas") }
+// Returns { raw, iso, date, time, parsed, issue } where issue is null, 'unparsed',
+// 'invalid-date' or 'weekday-mismatch' (the date is kept but the weekday named in the text disagrees).
+function parseSpanishDate(text, { defaultYear, timeZone, time = null, referenceDate = new Date() } = {}) {
+  const raw = String(text || '').trim();
+  const result = { raw, iso: null, date: null, time: null, parsed: false, issue: null };
+  if (!raw) return result;
+
+  const normalized = normalize(raw);
+  const timeText = time ? normalize(time) : null;
+
+  const relative = parseRelativeDate(normalized, referenceDate, timeZone);
+  const calendar = relative ? null : parseCalendarDate(normalized);
+  if (!relative && !calendar) {
+    result.issue = 'unparsed';
+    return result;
+  }
+
+  const year = relative ? relative.year : calendar.year || defaultYear;
+  const { month, day } = relative || calendar;
+  if (!isValidDate(year, month, day)) {
+    result.issue = 'invalid-date';
+    return result;
+  }
+
+  // Look for the time outside the date itself so "15/03" is not read as 15:03
+  const remainder = calendar ? normalized.replace(calendar.match, ' ') : normalized;
+  let clock = timeText ? parseTime(timeText) : parseTime(remainder);
+  if (relative && relative.hasTime) clock = { hour: relative.hour, minute: relative.minute };
+
+  result.date = `${year}-${pad(month)}-${pad(day)}`;
+  result.parsed = true;
+  if (clock) {
+    result.time = `${pad(clock.hour)}:${pad(clock.minute)}`;
+    result.iso = toZonedISO({ year, month, day, hour: clock.hour, minute: clock.minute }, timeZone);
+  } else {
+    result.iso = result.date;
+  }
+
+  const weekday = normalized.match(new RegExp(`^(${WEEKDAY_NAMES})\\b`));
+  if (weekday && WEEKDAYS[weekday[1]] !== new Date(Date.UTC(year, month - 1, day)).getUTCDay()) {
+    result.issue = 'weekday-mismatch';
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseSpanishDate,
+  toZonedISO,
+  getOffsetMinutes
+};
@@ -0,0 +1,151 @@
+// edition-comparison.js
+const { normalizeName } = require('./school-registry');
+
+const MEDALS = ['gold', 'silver', 'bronze'];
+
+// Helper function to tell which medal a position stands for ("Oro", "1", "1º", "Primer lugar"), or null
+function medalOf(position) {
+  const text = String(position || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+  if (/^(oro|gold|primer|1(?!\d))/.test(text)) return 'gold';
+  if (/^(plata|silver|segund|2(?!\d))/.test(text)) return 'silver';
+  if (/^(bronce|bronze|tercer|3(?!\d))/.test(text)) return 'bronze';
+  return null;
+}
+
+// Helper function to key a school across editions: its registry id, or its normalised name
+function schoolKey(schoolId, name) {
+  if (schoolId) return schoolId;
+  const normalized = normalizeName(name);
+  return normalized ? `name:${normalized}` : null;
+}
+
+// Medal counts per school in one edition: Map of school key -> { name, gold, silver, bronze }
+function countMedals(allData) {
+  const counts = new Map();
+  Object.values(allData.sports || {}).forEach(sport => {
+    ((sport && sport.medals) || []).forEach(table => {
+      table.items.forEach(item => {
+        const medal = medalOf(item.position);
+        const name = item.school || item.name;
+        const key = schoolKey(item.schoolId, name);
+        if (!medal || !key) return;
+        if (!counts.has(key)) counts.set(key, { name, gold: 0, silver: 0, bronze: 0 });
+        counts.get(key)[medal]++;
+      });
+    });
+  });
+  return counts;
+}
+
+// Champions of one edition per sport and division (age group and gender): Map of
+// "sport|ageGroup|gender" -> { sport, ageGroup, gender, name, schoolId, source }.
+// The winner of the final decides; without a played final, the leader of a standings table
+// outside the group stage is the champion.
+function findChampions(allData) {
+  const champions = new Map();
+  const add = (sportName, entry, champion) => {
+    const key = `${sportName}|${entry.ageGroup || ''}|${entry.gender || ''}`;
+    if (champions.has(key)) return;
+    champions.set(key, { sport: sportName, ageGroup: entry.ageGroup || null, gender: entry.gender || null, ...champion });
+  };
+
+  Object.keys(allData.sports || {}).forEach(sportName => {
+    const sport = allData.sports[sportName];
+    if (!sport) return;
+
+    (sport.matches || []).forEach(match => {
+      if (match.phase !== 'final' || !match.result || !match.result.parsed) return;
+      const side = ['home', 'away'].indexOf(match.result.winner);
+      if (side === -1) return;
+      add(sportName, match, {
+        name: match.result.winnerTeam || (match.teams || [])[side] || null,
+        schoolId: (match.schoolIds || [])[side] || null,
+        source: 'final'
+      });
+    });
+
+    (sport.standings || []).forEach(table => {
+      if (table.group || table.phase === 'grupos') return;
+      const leader = table.teams.find(team => medalOf(team.position) === 'gold');
+      if (!leader) return;
+      add(sportName, table, { name: leader.name, schoolId: leader.schoolId || null, source: 'standings' });
+    });
+  });
+
+  return champions;
+}
+
+// Compare editions year over year. `editions` is [{ edition: { id, year, name }, allData }] in year order.
+// Returns { editions, medals, champions }: medals has one row per school with { gold, silver, bronze,
+// total } for each edition id (best in the latest edition first), champions one row per sport and
+// division with the champion of each edition id (null when that edition has none).
+function compareEditions(editions) {
+  const medals = new Map();
+  const champions = new Map();
+
+  editions.forEach(({ edition, allData }) => {
+    countMedals(allData).forEach((count, key) => {
+      if (!medals.has(key)) medals.set(key, { key, name: count.name, byEdition: {} });
+      const row = medals.get(key);
+      row.name = count.name; // the most recent spelling
+      row.byEdition[edition.id] = {
+        gold: count.gold,
+        silver: count.silver,
+        bronze: count.bronze,
+        total: count.gold + count.silver + count.bronze
+      };
+    });
+
+    findChampions(allData).forEach((champion, key) => {
+      if (!champions.has(key)) {
+        champions.set(key, { sport: champion.sport, ageGroup: champion.ageGroup, gender: champion.gender, byEdition: {} });
+      }
+      champions.get(key).byEdition[edition.id] = {
+        name: champion.name,
+        schoolId: champion.schoolId,
+        source: champion.source
+      };
+    });
+  });
+
+  const ids = editions.map(({ edition }) => edition.id).reverse();
+  const empty = { gold: 0, silver: 0, bronze: 0, total: 0 };
+  const medalRows = Array.from(medals.values()).sort((a, b) => {
+    for (const id of ids) {
+      const left = a.byEdition[id] || empty;
+      const right = b.byEdition[id] || empty;
+      for (const medal of MEDALS) {
+        if (left[medal] !== right[medal]) return right[medal] - left[medal];
+      }
+    }
+    return a.name.localeCompare(b.name, 'es');
+  });
+
+  const championRows = Array.from(champions.values()).sort((a, b) => (
+    a.sport.localeCompare(b.sport, 'es') ||
+    (a.ageGroup || '').localeCompare(b.ageGroup || '') ||
+    (a.gender || '').localeCompare(b.gender || '')
+  ));
+
+  editions.forEach(({ edition }) => {
+    medalRows.forEach(row => {
+      if (!row.byEdition[edition.id]) row.byEdition[edition.id] = { ...empty };
+    });
+    championRows.forEach(row => {
+      if (!row.byEdition[edition.id]) row.byEdition[edition.id] = null;
+    });
+  });
+
+  return {
+    editions: editions.map(({ edition }) => ({ id: edition.id, year: edition.year, name: edition.name })),
+    medals: medalRows,
+    champions: championRows
+  };
+}
+
+module.exports = {
+  medalOf,
+  countMedals,
+  findChampions,
+  compareEditions
+};
@@ -0,0 +1,83 @@
+// editions.js
+const fs = require('fs');
+const path = require('path');
+
+// Source adapters a sport may name (see enhanced-scraper.js)
+const ADAPTERS = ['html', 'wordpress'];
+
+// Validate an editions registry: unique ids, a year, a name and a base URL for each edition,
+// optional sport lists ({ name, urlPath, adapter? }) and a "current" edition that exists
+function validateEditions(registry) {
+  if (!registry || !Array.isArray(registry.editions) || registry.editions.length === 0) {
+    return ['registry must contain a non-empty "editions" array'];
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  registry.editions.forEach((edition, i) => {
+    const where = `editions[${i}]`;
+    if (!edition.id || !/^[a-z0-9-]+$/.test(edition.id)) {
+      errors.push(`${where}: "id" must be lowercase letters, digits and dashes`);
+    } else if (ids.has(edition.id)) {
+      errors.push(`${where}: duplicate id "${edition.id}"`);
+    }
+    ids.add(edition.id);
+
+    if (!Number.isInteger(edition.year)) {
+      errors.push(`${where}: "year" must be an integer`);
+    }
+    if (!edition.name) {
+      errors.push(`${where}: "name" is required`);
+    }
+    if (typeof edition.baseUrl !== 'string' || !/^https?:\/\//.test(edition.baseUrl)) {
+      errors.push(`${where}: "baseUrl" must be an http(s) URL`);
+    }
+    if (edition.sports !== undefined &&
+        (!Array.isArray(edition.sports) || edition.sports.some(sport => !sport || !sport.name || !sport.urlPath))) {
+      errors.push(`${where}: "sports" must be a list of { name, urlPath }`);
+    } else if ((edition.sports || []).some(sport => sport.adapter !== undefined && !ADAPTERS.includes(sport.adapter))) {
+      errors.push(`${where}: a sport's "adapter" must be one of ${ADAPTERS.join(', ')}`);
+    }
+  });
+
+  if (registry.current !== undefined && !ids.has(registry.current)) {
+    errors.push(`current: no edition has the id "${registry.current}"`);
+  }
+  return errors;
+}
+
+// Load and validate the editions file (synchronously: the configuration is resolved at start-up).
+// Each edition gets its data directory: its own "outputDir" (relative to the file) or
+// resultados_salesianos_<id> next to the tool. Returns { current, editions } sorted by year.
+function loadEditions(filePath) {
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read editions from ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateEditions(registry);
+  if (errors.length > 0) {
+    throw new Error(`Invalid editions file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const editions = registry.editions
+    .map(edition => ({
+      sports: null,
+      ...edition,
+      outputDir: edition.outputDir
+        ? path.resolve(path.dirname(filePath), edition.outputDir)
+        : path.join(__dirname, `resultados_salesianos_${edition.id}`)
+    }))
+    .sort((a, b) => a.year - b.year);
+
+  // Without "current", the most recent edition is the one scraped by default
+  return { current: registry.current || editions[editions.length - 1].id, editions };
+}
+
+module.exports = {
+  validateEditions,
+  loadEditions
+};
@@ -4,23 +4,56 @@ const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
+const httpArchive = require('./http-archive');
+const extractionProfiles = require('./extraction-profiles');
+const sportDiscovery = require('./sport-discovery');
+const wordpressSource = require('./wordpress-source');
+const requestScheduler = require('./request-scheduler');
+const httpCache = require('./http-cache');
+const retryPolicy = require('./retry-policy');
+const robotsPolicy = require('./robots-policy');
+const snapshotStore = require('./snapshot-store');
+const changeDetector = require('./change-detector');
+const notifier = require('./notifier');
+const scoreParser = require('./score-parser');
+const athletics = require('./athletics');
+const dateParser = require('./date-parser');
+const schoolRegistry = require('./school-registry');
+const categoryParser = require('./category-parser');
+const tableExtractor = require('./table-extractor');
+const dataSchema = require('./data-schema');
+const selectorHealth = require('./selector-health');
+const mediaMirror = require('./media-mirror');
+const pdfReader = require('./pdf-reader');
+const pdfBulletins = require('./pdf-bulletins');
+const runManifests = require('./run-manifest');
+const appConfig = require('./config');
+const logger = require('./logger');
+const { writeFileAtomic } = require('./atomic-write');
+const { version: toolVersion } = require('./package.json');
 
-// Convert fs.writeFile to promise-based
-const writeFileAsync = promisify(fs.writeFile);
+const log = logger.createLogger('scraper');
+
+// Convert fs.readFile and fs.mkdir to promise-based
+const readFileAsync = promisify(fs.readFile);
 const mkdirAsync = promisify(fs.mkdir);
 
-// Base URL configuration
+// Helper function to take the scraper's part of the shared settings (a copy, so CONFIG can be changed freely)
+function scraperSettings(settings) {
+  const { reportsDir, watch, editions, logging, ...scraper } = JSON.parse(JSON.stringify(settings));
+  return scraper;
+}
+
+// Scraper configuration: defaults, salesianos.config.json, SALESIANOS_* environment variables
+// and CLI flags, merged and validated by config.js
 const CONFIG = {
-  baseUrl: 'https://clasico.com.do/juegos-nacionales-salesianos-2025/',
-  outputDir: path.join(__dirname, 'resultados_salesianos_2025'),
-  requestDelay: 1500, // 1.5 seconds delay between requests
-  maxRetries: 3,
-  retryDelay: 2000, // 2 seconds delay before retry
-  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  timeoutMs: 30000 // 30 seconds timeout
+  ...scraperSettings(appConfig.getConfig().values),
+  // Honest identification: robots.txt groups are matched against robotsAgent
+  robotsAgent: 'SalesianosResultsBot',
+  userAgent: `SalesianosResultsBot/${toolVersion} (+https://github.com/ferminang/jns2025; resultados de los Juegos Nacionales Salesianos)`
 };
 
-// Sports disciplines to scrape with normalized URLs
+// Sports disciplines to scrape with normalized URLs (an edition in editions.json may list its own)
 const SPORTS = [
   { name: 'Fútbol', urlPath: 'futbol' },
   { name: 'Atletismo', urlPath: 'atletismo' },
@@ -32,38 +65,309 @@ const SPORTS = [
   { name: 'Fútbol Sala', urlPath: 'futbol-sala' }
 ];
 
+// Helper function to get the sports of the selected edition
+function editionSports() {
+  return CONFIG.editionInfo.sports || SPORTS;
+}
+
 // Set up axios instance with default settings
 const axiosInstance = axios.create({
   timeout: CONFIG.timeoutMs,
   headers: {
-    'User-Agent': CONFIG.userAgent,
     'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
     'Accept-Language': 'es-ES,es;q=0.9,en-US;q=0.8,en;q=0.7'
   }
 });
 
+// Record/replay state for the current run (mode is null, 'record' or 'replay')
+const archiveSession = {
+  mode: null,
+  archive: null
+};
+
+// On-disk HTTP cache (ETag/Last-Modified revalidation), disabled with --no-cache
+let httpCacheEnabled = true;
+
+// Extraction profiles, loaded from CONFIG.profilesFile on first use
+let loadedProfiles = null;
+
+// Scheduler shared by every fetch: bounded concurrency plus a per-host token bucket
+let scheduler = createSchedulerFromConfig();
+
+// Helper function to build a scheduler from the current CONFIG values
+function createSchedulerFromConfig() {
+  return requestScheduler.createScheduler({
+    concurrency: CONFIG.concurrency,
+    requestsPerSecond: CONFIG.requestsPerSecond,
+    burst: CONFIG.burst
+  });
+}
+
+// robots.txt handling for the current run: ignored only with the explicit --ignore-robots override
+const crawlPolicy = {
+  ignoreRobots: false,
+  robotsByHost: new Map(), // host -> promise of the parsed robots.txt
+  crawlDelays: {} // host -> Crawl-delay (seconds) applied to the scheduler
+};
+
+// Circuit breakers per host, reset at the start of each run
+let circuitBreakers = new Map();
+
+// School registry matcher and the names it could not match exactly, reloaded each run
+const schoolCanon = {
+  matcher: null,
+  collector: null,
+  registryHash: null
+};
+
+// Selector statistics of each sport scraped in this run (sport name -> { status, sections, error })
+let sportHealth = new Map();
+
+// Manifest of the current run: every fetch, phase timings and where each sport's data came from
+let runManifest = null;
+
+// PDF bulletins for the current run: whether they are read (off with --no-pdf) and the store of
+// downloaded copies, opened on first use
+const bulletinSession = {
+  enabled: true,
+  store: null
+};
+
+// Apply a configuration loaded with CLI flags (see config.js) to this module
+function applyConfig(settings) {
+  Object.assign(CONFIG, scraperSettings(settings));
+  axiosInstance.defaults.timeout = CONFIG.timeoutMs;
+  loadedProfiles = null; // profilesFile may point elsewhere now
+}
+
 // Helper function to delay execution
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-// Helper function to retry failed requests
-async function fetchWithRetry(url, options = {}, retries = CONFIG.maxRetries) {
+// Helper function to get (or create) the circuit breaker of a URL's host
+function getCircuitBreaker(url) {
+  const host = new URL(url).host;
+  if (!circuitBreakers.has(host)) {
+    circuitBreakers.set(host, retryPolicy.createCircuitBreaker(CONFIG.circuitBreaker));
+  }
+  return circuitBreakers.get(host);
+}
+
+// Helper function to retry failed requests: only timeouts, connection errors, 429 and 5xx
+// are retried, with exponential backoff and jitter, never sooner than Retry-After asks
+async function requestWithRetry(url, options = {}, retries = CONFIG.maxRetries) {
+  const breaker = getCircuitBreaker(url);
+  
+  for (let attempt = 1; ; attempt++) {
+    if (!breaker.canRequest()) {
+      throw new retryPolicy.ScrapeError(
+        `Circuit open for ${new URL(url).host} after repeated failures, retry in ${Math.ceil(breaker.retryInMs() / 1000)}s`,
+        { kind: 'circuit-open', attempts: attempt - 1, url }
+      );
+    }
+    
+    const startTime = Date.now();
+    try {
+      const response = await scheduler.schedule(url, () => axiosInstance.get(url, {
+        ...options,
+        headers: { 'User-Agent': CONFIG.userAgent, ...options.headers }
+      }));
+      breaker.recordSuccess();
+      response.attempts = attempt;
+      log.debug(`GET ${url} ${response.status}`, { url, status: response.status, durationMs: Date.now() - startTime, attempt });
+      return response;
+    } catch (error) {
+      const failure = retryPolicy.classifyError(error);
+      if (failure.status && !failure.retryable) {
+        // The host answered (e.g. 404): it is healthy even if the page is not
+        breaker.recordSuccess();
+      } else {
+        // Any other failure (also one without a status) counts and releases a half-open trial
+        breaker.recordFailure();
+      }
+      
+      const waitMs = Math.max(
+        retryPolicy.computeBackoff(attempt, { baseDelayMs: CONFIG.retryBaseDelayMs, maxDelayMs: CONFIG.maxRetryDelayMs }),
+        failure.retryAfterMs || 0
+      );
+      
+      if (!failure.retryable || attempt > retries || waitMs > CONFIG.maxRetryDelayMs) {
+        // Archive the final HTTP error too, so a replay fails exactly like the original run
+        if (archiveSession.mode === 'record' && error.response) {
+          httpArchive.recordResponse(archiveSession.archive, url, error.response);
+        }
+        throw retryPolicy.toScrapeError(error, url, attempt);
+      }
+      
+      log.warn(`Retrying ${url} in ${waitMs}ms (${failure.kind}${failure.status ? ' ' + failure.status : ''}) - Attempts remaining: ${retries - attempt + 1}`, {
+        url,
+        status: failure.status || null,
+        kind: failure.kind,
+        durationMs: Date.now() - startTime,
+        attempt,
+        waitMs
+      });
+      await delay(waitMs);
+    }
+  }
+}
+
+// Helper function to load robots.txt for a host once per run and apply its Crawl-delay
+function getRobotsForUrl(url) {
+  const { origin, host } = new URL(url);
+  
+  if (!crawlPolicy.robotsByHost.has(host)) {
+    const loading = robotsPolicy.loadRobots(origin, {
+      cacheDir: CONFIG.robotsCacheDir,
+      ttlMs: CONFIG.robotsTtlMs,
+      fetchRobots: robotsUrl => trackFetch('robots', robotsUrl, () => requestWithRetry(robotsUrl, { validateStatus: () => true }, 1))
+    }).then(robots => {
+      if (robots.disallowAll) {
+        log.warn(`robots.txt for ${host} could not be read (${robots.error}); treating the whole site as disallowed`, { host });
+      }
+      
+      // Crawl-delay is a floor: it can only make the configured rate slower
+      const crawlDelay = robotsPolicy.getCrawlDelay(robots, CONFIG.robotsAgent);
+      if (crawlDelay && 1 / crawlDelay < CONFIG.requestsPerSecond) {
+        scheduler.setHostLimit(host, { ratePerSecond: 1 / crawlDelay, burst: 1 });
+        crawlPolicy.crawlDelays[host] = crawlDelay;
+        log.info(`Honouring Crawl-delay of ${crawlDelay}s for ${host}`, { host, crawlDelay });
+      }
+      return robots;
+    });
+    crawlPolicy.robotsByHost.set(host, loading);
+  }
+  
+  return crawlPolicy.robotsByHost.get(host);
+}
+
+// Helper function to record a fetch in the run manifest (status, bytes, duration, attempts, cache use
+// and content hash). The response, or the error, gets the id of its manifest entry as fetchId.
+async function trackFetch(kind, url, fetch) {
+  const startTime = Date.now();
   try {
-    const response = await axiosInstance.get(url, options);
+    const response = await fetch();
+    if (runManifest) {
+      response.fetchId = runManifest.recordFetch({
+        kind,
+        url,
+        status: response.status,
+        bytes: runManifests.bodyBytes(response.data),
+        durationMs: Date.now() - startTime,
+        attempts: response.attempts,
+        cacheStatus: response.cacheStatus || 'network',
+        contentHash: response.contentHash || runManifests.hashBody(response.data)
+      });
+    }
     return response;
   } catch (error) {
-    if (retries <= 0) throw error;
+    if (runManifest) {
+      const errorInfo = retryPolicy.toErrorInfo(error, url);
+      error.fetchId = runManifest.recordFetch({
+        kind,
+        url,
+        status: errorInfo.status,
+        durationMs: Date.now() - startTime,
+        attempts: errorInfo.attempts,
+        error: { kind: errorInfo.kind, message: errorInfo.message }
+      });
+    }
+    throw error;
+  }
+}
+
+// Helper function to link data to the fetch of this run it was parsed from (null outside a run)
+function sourceOf(fetchId) {
+  return runManifest && fetchId ? runManifest.sourceOf(fetchId) : null;
+}
+
+// Refuse URLs that robots.txt disallows for our user agent
+async function enforceCrawlPolicy(url) {
+  if (crawlPolicy.ignoreRobots) return;
+  
+  const robots = await getRobotsForUrl(url);
+  if (!robotsPolicy.isAllowed(robots, CONFIG.robotsAgent, url)) {
+    throw new retryPolicy.ScrapeError(`Disallowed by robots.txt: ${url}`, {
+      kind: 'robots-disallowed',
+      attempts: 0,
+      url
+    });
+  }
+}
+
+// Helper function to build a response from a cache entry
+function responseFromCache(entry, cacheStatus) {
+  return {
+    status: 200,
+    headers: { ...entry.headers },
+    data: entry.body,
+    config: { url: entry.url },
+    cacheStatus,
+    contentHash: entry.contentHash
+  };
+}
+
+// Fetch a URL: from the archive when replaying, otherwise through the HTTP cache
+// (fresh entries skip the network, stale ones are revalidated with a conditional request).
+// The response's cacheStatus is 'network', 'revalidated' (304), 'cache-hit' or 'replay';
+// its fetchId points to the fetch in the run manifest.
+function fetchWithRetry(url, options = {}, retries = CONFIG.maxRetries) {
+  return trackFetch('page', url, () => fetchThroughCache(url, options, retries));
+}
+
+// Helper function doing the actual fetch for fetchWithRetry
+async function fetchThroughCache(url, options, retries) {
+  if (archiveSession.mode === 'replay') {
+    try {
+      return { ...httpArchive.replayResponse(archiveSession.archive, url), cacheStatus: 'replay' };
+    } catch (error) {
+      throw retryPolicy.toScrapeError(error, url);
+    }
+  }
+  
+  await enforceCrawlPolicy(url);
+  
+  const cached = httpCacheEnabled ? await httpCache.lookup(CONFIG.cacheDir, url) : null;
+  let response;
+  
+  if (cached && httpCache.isFresh(cached)) {
+    response = responseFromCache(cached, 'cache-hit');
+  } else if (cached && httpCache.canRevalidate(cached)) {
+    const networkResponse = await requestWithRetry(url, {
+      ...options,
+      headers: { ...options.headers, ...httpCache.conditionalHeaders(cached) },
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    }, retries);
     
-    console.log(`Retrying ${url} - Attempts remaining: ${retries}`);
-    await delay(CONFIG.retryDelay);
-    return fetchWithRetry(url, options, retries - 1);
+    if (networkResponse.status === 304) {
+      const refreshed = await httpCache.refresh(CONFIG.cacheDir, cached, httpArchive.toPlainHeaders(networkResponse.headers));
+      response = responseFromCache(refreshed, 'revalidated');
+      response.attempts = networkResponse.attempts;
+    } else {
+      response = networkResponse;
+    }
+  } else {
+    response = await requestWithRetry(url, options, retries);
   }
+  
+  if (!response.cacheStatus) {
+    response.cacheStatus = 'network';
+    const entry = httpCacheEnabled
+      ? await httpCache.store(CONFIG.cacheDir, url, response, httpArchive.toPlainHeaders(response.headers))
+      : null;
+    response.contentHash = entry ? entry.contentHash : httpArchive.hashContent(String(response.data));
+  }
+  
+  if (archiveSession.mode === 'record') {
+    httpArchive.recordResponse(archiveSession.archive, url, response);
+  }
+  return response;
 }
 
 // Helper function to ensure directory exists
 async function ensureDirectoryExists(dirPath) {
   try {
     await mkdirAsync(dirPath, { recursive: true });
-    console.log(`Directory created: ${dirPath}`);
+    log.debug(`Directory created: ${dirPath}`, { path: dirPath });
   } catch (error) {
     // Ignore if directory already exists
     if (error.code !== 'EEXIST') throw error;
@@ -74,46 +378,334 @@ async function ensureDirectoryExists(dirPath) {
 async function saveToFile(filename, data) {
   try {
     const filePath = path.join(CONFIG.outputDir, filename);
-    await writeFileAsync(filePath, JSON.stringify(data, null, 2), 'utf8');
-    console.log(`Data saved to ${filePath}`);
+    await writeFileAtomic(filePath, JSON.stringify(data, null, 2), 'utf8');
+    log.info(`Data saved to ${filePath}`, { file: filePath });
     return true;
   } catch (error) {
-    console.error(`Failed to save file ${filename}: ${error.message}`);
+    log.error(`Failed to save file ${filename}: ${error.message}`, { file: filename, error });
     return false;
   }
 }
 
+// Helper function to get the JSON file name of a sport
+function getSportFileName(sport) {
+  return `${sport.name.toLowerCase().replace(/\s+/g, '_')}.json`;
+}
+
+// Helper function to load the parsed result saved for a sport by a previous run
+async function loadPreviousSportData(sport) {
+  try {
+    return JSON.parse(await readFileAsync(path.join(CONFIG.outputDir, getSportFileName(sport)), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
 // Helper function to save HTML content for debugging
 async function saveHtmlForDebugging(sportName, html) {
   try {
     const debugDir = path.join(CONFIG.outputDir, 'debug');
     await ensureDirectoryExists(debugDir);
     const filePath = path.join(debugDir, `${sportName.toLowerCase().replace(/\s+/g, '_')}.html`);
-    await writeFileAsync(filePath, html, 'utf8');
-    console.log(`Debug HTML saved to ${filePath}`);
+    await writeFileAtomic(filePath, html, 'utf8');
+    log.debug(`Debug HTML saved to ${filePath}`, { file: filePath });
+  } catch (error) {
+    log.error(`Failed to save debug HTML for ${sportName}: ${error.message}`, { sport: sportName, error });
+  }
+}
+
+// Load the extraction profiles once per process (validated on first use)
+async function getExtractionProfiles() {
+  if (!loadedProfiles) {
+    loadedProfiles = await extractionProfiles.loadProfiles(CONFIG.profilesFile);
+  }
+  return loadedProfiles;
+}
+
+// Fingerprint of what turns a sport's page into data: the tool and data schema versions, the sport's
+// extraction profile and the school registry. A previous result is only reused when it matches,
+// so an upgrade or a profile fix re-parses unchanged pages.
+async function getParseFingerprint(sport) {
+  const profile = extractionProfiles.getSportProfile(await getExtractionProfiles(), sport);
+  return runManifests.hashBody(JSON.stringify({
+    toolVersion,
+    dataVersion: dataSchema.CURRENT_VERSION,
+    profile,
+    schools: schoolCanon.registryHash
+  }));
+}
+
+// Check the "required" (all of) and "requireAny" (one of) rules of a profile section
+function hasRequiredFields(record, section) {
+  const isPresent = key => Array.isArray(record[key]) ? record[key].length > 0 : !!record[key];
+  const required = section.required || [];
+  const requireAny = section.requireAny || [];
+  
+  return required.every(isPresent) && (requireAny.length === 0 || requireAny.some(isPresent));
+}
+
+// Extract one record per container element as described by a profile section
+// (stats, if given, records the selector hits under sectionName)
+function extractRecords($, section, stats = null, sectionName = null) {
+  const records = [];
+  const containers = $(section.container);
+  const onMatch = stats && stats.recordHook(sectionName);
+  if (stats) stats.elements(sectionName, section.container, containers.length);
+  
+  containers.each((i, element) => {
+    const record = extractionProfiles.extractRecord($, element, section.fields, { n: i + 1 }, onMatch);
+    
+    // Clean up empty properties
+    if (section.dropEmpty) {
+      Object.keys(record).forEach(key => {
+        if (!record[key] || (Array.isArray(record[key]) && record[key].length === 0)) {
+          delete record[key];
+        }
+      });
+    }
+    
+    if (Object.keys(record).length >= (section.minFields || 1) && hasRequiredFields(record, section)) {
+      records.push(record);
+    }
+  });
+  if (stats) stats.records(sectionName, records.length);
+  return records;
+}
+
+// Add dateISO next to each item's date text (which is kept as is). Dates that cannot be
+// parsed get dateISO null and a dateIssue for the processor's data quality section.
+function stampDates(items, timeField = null) {
+  const referenceDate = archiveSession.mode === 'replay' ? new Date(archiveSession.archive.createdAt) : new Date();
+  
+  items.forEach(item => {
+    if (!item.date) return;
+    
+    const parsed = dateParser.parseSpanishDate(item.date, {
+      defaultYear: CONFIG.editionYear,
+      timeZone: CONFIG.timeZone,
+      time: timeField ? item[timeField] : null,
+      referenceDate
+    });
+    item.dateISO = parsed.iso;
+    if (parsed.issue) {
+      item.dateIssue = parsed.issue;
+    }
+  });
+}
+
+// Stamp schoolId on the school and team references of a sport (no-op outside runScraper)
+function stampSchoolIds(sport, sportData) {
+  if (!schoolCanon.matcher) return;
+  schoolRegistry.stampSportData(sportData, schoolCanon.matcher, sport.name, schoolCanon.collector);
+}
+
+// Write the names that need a decision (fuzzy matches and unknown schools) for the registry maintainers
+async function saveSchoolProposals() {
+  if (!schoolCanon.matcher) return null;
+  
+  const { proposals, unmatched } = schoolCanon.collector.build(schoolCanon.matcher);
+  await saveToFile('school_alias_proposals.json', {
+    generatedAt: new Date().toISOString(),
+    registryFile: CONFIG.schoolsFile,
+    proposals,
+    unmatched
+  });
+  
+  if (proposals.length > 0 || unmatched.length > 0) {
+    log.info(`School names: ${proposals.length} alias proposals, ${unmatched.length} unknown ` +
+             `(see school_alias_proposals.json)`, { proposals: proposals.length, unmatched: unmatched.length });
+  }
+  return { proposals: proposals.length, unmatched: unmatched.length };
+}
+
+// Write health.json: selector hits per sport and section, compared with the previous run's report
+async function saveHealthReport() {
+  let previous = null;
+  try {
+    previous = JSON.parse(await readFileAsync(path.join(CONFIG.outputDir, 'health.json'), 'utf8'));
   } catch (error) {
-    console.error(`Failed to save debug HTML for ${sportName}: ${error.message}`);
+    // First run (or unreadable report): nothing to compare with
+  }
+  
+  const report = selectorHealth.buildHealthReport(Object.fromEntries(sportHealth), previous);
+  await saveToFile('health.json', report);
+  
+  if (report.status === 'degraded') {
+    log.warn(`Scraper health: degraded (${report.alerts.length} alerts, see health.json)\n  - ` +
+             report.alerts.map(selectorHealth.describeAlert).join('\n  - '), { health: report.status, alerts: report.alerts.length });
+  } else {
+    log.info('Scraper health: ok', { health: report.status });
   }
+  return report;
+}
+
+// Helper function to download an image as a Buffer (same robots.txt rules and request budget as pages)
+async function fetchMedia(url) {
+  await enforceCrawlPolicy(url);
+  const response = await trackFetch('media', url, () => requestWithRetry(url, {
+    responseType: 'arraybuffer',
+    maxContentLength: CONFIG.maxMediaBytes,
+    headers: { 'Accept': 'image/avif,image/webp,image/png,image/svg+xml,image/*;q=0.8' }
+  }, 1));
+  return Buffer.from(response.data);
 }
 
-// Function to extract structured data from HTML using different selectors
-function extractWithFallbackSelectors($, selectors, context = null) {
-  const element = context || $;
+// Download the hero, gallery and logo images of this run into CONFIG.mediaDir (each URL once)
+async function mirrorMedia(allData) {
+  const urls = Array.from(new Set(mediaMirror.collectMediaRefs(allData).map(ref => ref.url)));
+  const mirror = await mediaMirror.openMirror(CONFIG.mediaDir, { download: fetchMedia, maxBytes: CONFIG.maxMediaBytes });
+  const results = await Promise.all(urls.map(url => mirror.mirror(url)));
+  await mirror.save();
   
-  for (const selector of selectors) {
-    const result = element.find(selector).first();
-    if (result.length > 0) {
-      return result;
+  const count = status => results.filter(result => result.status === status).length;
+  const failed = results.filter(result => result.status === 'failed');
+  log.info(`Media: ${urls.length} images (${count('downloaded')} downloaded, ${count('reused')} already mirrored, ${failed.length} failed)`, {
+    images: urls.length,
+    downloaded: count('downloaded'),
+    reused: count('reused'),
+    failed: failed.length
+  });
+  failed.forEach(result => log.warn(`Could not mirror ${result.url}: ${result.error}`, { url: result.url }));
+  
+  return { images: urls.length, downloaded: count('downloaded'), reused: count('reused'), failed: failed.length };
+}
+
+// Helper function to download a PDF bulletin (same robots.txt rules and request budget as pages).
+// A stored copy is revalidated: a 304 answer keeps it.
+async function fetchPdf(url, stored) {
+  await enforceCrawlPolicy(url);
+  return trackFetch('pdf', url, async () => {
+    const response = await requestWithRetry(url, {
+      responseType: 'arraybuffer',
+      maxContentLength: CONFIG.pdf.maxBytes,
+      headers: { 'Accept': 'application/pdf', ...pdfBulletins.conditionalHeaders(stored) },
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+    if (response.status === 304) {
+      response.cacheStatus = 'revalidated';
+      response.contentHash = stored.sha256;
     }
+    return response;
+  });
+}
+
+// Helper function to open the bulletin store of this run once (offline when replaying: the copies
+// downloaded when the archive was recorded are used)
+function getBulletinStore() {
+  if (!bulletinSession.store) {
+    bulletinSession.store = pdfBulletins.openBulletinStore(CONFIG.pdfDir, {
+      download: fetchPdf,
+      offline: archiveSession.mode === 'replay',
+      maxBytes: CONFIG.pdf.maxBytes
+    });
   }
+  return bulletinSession.store;
+}
+
+// Read the PDF bulletins linked from a sport (the first pdf.maxPerSport) and add the results,
+// standings and medal lists found in them to its sections. Returns what was read from each
+// document, for sportInfo.bulletins; a bulletin that cannot be downloaded or read is only reported.
+async function readBulletins(sport, links, sections) {
+  if (!bulletinSession.enabled || links.length === 0) return [];
+  const store = await getBulletinStore();
+  
+  const read = await Promise.all(links.slice(0, CONFIG.pdf.maxPerSport).map(async link => {
+    try {
+      const stored = await store.get(link.url);
+      // A content stream may inflate to several times the file, but not without bound
+      const pdf = pdfReader.readPdf(stored.buffer, { maxStreamBytes: Math.max(CONFIG.pdf.maxBytes, 1024 * 1024) * 10 });
+      return { link, stored, pdf, found: pdfBulletins.extractBulletin(pdf, link) };
+    } catch (error) {
+      log.warn(`Could not read PDF bulletin ${link.url} of ${sport.name}: ${error.message}`, { sport: sport.name, url: link.url, error });
+      return { link, error: retryPolicy.toErrorInfo(error, link.url) };
+    }
+  }));
+  
+  // In link order, so the sections come out the same on every run
+  const bulletins = read.map(({ link, stored, pdf, found, error }) => {
+    if (error) {
+      return { url: link.url, title: link.title, error };
+    }
+    ['results', 'standings', 'medals'].forEach(section => {
+      sections[section] = [...(sections[section] || []), ...found[section]];
+    });
+    return {
+      url: link.url,
+      title: link.title || pdf.title || '',
+      pages: pdf.pages.length,
+      status: stored.status,
+      contentHash: stored.sha256,
+      source: sourceOf(stored.fetchId),
+      tables: {
+        results: found.results.length,
+        standings: found.standings.length,
+        medals: found.medals.length,
+        ignored: found.ignored
+      }
+    };
+  });
+  
+  const tables = bulletins.reduce((total, bulletin) => (
+    total + (bulletin.tables ? bulletin.tables.results + bulletin.tables.standings + bulletin.tables.medals : 0)
+  ), 0);
+  log.info(`${sport.name}: ${tables} tables from ${bulletins.filter(bulletin => !bulletin.error).length} of ${bulletins.length} PDF bulletins`, {
+    sport: sport.name,
+    bulletins: bulletins.length,
+    tables
+  });
+  return bulletins;
+}
+
+// Helper function to check that the bulletins a previous result was built from are still the same
+// documents (stored copies are revalidated) and that the ones that failed still fail. With bulletins
+// turned off, a result that has some is stale.
+async function bulletinsUnchanged(bulletins = []) {
+  if (bulletins.length === 0) return true;
+  if (!bulletinSession.enabled) return false;
   
-  return element.find(selectors[0]); // Return empty result if nothing found
+  const store = await getBulletinStore();
+  const checks = await Promise.all(bulletins.map(async bulletin => {
+    try {
+      return (await store.get(bulletin.url)).sha256 === bulletin.contentHash;
+    } catch (error) {
+      return !!bulletin.error;
+    }
+  }));
+  return checks.every(Boolean);
+}
+
+// Helper function to total the PDF bulletins of every sport for summary.json
+function summarizeBulletins(sportsData) {
+  const bulletins = Object.values(sportsData).flatMap(sport => (sport && sport.sportInfo.bulletins) || []);
+  const read = bulletins.filter(bulletin => !bulletin.error);
+  const count = section => read.reduce((total, bulletin) => total + bulletin.tables[section], 0);
+  return {
+    documents: bulletins.length,
+    failed: bulletins.length - read.length,
+    results: count('results'),
+    standings: count('standings'),
+    medals: count('medals')
+  };
+}
+
+// Helper function to write the index of the bulletin store, when this run opened it
+async function saveBulletinStore() {
+  if (!bulletinSession.store) return;
+  const store = await bulletinSession.store;
+  await store.save();
+}
+
+// Report output that drifted from the published schema (the file is still written)
+function warnIfInvalid(fileName, errors) {
+  if (errors.length === 0) return;
+  log.warn(`Warning: ${fileName} does not match its schema (${errors.length} problems):\n  - ` +
+           errors.slice(0, 10).join('\n  - ') + (errors.length > 10 ? '\n  - ...' : ''), { file: fileName, problems: errors.length });
 }
 
 // Function to scrape the main page
 async function scrapeMainPage() {
   try {
-    console.log(`Scraping main page: ${CONFIG.baseUrl}`);
+    log.info(`Scraping main page: ${CONFIG.baseUrl}`, { url: CONFIG.baseUrl });
     const response = await fetchWithRetry(CONFIG.baseUrl);
     const html = response.data;
     const $ = cheerio.load(html);
@@ -182,7 +774,7 @@ async function scrapeMainPage() {
         text: $(element).text().trim(),
         url: $(element).attr('href') || '',
         isActive: $(element).hasClass('active') || $(element).parent().hasClass('active'),
-        isSport: SPORTS.some(sport => 
+        isSport: editionSports().some(sport => 
           $(element).text().trim().toLowerCase().includes(sport.name.toLowerCase()) || 
           ($(element).attr('href') || '').includes(sport.urlPath)
         )
@@ -218,6 +810,9 @@ async function scrapeMainPage() {
       }
     });
     
+    stampDates(news);
+    stampDates(scheduleItems);
+    
     const mainPageData = {
       generalInfo,
       announcements,
@@ -225,234 +820,336 @@ async function scrapeMainPage() {
       scheduleItems,
       navigationLinks,
       standings,
-      sportLinks: navigationLinks.filter(link => link.isSport)
+      sportLinks: navigationLinks.filter(link => link.isSport),
+      source: sourceOf(response.fetchId)
     };
     
     await saveToFile('main_page.json', mainPageData);
     return mainPageData;
   } catch (error) {
-    console.error(`Error scraping main page: ${error.message}`);
+    log.error(`Error scraping main page: ${error.message}`, { url: CONFIG.baseUrl, status: error.status || null, error });
     return null;
   }
 }
 
-// Function to scrape a sport discipline page
-async function scrapeSportPage(sport) {
-  const sportUrl = `${CONFIG.baseUrl}${sport.urlPath}/`;
+// Source adapters a sport can be read from: its rendered page or the site's WordPress REST API
+const ADAPTERS = ['html', 'wordpress'];
+
+// Helper function to choose the adapters of a sport: its own "adapter" (editions.json), else the
+// adapter.html / adapter.wordpress lists, else adapter.default. The other adapter is the fallback.
+function sportAdapters(sport) {
+  const listed = ADAPTERS.find(adapter => CONFIG.adapter[adapter].includes(sport.urlPath));
+  const primary = sport.adapter || listed || CONFIG.adapter.default;
+  return [primary, ADAPTERS.find(adapter => adapter !== primary)];
+}
+
+// Parse sport page HTML with the sport's extraction profile. Returns { info, sections, stats, pdfLinks }:
+// the title, description and hero image, every section (results, matches, standings, medals,
+// news, gallery), the selector statistics for the health report and the PDF documents the page
+// links to (resolved against pageUrl).
+async function parseSportHtml(sport, html, pageUrl) {
+  const $ = cheerio.load(html);
   
-  try {
-    console.log(`Scraping ${sport.name} page: ${sportUrl}`);
-    const response = await fetchWithRetry(sportUrl);
-    const html = response.data;
-    const $ = cheerio.load(html);
+  const profile = extractionProfiles.getSportProfile(await getExtractionProfiles(), sport);
+  
+  // Which selectors matched and how many elements they found, for the health report
+  const stats = selectorHealth.createSelectorStats();
+  
+  // Extract sport-specific information
+  const info = {
+    title: extractionProfiles.extractField($, null, profile.sportInfo.title, {}, stats.fieldHook('sportInfo', 'title')),
+    description: extractionProfiles.extractField($, null, profile.sportInfo.description, {}, stats.fieldHook('sportInfo', 'description')),
+    heroImage: extractionProfiles.extractField($, null, profile.sportInfo.heroImage, {}, stats.fieldHook('sportInfo', 'heroImage'))
+  };
+  
+  // Extract results tables
+  const results = [];
+  const resultTables = $(profile.results.container);
+  stats.elements('results', profile.results.container, resultTables.length);
+  resultTables.each((i, table) => {
+    // Try to get table title from nearby headings or caption
+    const tableTitle = extractionProfiles.extractField($, table, profile.results.title, { n: i + 1 }, stats.fieldHook('results', 'title'));
     
-    // For debugging
-    await saveHtmlForDebugging(sport.name, html);
+    // Check for category/group information (parsed into gender, age group, group and phase below)
+    const category = extractionProfiles.extractField($, table, profile.results.category, {}, stats.fieldHook('results', 'category'));
     
-    // Extract sport-specific information
-    const sportInfo = {
-      name: sport.name,
-      url: sportUrl,
-      title: extractWithFallbackSelectors($, ['h1', '.entry-title', '.page-title']).first().text().trim() || sport.name,
-      description: $('.description, .intro, .summary').first().text().trim()
-    };
+    // Detect header rows, expand merged cells and map columns to known fields
+    const extracted = tableExtractor.extractTable($, table, profile.results);
     
-    // Extract hero image if available
-    const heroImage = $('header img, .hero img, .featured-image img').first().attr('src') || '';
-    if (heroImage) {
-      sportInfo.heroImage = heroImage;
+    if (extracted.data.length > 0) {
+      results.push({
+        title: tableTitle,
+        category,
+        data: extracted.data, // raw rows as they appear on the page, kept for audit
+        headerRows: extracted.headerRows,
+        columns: extracted.columns,
+        records: extracted.records
+      });
     }
+  });
+  stats.records('results', results.length);
+  
+  // Extract match/event information
+  const matches = extractRecords($, profile.matches, stats, 'matches');
+  
+  // Turn each raw score into structured totals, periods and a winner for this discipline
+  matches.forEach(match => {
+    if (!match.score) return;
+    const result = scoreParser.parseScore(sport.urlPath, match.score, match.teams);
+    if (result) match.result = result;
+  });
+  stampDates(matches, 'time');
+  
+  // Extract standings or rankings
+  const standings = [];
+  const standingTables = $(profile.standings.container);
+  stats.elements('standings', profile.standings.container, standingTables.length);
+  standingTables.each((i, element) => {
+    const standingData = {
+      title: extractionProfiles.extractField($, element, profile.standings.title, { n: i + 1 }, stats.fieldHook('standings', 'title')),
+      category: extractionProfiles.extractField($, element, profile.standings.category, {}, stats.fieldHook('standings', 'category')),
+      teams: []
+    };
     
-    // Extract results tables
-    const results = [];
-    $('table, .table, .results-table').each((i, table) => {
-      // Try to get table title from nearby headings or caption
-      let tableTitle = $(table).prev('h2, h3, h4').text().trim() || 
-                       $(table).find('caption').text().trim() || 
-                       `Resultados ${i+1}`;
-      
-      // Check for category/group information
-      const category = $(table).prev('.category, .group, .division').text().trim() || 
-                       $(table).closest('.category-container, .group-container').find('h3, h4, .title').first().text().trim();
-      
-      if (category && !tableTitle.includes(category)) {
-        tableTitle = `${category} - ${tableTitle}`;
-      }
-      
-      const tableData = [];
-      $(table).find('tr').each((j, row) => {
-        const rowData = [];
-        $(row).find('th, td').each((k, cell) => {
-          // Handle rich cell content (including links, images, etc)
-          let cellText = $(cell).text().trim();
-          
-          // Check for specific classes or data attributes
-          if ($(cell).hasClass('winner') || $(cell).attr('data-winner') === 'true') {
-            rowData.push({ text: cellText, isWinner: true });
-          } else if ($(cell).find('img').length > 0) {
-            const imgSrc = $(cell).find('img').attr('src') || '';
-            rowData.push({ text: cellText, imgSrc });
-          } else {
-            rowData.push(cellText);
-          }
-        });
-        
-        if (rowData.length > 0) {
-          tableData.push(rowData);
-        }
-      });
+    const rows = $(element).find(profile.standings.rows);
+    stats.elements('standings', profile.standings.rows, rows.length);
+    rows.each((j, row) => {
+      if (j < (profile.standings.skipRows || 0)) return; // Skip header rows
       
-      if (tableData.length > 0) {
-        results.push({
-          title: tableTitle,
-          data: tableData
-        });
+      const team = extractionProfiles.extractRecord($, row, profile.standings.fields, {}, stats.recordHook('standings'));
+      if (hasRequiredFields(team, profile.standings)) {
+        standingData.teams.push(team);
       }
     });
     
-    // Extract match/event information
-    const matches = [];
-    $('.match, .event, .fixture, .game, article').each((i, element) => {
-      const match = {
-        title: $(element).find('h3, h4, .match-title, .title').first().text().trim(),
-        teams: $(element).find('.team-name, .team, .participant, .competitor').map((i, el) => $(el).text().trim()).get(),
-        score: $(element).find('.score, .result, .match-score').text().trim(),
-        winner: $(element).find('.winner, .champion').text().trim(),
-        date: $(element).find('.date, .match-date, time, .datetime').text().trim(),
-        time: $(element).find('.time, .match-time').text().trim(),
-        location: $(element).find('.venue, .location, .place').text().trim(),
-        category: $(element).find('.category, .division, .group').text().trim() || 
-                 $(element).closest('.category-container, .group-container').find('h3, .category-title').first().text().trim()
-      };
-      
-      // Clean up empty properties
-      Object.keys(match).forEach(key => {
-        if (!match[key] || (Array.isArray(match[key]) && match[key].length === 0)) {
-          delete match[key];
-        }
-      });
-      
-      if (Object.keys(match).length > 1) { // At least title plus one more property
-        matches.push(match);
-      }
-    });
+    if (standingData.teams.length > 0) {
+      standings.push(standingData);
+    }
+  });
+  stats.records('standings', standings.length);
+  
+  // Extract medals or awards
+  const medals = [];
+  const medalTables = $(profile.medals.container);
+  stats.elements('medals', profile.medals.container, medalTables.length);
+  medalTables.each((i, element) => {
+    const medalData = {
+      title: extractionProfiles.extractField($, element, profile.medals.title, { n: i + 1 }, stats.fieldHook('medals', 'title')),
+      category: extractionProfiles.extractField($, element, profile.medals.category, {}, stats.fieldHook('medals', 'category')),
+      items: []
+    };
     
-    // Extract standings or rankings
-    const standings = [];
-    $('.standings, .ranking, .leaderboard, .positions, .table-standings').each((i, element) => {
-      const standingData = {
-        title: $(element).prev('h2, h3, h4').text().trim() || 
-               $(element).find('caption, .table-title, .standings-title').text().trim() || 
-               `Clasificación ${i+1}`,
-        category: $(element).closest('.category-container, .group-container').find('h3, .category-title').first().text().trim(),
-        teams: []
-      };
-      
-      $(element).find('tr').each((j, row) => {
-        if (j === 0) return; // Skip header row
-        
-        const team = {
-          position: $(row).find('td:nth-child(1)').text().trim(),
-          name: $(row).find('td:nth-child(2)').text().trim(),
-          played: $(row).find('td:nth-child(3)').text().trim(),
-          won: $(row).find('td:nth-child(4)').text().trim(),
-          drawn: $(row).find('td:nth-child(5)').text().trim(),
-          lost: $(row).find('td:nth-child(6)').text().trim(),
-          points: $(row).find('td:nth-child(7)').text().trim() || 
-                 $(row).find('td').last().text().trim()
-        };
-        
-        // Only add if we have at least name and position
-        if (team.name && team.position) {
-          standingData.teams.push(team);
-        }
-      });
-      
-      if (standingData.teams.length > 0) {
-        standings.push(standingData);
+    const items = $(element).find(profile.medals.items);
+    stats.elements('medals', profile.medals.items, items.length);
+    items.each((j, item) => {
+      const medalItem = extractionProfiles.extractRecord($, item, profile.medals.fields, {}, stats.recordHook('medals'));
+      if (hasRequiredFields(medalItem, profile.medals)) {
+        medalData.items.push(medalItem);
       }
     });
     
-    // Extract medals or awards
-    const medals = [];
-    $('.medals, .awards, .winners').each((i, element) => {
-      const medalData = {
-        title: $(element).prev('h2, h3, h4').text().trim() || 
-               $(element).find('caption, .table-title').text().trim() || 
-               'Medallero',
-        items: []
-      };
+    if (medalData.items.length > 0) {
+      medals.push(medalData);
+    }
+  });
+  stats.records('medals', medals.length);
+  
+  // Extract any news or updates specific to this sport
+  const news = extractRecords($, profile.news, stats, 'news');
+  stampDates(news);
+  
+  // Extract gallery images if available
+  const gallery = [];
+  const images = $(profile.gallery.container).find(profile.gallery.items);
+  stats.elements('gallery', `${profile.gallery.container} ${profile.gallery.items}`, images.length);
+  images.each((i, img) => {
+    const image = extractionProfiles.extractRecord($, img, profile.gallery.fields, {}, stats.recordHook('gallery'));
+    if (hasRequiredFields(image, profile.gallery)) {
+      gallery.push(image);
+    }
+  });
+  stats.records('gallery', gallery.length);
+  
+  return {
+    info,
+    sections: { results, matches, standings, medals, news, gallery },
+    stats,
+    pdfLinks: pdfBulletins.findPdfLinks($, pageUrl)
+  };
+}
+
+// Read a sport from its rendered page. Returns { fetchId, contentHash, fromCache, parse() }.
+async function readSportFromHtml(sport, sportUrl) {
+  log.info(`Scraping ${sport.name} page: ${sportUrl}`, { sport: sport.name, url: sportUrl, adapter: 'html' });
+  const response = await fetchWithRetry(sportUrl);
+  
+  return {
+    fetchId: response.fetchId,
+    status: response.status,
+    cacheStatus: response.cacheStatus,
+    contentHash: response.contentHash,
+    fromCache: response.cacheStatus === 'revalidated' || response.cacheStatus === 'cache-hit',
+    parse: async () => {
+      // For debugging
+      await saveHtmlForDebugging(sport.name, response.data);
+      return parseSportHtml(sport, response.data, sportUrl);
+    }
+  };
+}
+
+// Read a sport from the WordPress REST API: results, matches, standings and medals from the sport
+// page's content (parsed like the rendered page), news from its posts and the gallery from its media.
+// PDF bulletins are those linked from the page or the posts and the PDFs attached to them.
+// The content hash covers every API response, so an unchanged sport is still reused.
+async function readSportFromWordPress(sport, sportUrl) {
+  log.info(`Reading ${sport.name} from the WordPress API: ${CONFIG.wordpress.apiUrl}`, {
+    sport: sport.name,
+    url: CONFIG.wordpress.apiUrl,
+    adapter: 'wordpress'
+  });
+  
+  const responses = [];
+  const client = wordpressSource.createClient({
+    apiUrl: CONFIG.wordpress.apiUrl,
+    perPage: CONFIG.wordpress.perPage,
+    maxPages: CONFIG.wordpress.maxPages,
+    fetchJson: async url => {
+      // Kept as text so the HTTP cache, the archive and the content hash see the body as sent
+      const response = await fetchWithRetry(url, { responseType: 'text', headers: { 'Accept': 'application/json' } });
+      responses.push(response);
+      return response;
+    }
+  });
+  const content = await wordpressSource.loadSportContent(client, {
+    sport,
+    sportUrl,
+    eventSlug: sportDiscovery.getEventSlug(CONFIG.baseUrl)
+  });
+  
+  if (!content.page && !content.category && !content.tag) {
+    throw new retryPolicy.ScrapeError(`No WordPress page, category or tag "${sport.urlPath}" for ${sport.name}`, {
+      kind: 'not-found',
+      attempts: 1,
+      url: CONFIG.wordpress.apiUrl
+    });
+  }
+  
+  // Provenance: the request that found the sport page (else the first one)
+  const pageResponse = content.page ? responses.find(response => /\/pages\?/.test(response.config.url)) : null;
+  const hashes = responses.map(response => response.contentHash).sort();
+  
+  return {
+    fetchId: (pageResponse || responses[0]).fetchId,
+    status: (pageResponse || responses[0]).status,
+    cacheStatus: responses.every(response => response.cacheStatus === responses[0].cacheStatus) ? responses[0].cacheStatus : 'mixed',
+    contentHash: runManifests.hashBody(hashes.join('\n')),
+    fromCache: responses.every(response => response.cacheStatus === 'revalidated' || response.cacheStatus === 'cache-hit'),
+    parse: async () => {
+      const parsed = content.page
+        ? await parseSportHtml(sport, content.page.content.rendered || '', content.page.link || sportUrl)
+        : { info: {}, sections: {}, stats: selectorHealth.createSelectorStats(), pdfLinks: [] };
       
-      $(element).find('li, tr, .medal-item, .award-item').each((j, item) => {
-        const medalItem = {
-          position: $(item).find('.position, .medal-type, .rank').text().trim() || 
-                   $(item).find('td:nth-child(1)').text().trim(),
-          name: $(item).find('.name, .athlete, .winner, .team-name').text().trim() || 
-                $(item).find('td:nth-child(2)').text().trim(),
-          school: $(item).find('.school, .institution, .team').text().trim() || 
-                 $(item).find('td:nth-child(3)').text().trim(),
-          result: $(item).find('.result, .mark, .time, .score').text().trim() || 
-                 $(item).find('td:nth-child(4)').text().trim()
-        };
-        
-        // Only add if we have at least name and position
-        if (medalItem.name && medalItem.position) {
-          medalData.items.push(medalItem);
-        }
-      });
+      const news = wordpressSource.toNews(content.posts);
+      stampDates(news);
+      parsed.stats.elements('news', 'wp/v2/posts', content.posts.length);
+      parsed.stats.records('news', news.length);
       
-      if (medalData.items.length > 0) {
-        medals.push(medalData);
-      }
-    });
-    
-    // Extract any news or updates specific to this sport
-    const news = [];
-    $('.news, .post, .update, article, .entry').each((i, element) => {
-      const newsItem = {
-        title: $(element).find('h2, h3, .title, .news-title, .post-title').first().text().trim(),
-        date: $(element).find('.date, .posted-on, time').first().text().trim(),
-        content: $(element).find('p, .content, .excerpt').first().text().trim(),
-        author: $(element).find('.author, .byline').first().text().trim(),
-        imageUrl: $(element).find('img').first().attr('src') || ''
-      };
+      const gallery = wordpressSource.toGallery(content.media);
+      parsed.stats.elements('gallery', 'wp/v2/media', content.media.length);
+      parsed.stats.records('gallery', gallery.length);
       
-      // Clean up empty properties
-      Object.keys(newsItem).forEach(key => {
-        if (!newsItem[key]) {
-          delete newsItem[key];
-        }
-      });
+      const pdfLinks = [
+        ...parsed.pdfLinks,
+        ...content.posts.flatMap(post => (
+          post.content && post.content.rendered ? pdfBulletins.findPdfLinks(cheerio.load(post.content.rendered), post.link) : []
+        )),
+        ...wordpressSource.toDocuments(content.media)
+      ];
       
-      if (newsItem.title || newsItem.content) {
-        news.push(newsItem);
-      }
-    });
+      return {
+        info: {
+          title: (content.page && wordpressSource.renderedText(content.page.title)) || (content.category && content.category.name) || '',
+          description: parsed.info.description || (content.category && wordpressSource.renderedText(content.category.description)) || '',
+          heroImage: parsed.info.heroImage
+        },
+        sections: { ...parsed.sections, news, gallery },
+        stats: parsed.stats,
+        pdfLinks: pdfLinks.filter((link, i) => pdfLinks.findIndex(other => other.url === link.url) === i)
+      };
+    }
+  };
+}
+
+// Scrape a sport with one adapter. Returns { sportData, health, manifest } (the data, the entry for
+// the health report and the one for the run manifest) without saving anything, so the caller can
+// fall back to the other adapter or compare both.
+async function scrapeSportWith(adapter, sport, sportUrl) {
+  const startTime = Date.now();
+  const what = adapter === 'wordpress' ? `${sport.name} from the WordPress API` : `${sport.name} page`;
+  let fetchId = null;
+  
+  try {
+    const source = adapter === 'wordpress'
+      ? await readSportFromWordPress(sport, sportUrl)
+      : await readSportFromHtml(sport, sportUrl);
+    fetchId = source.fetchId;
+    const parseFingerprint = await getParseFingerprint(sport);
     
-    // Extract gallery images if available
-    const gallery = [];
-    $('.gallery, .photos, .images').find('img').each((i, img) => {
-      const imgSrc = $(img).attr('src') || '';
-      const imgTitle = $(img).attr('alt') || $(img).attr('title') || '';
-      
-      if (imgSrc) {
-        gallery.push({
-          url: imgSrc,
-          title: imgTitle,
-          caption: $(img).closest('figure').find('figcaption').text().trim() || ''
+    // Unchanged since the previous run and parsed the same way: reuse its result instead of parsing again
+    if (source.fromCache) {
+      const previous = await loadPreviousSportData(sport);
+      if (previous && !previous.sportInfo.error && previous.sportInfo.contentHash === source.contentHash &&
+          previous.sportInfo.parseFingerprint === parseFingerprint &&
+          (previous.sportInfo.adapter || 'html') === adapter && await bulletinsUnchanged(previous.sportInfo.bulletins)) {
+        log.info(`${sport.name} unchanged (${source.cacheStatus}), reusing previous result`, {
+          sport: sport.name,
+          url: sportUrl,
+          adapter,
+          status: source.status,
+          cacheStatus: source.cacheStatus,
+          durationMs: Date.now() - startTime
         });
+        previous.sportInfo.cacheStatus = 'cached';
+        // Same content as when it was parsed: the provenance stays the run that parsed it
+        previous.sportInfo.source = previous.sportInfo.source || sourceOf(fetchId);
+        stampSchoolIds(sport, previous);
+        return { sportData: previous, health: { status: 'cached' }, manifest: { status: 'cached', adapter, fetchId } };
       }
-    });
+    }
     
-    const sportData = {
-      sportInfo,
-      results,
-      matches,
-      standings,
-      medals,
-      news,
-      gallery
+    const parseStart = Date.now();
+    const { info, sections, stats, pdfLinks } = await source.parse();
+    
+    // Results, standings and medal lists published as PDF bulletins join the page's own
+    const bulletins = await readBulletins(sport, pdfLinks, sections);
+    
+    const sportInfo = {
+      name: sport.name,
+      url: sportUrl,
+      title: info.title || sport.name,
+      description: info.description || '',
+      adapter,
+      cacheStatus: 'fresh',
+      contentHash: source.contentHash,
+      parseFingerprint,
+      source: sourceOf(fetchId)
     };
+    if (info.heroImage) {
+      sportInfo.heroImage = info.heroImage;
+    }
+    if (bulletins.length > 0) {
+      sportInfo.bulletins = bulletins;
+    }
+    
+    const sportData = { sportInfo, ...sections };
+    
+    // Split category texts and titles into gender, age group, group and phase
+    categoryParser.stampSportData(sportData);
+    
+    // Athletics: parse marks into seconds/metres, classify events and rank athletes
+    if (sport.urlPath === 'atletismo') {
+      athletics.annotateSportData(sportData);
+    }
     
     // Remove empty arrays
     Object.keys(sportData).forEach(key => {
@@ -461,47 +1158,417 @@ async function scrapeSportPage(sport) {
       }
     });
     
-    // Save sport-specific data to file
-    const filename = `${sport.name.toLowerCase().replace(/\s+/g, '_')}.json`;
-    await saveToFile(filename, sportData);
-    return sportData;
+    // Give every school and team reference its stable schoolId
+    stampSchoolIds(sport, sportData);
+    
+    const parseMs = Date.now() - parseStart;
+    log.info(`${what} parsed`, {
+      sport: sport.name,
+      url: sportUrl,
+      adapter,
+      status: source.status,
+      cacheStatus: source.cacheStatus,
+      durationMs: Date.now() - startTime,
+      parseMs
+    });
+    return {
+      sportData,
+      health: { status: 'parsed', sections: stats.toJSON() },
+      manifest: { status: 'parsed', adapter, fetchId, parseMs }
+    };
   } catch (error) {
-    console.error(`Error scraping ${sport.name} page: ${error.message}`);
+    const errorInfo = retryPolicy.toErrorInfo(error, sportUrl);
+    log.error(`Error scraping ${what}: ${error.message}`, {
+      sport: sport.name,
+      url: sportUrl,
+      adapter,
+      status: errorInfo.status,
+      kind: errorInfo.kind,
+      durationMs: Date.now() - startTime
+    });
+    // A fetch error carries its own fetchId; a parse error belongs to the page that was fetched
+    fetchId = error.fetchId || fetchId;
     return {
-      sportInfo: {
-        name: sport.name,
-        url: sportUrl,
-        error: error.message
-      }
+      sportData: {
+        sportInfo: {
+          name: sport.name,
+          url: sportUrl,
+          adapter,
+          error: errorInfo,
+          source: sourceOf(fetchId)
+        }
+      },
+      health: { status: 'failed', error: errorInfo },
+      manifest: { status: 'failed', adapter, fetchId }
     };
   }
 }
 
+// Helper function to tell whether a sport came back with nothing (an error or no section at all)
+function isEmptySport(sportData) {
+  return !!sportData.sportInfo.error || Object.keys(sportData).every(key => key === 'sportInfo');
+}
+
+// Helper function to get the URL of a sport's page
+function getSportUrl(sport) {
+  return sport.url || `${CONFIG.baseUrl}${sport.urlPath}/`;
+}
+
+// Function to scrape a sport discipline with its adapter, falling back to the other adapter when
+// the first one fails or finds nothing
+async function scrapeSportPage(sport) {
+  const sportUrl = getSportUrl(sport);
+  const [adapter, fallback] = sportAdapters(sport);
+  
+  let scraped = await scrapeSportWith(adapter, sport, sportUrl);
+  if (isEmptySport(scraped.sportData)) {
+    log.info(`${sport.name}: nothing found through ${adapter}, trying ${fallback}`, { sport: sport.name, adapter, fallback });
+    const fallbackScraped = await scrapeSportWith(fallback, sport, sportUrl);
+    if (!isEmptySport(fallbackScraped.sportData)) {
+      fallbackScraped.sportData.sportInfo.fallbackFrom = {
+        adapter,
+        error: scraped.sportData.sportInfo.error || null
+      };
+      scraped = fallbackScraped;
+    }
+  }
+  
+  sportHealth.set(sport.name, scraped.health);
+  if (runManifest) runManifest.recordSport(sport.name, scraped.manifest);
+  
+  // Save sport-specific data to file (a failed sport keeps the file of its last good run)
+  if (!scraped.sportData.sportInfo.error) {
+    await saveToFile(getSportFileName(sport), scraped.sportData);
+  }
+  return scraped.sportData;
+}
+
+
+// Helper function to count the entries of each section of a sport
+function countSections(sportData) {
+  const counts = {};
+  selectorHealth.SECTIONS.forEach(section => {
+    counts[section] = (sportData[section] || []).length;
+  });
+  return counts;
+}
+
+// Read every sport again through the adapter it was not scraped with and write
+// adapter_comparison.json: the entries per section from each adapter and the sections where they
+// disagree. Only the comparison is saved; the sport files keep the adapter that was used.
+async function compareAdapters(sports, sportsData) {
+  const rows = await Promise.all(sports.map(async sport => {
+    const used = sportsData[sport.name].sportInfo.adapter || sportAdapters(sport)[0];
+    const other = ADAPTERS.find(adapter => adapter !== used);
+    const { sportData: otherData } = await scrapeSportWith(other, sport, getSportUrl(sport));
+    
+    const adapters = {};
+    [[used, sportsData[sport.name]], [other, otherData]].forEach(([adapter, sportData]) => {
+      adapters[adapter] = {
+        error: sportData.sportInfo.error ? sportData.sportInfo.error.message : null,
+        counts: countSections(sportData)
+      };
+    });
+    const differences = selectorHealth.SECTIONS.filter(section => adapters.html.counts[section] !== adapters.wordpress.counts[section]);
+    return { sport: sport.name, used, adapters, differences };
+  }));
+  
+  const comparison = { generatedAt: new Date().toISOString(), sports: rows };
+  await saveToFile('adapter_comparison.json', comparison);
+  const differing = rows.filter(row => row.differences.length > 0);
+  log.info(`Adapter comparison: ${differing.length} of ${rows.length} sports differ between html and wordpress`, {
+    differing: differing.map(row => row.sport)
+  });
+  differing.forEach(row => {
+    const detail = row.differences
+      .map(section => `${section} ${row.adapters.html.counts[section]}/${row.adapters.wordpress.counts[section]}`)
+      .join(', ');
+    log.info(`  ${row.sport} (html/wordpress): ${detail}`, { sport: row.sport, differences: row.differences });
+  });
+  return comparison;
+}
+
+// Set up record or replay mode for this run
+async function startArchiveSession(options) {
+  if (options.record && options.replay) {
+    throw new Error('Cannot record and replay in the same run');
+  }
+  
+  if (options.replay) {
+    const archivePath = httpArchive.resolveArchivePath(options.replay, CONFIG.archiveDir);
+    archiveSession.mode = 'replay';
+    archiveSession.archive = await httpArchive.loadArchive(archivePath);
+    log.info(`Replaying from archive: ${archivePath} (${archiveSession.archive.entries.length} pages, recorded ${archiveSession.archive.createdAt})`, {
+      archive: archivePath
+    });
+  } else if (options.record) {
+    archiveSession.mode = 'record';
+    archiveSession.archive = httpArchive.createArchive(CONFIG.baseUrl);
+    log.info('Recording fetched pages to archive');
+  } else {
+    archiveSession.mode = null;
+    archiveSession.archive = null;
+  }
+}
+
+// Write the recorded archive (if any) and reset the session
+async function finishArchiveSession() {
+  let archivePath = null;
+  if (archiveSession.mode === 'record') {
+    archivePath = await httpArchive.saveArchive(archiveSession.archive, CONFIG.archiveDir);
+    log.info(`Archive saved to ${archivePath}`, { archive: archivePath });
+  }
+  
+  archiveSession.mode = null;
+  archiveSession.archive = null;
+  return archivePath;
+}
+
+// Helper function to describe the crawl policy applied in this run
+function describeCrawlPolicy() {
+  return {
+    userAgent: CONFIG.userAgent,
+    robotsTxt: crawlPolicy.ignoreRobots ? 'ignored (--ignore-robots)' : 'respected',
+    crawlDelays: { ...crawlPolicy.crawlDelays }
+  };
+}
+
+// Store this run as a snapshot and write changes.json against the previous snapshot.
+// Replays are skipped: an old archive would break the chronological history.
+async function recordSnapshotAndDetectChanges(allData, replayedFrom) {
+  if (replayedFrom) {
+    log.info('Replay run: snapshot history and change detection skipped');
+    return null;
+  }
+  
+  const previous = await snapshotStore.loadLatestSnapshot(CONFIG.snapshotsDir);
+  const snapshotFile = await snapshotStore.saveSnapshot(allData, CONFIG.snapshotsDir, CONFIG.maxSnapshots);
+  log.info(`Snapshot saved: ${snapshotFile}`, { file: snapshotFile });
+  
+  const changes = changeDetector.detectChanges(previous ? previous.data : null, allData, {
+    previousSnapshot: previous ? previous.file : null,
+    currentSnapshot: snapshotFile
+  });
+  await saveToFile('changes.json', changes);
+  
+  if (changes.baseline) {
+    log.info('First snapshot: no previous run to compare with');
+  } else {
+    const totals = changes.totals;
+    log.info(`Changes since previous run: ${totals.newMatches} new matches, ${totals.updatedScores} updated scores, ` +
+             `${totals.newMedalWinners} new medal winners, ${totals.standingsChanges} standings changes, ${totals.removed} removed`, { changes: totals });
+  }
+  return changes;
+}
+
+// Helper function to gather the webhooks of a run (configured plus --webhook ones)
+function getWebhooks(options = {}) {
+  return [...CONFIG.notifications.webhooks, ...(options.webhooks || [])];
+}
+
+// Helper function to build the delivery options for the notifier
+function getNotifierOptions(options, eventTitle) {
+  return {
+    webhooks: getWebhooks(options),
+    eventTitle,
+    userAgent: CONFIG.userAgent,
+    maxRetries: CONFIG.notifications.maxRetries,
+    retryBaseDelayMs: CONFIG.notifications.retryBaseDelayMs,
+    maxRetryDelayMs: CONFIG.notifications.maxRetryDelayMs,
+    timeoutMs: CONFIG.notifications.timeoutMs,
+    logFile: CONFIG.notifications.deliveryLog
+  };
+}
+
+// Tell the webhooks about new or changed results; a failed delivery never fails the run
+async function notifyWebhooks(changes, options, eventTitle) {
+  if (!changes || !changes.hasChanges || getWebhooks(options).length === 0) return [];
+  
+  const deliveries = await notifier.notifyChanges(changes, getNotifierOptions(options, eventTitle));
+  deliveries.forEach(delivery => {
+    if (delivery.ok) {
+      log.info(`Webhook ${delivery.webhook} notified (${delivery.attempts.length} attempt(s))`, {
+        webhook: delivery.webhook,
+        status: delivery.status,
+        attempts: delivery.attempts.length
+      });
+    } else {
+      log.error(`Webhook ${delivery.webhook} failed: ${delivery.error.message}`, {
+        webhook: delivery.webhook,
+        status: delivery.status,
+        attempts: delivery.attempts.length
+      });
+    }
+  });
+  return deliveries.map(delivery => ({
+    webhook: delivery.webhook,
+    deliveryId: delivery.deliveryId,
+    ok: delivery.ok,
+    status: delivery.status,
+    attempts: delivery.attempts.length
+  }));
+}
+
+// Send a test event to every webhook (run-scraper's notify-test command)
+async function testWebhooks(options = {}) {
+  return notifier.sendTestNotification(getNotifierOptions(options, CONFIG.editionInfo.name));
+}
+
+// Helper function to read the summary written by the previous run, if any
+async function loadPreviousSummary() {
+  try {
+    return JSON.parse(await readFileAsync(path.join(CONFIG.outputDir, 'summary.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Build the sport list for this run from the site navigation, category pages and sitemap
+async function discoverSportList(mainPageData, previousSummary) {
+  log.info('Discovering sport disciplines from the site navigation and sitemap');
+  const discovery = await sportDiscovery.discoverSports({
+    baseUrl: CONFIG.baseUrl,
+    mainPageData,
+    configuredSports: editionSports(),
+    allow: CONFIG.discovery.allow,
+    deny: CONFIG.discovery.deny,
+    fetchPage: url => fetchWithRetry(url, {}, 0),
+    log: message => log.info(message)
+  });
+  
+  // Keep the date a discipline was first seen across runs
+  const previouslySeen = previousSummary?.discovery?.newDisciplines || [];
+  const now = new Date().toISOString();
+  const newDisciplines = discovery.newDisciplines.map(discipline => {
+    const seen = previouslySeen.find(previous => previous.urlPath === discipline.urlPath);
+    return { ...discipline, firstSeenAt: seen ? seen.firstSeenAt : now };
+  });
+  
+  newDisciplines.forEach(discipline => {
+    log.info(`New discipline discovered: ${discipline.name} (${discipline.urlPath}) via ${discipline.sources.join(', ')}`, {
+      sport: discipline.name,
+      urlPath: discipline.urlPath
+    });
+  });
+  
+  return {
+    sports: discovery.sports,
+    summary: {
+      enabled: true,
+      discoveredCount: discovery.discovered.length,
+      newDisciplines
+    }
+  };
+}
+
+// Write the manifest of the current run (manifests/run_<runId>.json in the output directory)
+async function saveRunManifest(extra) {
+  const manifest = runManifest.build(extra);
+  await runManifests.saveManifest(CONFIG.outputDir, runManifest.file, manifest, CONFIG.maxManifests);
+  log.info(`Run manifest saved: ${runManifest.file} (${manifest.stats.requests} requests, ${manifest.stats.cacheHits + manifest.stats.revalidated} from cache)`, {
+    manifest: runManifest.file,
+    requests: manifest.stats.requests
+  });
+  return manifest;
+}
+
 // Main function to run the scraper
-async function runScraper() {
-  console.log('Starting enhanced web scraper for Juegos Nacionales Salesianos 2025');
-  console.log(`Output directory: ${CONFIG.outputDir}`);
+// options.discover: build the sport list from the site instead of using only the edition's sports
+// options.ignoreRobots: explicit override to skip robots.txt (logged, recorded in the output)
+// options.noCache: ignore the HTTP cache and download every page again
+// options.record: archive every fetch; options.replay: parse from an archive without network
+// options.noMedia: do not download images for the reports
+// options.noPdf: do not read the PDF bulletins linked from sport pages
+// options.compareAdapters: also read every sport through its other adapter (adapter_comparison.json)
+async function runScraper(options = {}) {
+  const startTime = Date.now();
+  log.info(`Starting enhanced web scraper for ${CONFIG.editionInfo.name}`, { edition: CONFIG.editionInfo.id });
+  log.info(`Output directory: ${CONFIG.outputDir}`, { outputDir: CONFIG.outputDir });
   
   try {
     // Ensure output directory exists
     await ensureDirectoryExists(CONFIG.outputDir);
     
-    // Create log file and start logging
-    const logFile = path.join(CONFIG.outputDir, 'scraping_log.txt');
-    const logEntry = `Scraping started at: ${new Date().toISOString()}\n`;
-    await writeFileAsync(logFile, logEntry, { flag: 'a' });
+    // Load and validate the extraction profiles up front so a broken profile fails fast
+    await getExtractionProfiles();
+    
+    // Reload the school registry every run so edits apply without restarting watch mode
+    const registry = await schoolRegistry.loadRegistry(CONFIG.schoolsFile);
+    schoolCanon.matcher = schoolRegistry.createMatcher(registry, CONFIG.schoolMatching);
+    schoolCanon.registryHash = runManifests.hashBody(JSON.stringify(registry));
+    schoolCanon.collector = schoolRegistry.createProposalCollector();
+    
+    // Prepare record/replay and a fresh scheduler before any request is made
+    await startArchiveSession(options);
+    scheduler = createSchedulerFromConfig();
+    httpCacheEnabled = !options.noCache;
+    circuitBreakers = new Map();
+    sportHealth = new Map();
+    crawlPolicy.ignoreRobots = !!options.ignoreRobots;
+    crawlPolicy.robotsByHost = new Map();
+    crawlPolicy.crawlDelays = {};
+    bulletinSession.enabled = !options.noPdf && CONFIG.pdf.maxPerSport > 0;
+    bulletinSession.store = null;
+    runManifest = runManifests.createRunManifest({
+      runId: logger.getRunId(),
+      toolVersion,
+      config: CONFIG,
+      options: {
+        discover: !!options.discover,
+        ignoreRobots: !!options.ignoreRobots,
+        noCache: !!options.noCache,
+        noMedia: !!options.noMedia,
+        noPdf: !!options.noPdf,
+        compareAdapters: !!options.compareAdapters,
+        record: !!options.record,
+        replay: options.replay || null
+      }
+    });
+    const replayedFrom = archiveSession.mode === 'replay' ? archiveSession.archive.createdAt : null;
+    
+    log.debug('Scraping started', {
+      userAgent: CONFIG.userAgent,
+      baseUrl: CONFIG.baseUrl,
+      archiveMode: archiveSession.mode,
+      ignoreRobots: crawlPolicy.ignoreRobots
+    });
+    if (crawlPolicy.ignoreRobots) {
+      log.warn('WARNING: robots.txt rules are being ignored (--ignore-robots override)', { ignoreRobots: true });
+    }
     
     // Scrape main page
+    const previousSummary = await loadPreviousSummary();
+    let endPhase = runManifest.startPhase('mainPage');
     const mainPageData = await scrapeMainPage();
-    await delay(CONFIG.requestDelay);
+    endPhase();
     
-    // Scrape each sport discipline
+    // Decide which sports to scrape
+    let sports = editionSports();
+    let discoverySummary = { enabled: false };
+    if (options.discover) {
+      endPhase = runManifest.startPhase('discovery');
+      const discovery = await discoverSportList(mainPageData, previousSummary);
+      endPhase();
+      sports = discovery.sports;
+      discoverySummary = discovery.summary;
+    }
+    
+    // Scrape every sport discipline; the scheduler keeps the load on the server within budget
+    endPhase = runManifest.startPhase('sports');
+    const sportResults = await Promise.all(sports.map(sport => scrapeSportPage(sport)));
+    endPhase();
     const sportsData = {};
-    for (const sport of SPORTS) {
-      sportsData[sport.name] = await scrapeSportPage(sport);
-      // Add a delay between requests to be respectful to the server
-      await delay(CONFIG.requestDelay);
+    sports.forEach((sport, i) => {
+      sportsData[sport.name] = sportResults[i];
+    });
+    
+    let adapterComparison = null;
+    if (options.compareAdapters) {
+      endPhase = runManifest.startPhase('compareAdapters');
+      adapterComparison = await compareAdapters(sports, sportsData);
+      endPhase();
     }
+    await saveBulletinStore();
     
     // Save combined data
     const allData = {
@@ -509,19 +1576,43 @@ async function runScraper() {
       sports: sportsData,
       metadata: {
         scrapedAt: new Date().toISOString(),
-        version: '1.0.0',
+        version: dataSchema.CURRENT_VERSION,
+        replayedFrom,
+        runId: runManifest.runId,
+        manifest: runManifest.file,
+        edition: { id: CONFIG.editionInfo.id, year: CONFIG.editionInfo.year, name: CONFIG.editionInfo.name },
+        crawlPolicy: describeCrawlPolicy(),
         config: {
           baseUrl: CONFIG.baseUrl,
-          sportsScraped: SPORTS.map(s => s.name)
+          sportsScraped: sports.map(s => s.name)
         }
       }
     };
     
+    warnIfInvalid('all_data.json', dataSchema.validate('all-data.schema.json', allData));
     await saveToFile('all_data.json', allData);
+    const schoolNames = await saveSchoolProposals();
+    const health = await saveHealthReport();
+    
+    // Replays stay offline: they use the images mirrored when the archive was recorded
+    endPhase = runManifest.startPhase('media');
+    const media = options.noMedia || archiveSession.mode === 'replay' ? null : await mirrorMedia(allData);
+    endPhase();
+    
+    // Keep a timestamped snapshot and compare it with the previous one
+    endPhase = runManifest.startPhase('changes');
+    const changes = await recordSnapshotAndDetectChanges(allData, replayedFrom);
+    endPhase();
+    const eventTitle = mainPageData?.generalInfo?.title || CONFIG.editionInfo.name;
+    endPhase = runManifest.startPhase('notifications');
+    const notifications = await notifyWebhooks(changes, options, eventTitle);
+    endPhase();
     
     // Create a summary file with key information
     const summary = {
-      eventTitle: mainPageData?.generalInfo?.title || 'Juegos Nacionales Salesianos 2025',
+      eventTitle,
+      runId: runManifest.runId,
+      manifest: runManifest.file,
       lastUpdated: new Date().toISOString(),
       sports: Object.keys(sportsData).map(sportName => {
         const sport = sportsData[sportName];
@@ -531,30 +1622,70 @@ async function runScraper() {
           matchesCount: sport?.matches?.length || 0,
           hasStandings: !!sport?.standings?.length,
           hasMedals: !!sport?.medals?.length,
+          adapter: sport?.sportInfo?.adapter,
+          fallbackFrom: sport?.sportInfo?.fallbackFrom?.adapter,
+          cacheStatus: sport?.sportInfo?.cacheStatus,
           error: sport?.sportInfo?.error
         };
-      })
+      }),
+      cache: {
+        fresh: Object.keys(sportsData).filter(name => sportsData[name]?.sportInfo?.cacheStatus === 'fresh'),
+        cached: Object.keys(sportsData).filter(name => sportsData[name]?.sportInfo?.cacheStatus === 'cached')
+      },
+      changes: changes
+        ? { hasChanges: changes.hasChanges, baseline: changes.baseline, totals: changes.totals }
+        : null,
+      notifications,
+      schools: schoolNames,
+      health: { status: health.status, alerts: health.alerts.length },
+      media,
+      bulletins: bulletinSession.enabled ? summarizeBulletins(sportsData) : null,
+      adapterComparison: adapterComparison
+        ? { file: 'adapter_comparison.json', differing: adapterComparison.sports.filter(row => row.differences.length > 0).map(row => row.sport) }
+        : null,
+      discovery: discoverySummary,
+      crawlPolicy: describeCrawlPolicy()
     };
     
+    warnIfInvalid('summary.json', dataSchema.validate('summary.schema.json', summary));
     await saveToFile('summary.json', summary);
     
-    // Update log
-    const completionLog = `Scraping completed at: ${new Date().toISOString()}\n` +
-                          `Total sports scraped: ${Object.keys(sportsData).length}\n` +
-                          `Results saved to: ${CONFIG.outputDir}\n\n`;
-    await writeFileAsync(logFile, completionLog, { flag: 'a' });
+    const archivePath = await finishArchiveSession();
+    const manifest = await saveRunManifest({ archive: archivePath });
     
-    console.log('Web scraping completed successfully!');
+    log.info('Web scraping completed successfully!', {
+      sports: Object.keys(sportsData).length,
+      requests: scheduler.stats.scheduled,
+      maxParallel: scheduler.stats.maxActive,
+      requestsPerSecond: CONFIG.requestsPerSecond,
+      fresh: summary.cache.fresh.length,
+      cached: summary.cache.cached.length,
+      health: health.status,
+      archive: archivePath || undefined,
+      replayedFrom: replayedFrom || undefined,
+      manifest: runManifest.file,
+      bytes: manifest.stats.bytes,
+      retries: manifest.stats.retries,
+      durationMs: Date.now() - startTime
+    });
     return summary;
   } catch (error) {
-    console.error('Fatal error in the scraping process:', error);
-    
-    // Log error
-    const errorLog = `ERROR at ${new Date().toISOString()}: ${error.message}\n${error.stack}\n\n`;
-    const logFile = path.join(CONFIG.outputDir, 'scraping_log.txt');
-    await writeFileAsync(logFile, errorLog, { flag: 'a' });
-    
+    log.error(`Fatal error in the scraping process: ${error.message}`, { error, durationMs: Date.now() - startTime });
+    // Keep what was fetched before the failure (a recorded archive replays it); the original error
+    // is the one reported
+    const archivePath = await finishArchiveSession().catch(saveError => {
+      log.warn(`Could not save the archive: ${saveError.message}`, { error: saveError });
+      archiveSession.mode = null;
+      archiveSession.archive = null;
+      return null;
+    });
+    if (runManifest) {
+      await saveRunManifest({ archive: archivePath, error: { message: error.message, kind: error.kind || null } })
+        .catch(saveError => log.warn(`Could not save the run manifest: ${saveError.message}`, { error: saveError }));
+    }
     throw error;
+  } finally {
+    runManifest = null;
   }
 }
 
@@ -562,11 +1693,11 @@ async function runScraper() {
 if (require.main === module) {
   runScraper()
     .then(() => {
-      console.log('Scraping process completed.');
+      log.info('Scraping process completed.');
       process.exit(0);
     })
     .catch(error => {
-      console.error('Scraping process failed with error:', error);
+      log.error(`Scraping process failed with error: ${error.message}`, { error });
       process.exit(1);
     });
 } else {
@@ -575,6 +1706,8 @@ if (require.main === module) {
     runScraper,
     scrapeMainPage,
     scrapeSportPage,
+    testWebhooks,
+    applyConfig,
     CONFIG,
     SPORTS
   };
@@ -0,0 +1,298 @@
+// extraction-profiles.js
+const fs = require('fs');
+const cheerio = require('cheerio');
+const { promisify } = require('util');
+
+const readFileAsync = promisify(fs.readFile);
+
+// Sections a sport profile may define and the kind of extraction each one uses
+const SECTION_TYPES = {
+  sportInfo: 'fields',
+  results: 'table',
+  matches: 'records',
+  standings: 'rows',
+  medals: 'items',
+  news: 'records',
+  gallery: 'items'
+};
+
+const SCOPES = ['find', 'self', 'prev'];
+const MATCH_MODES = ['all', 'first', 'list'];
+
+// Post-processing steps that can be applied to an extracted value
+const TRANSFORMS = {
+  trim: value => value.trim(),
+  collapseWhitespace: value => value.replace(/\s+/g, ' ').trim(),
+  lowercase: value => value.toLowerCase(),
+  uppercase: value => value.toUpperCase(),
+  stripAccents: value => value.normalize('NFD').replace(/[\u0300-\u036f]/g, ''),
+  number: value => {
+    const number = parseFloat(value.replace(',', '.'));
+    return Number.isNaN(number) ? value : number;
+  }
+};
+
+// Helper function to check if a value is a plain object
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merge a sport override into the default profile (objects merge, arrays and values replace)
+function mergeProfiles(base, override) {
+  const merged = { ...base };
+
+  Object.keys(override || {}).forEach(key => {
+    merged[key] = isPlainObject(base[key]) && isPlainObject(override[key])
+      ? mergeProfiles(base[key], override[key])
+      : override[key];
+  });
+
+  return merged;
+}
+
+// Check that a CSS selector can be parsed by cheerio
+function isValidSelector(selector) {
+  try {
+    cheerio.load('<div></div>')('div').find(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Validate a single field spec, collecting problems into errors
+function validateField(field, where, errors) {
+  if (!isPlainObject(field)) {
+    errors.push(`${where}: field must be an object`);
+    return;
+  }
+
+  if (!Array.isArray(field.candidates) || field.candidates.length === 0) {
+    errors.push(`${where}: "candidates" must be a non-empty array`);
+  } else {
+    field.candidates.forEach((candidate, i) => {
+      const at = `${where}.candidates[${i}]`;
+      const scope = candidate.scope || 'find';
+
+      if (!SCOPES.includes(scope)) {
+        errors.push(`${at}: unknown scope "${scope}" (expected ${SCOPES.join(', ')})`);
+      }
+      if (candidate.match && !MATCH_MODES.includes(candidate.match)) {
+        errors.push(`${at}: unknown match mode "${candidate.match}" (expected ${MATCH_MODES.join(', ')})`);
+      }
+      if (candidate.column !== undefined && candidate.column !== 'last' &&
+          !(Number.isInteger(candidate.column) && candidate.column > 0)) {
+        errors.push(`${at}: "column" must be a positive integer or "last"`);
+      }
+      if (!candidate.selector && candidate.column === undefined && scope !== 'self') {
+        errors.push(`${at}: needs a "selector" or a "column"`);
+      }
+      ['selector', 'closest'].forEach(key => {
+        if (candidate[key] !== undefined && (typeof candidate[key] !== 'string' || !isValidSelector(candidate[key]))) {
+          errors.push(`${at}: invalid ${key} "${candidate[key]}"`);
+        }
+      });
+    });
+  }
+
+  (field.transform || []).forEach(name => {
+    if (!TRANSFORMS[name]) {
+      errors.push(`${where}: unknown transform "${name}" (expected ${Object.keys(TRANSFORMS).join(', ')})`);
+    }
+  });
+}
+
+// Validate a resolved (default + override) sport profile
+function validateProfile(profile, name) {
+  const errors = [];
+
+  Object.keys(profile).forEach(section => {
+    if (section === 'description') return;
+    if (!SECTION_TYPES[section]) {
+      errors.push(`${name}: unknown section "${section}"`);
+    }
+  });
+
+  Object.keys(SECTION_TYPES).forEach(section => {
+    const spec = profile[section];
+    const where = `${name}.${section}`;
+
+    if (!isPlainObject(spec)) {
+      errors.push(`${where}: section is missing`);
+      return;
+    }
+
+    if (SECTION_TYPES[section] === 'fields') {
+      Object.keys(spec).forEach(key => validateField(spec[key], `${where}.${key}`, errors));
+      return;
+    }
+
+    ['container', 'rows', 'cells', 'items'].forEach(key => {
+      if (spec[key] !== undefined && (typeof spec[key] !== 'string' || !isValidSelector(spec[key]))) {
+        errors.push(`${where}: invalid ${key} selector "${spec[key]}"`);
+      }
+    });
+    if (!spec.container) {
+      errors.push(`${where}: "container" selector is required`);
+    }
+    if (SECTION_TYPES[section] === 'items' && !spec.items) {
+      errors.push(`${where}: "items" selector is required`);
+    }
+    if (['table', 'rows'].includes(SECTION_TYPES[section]) && !spec.rows) {
+      errors.push(`${where}: "rows" selector is required`);
+    }
+
+    ['title', 'category'].forEach(key => {
+      if (spec[key] !== undefined) validateField(spec[key], `${where}.${key}`, errors);
+    });
+
+    if (SECTION_TYPES[section] !== 'table') {
+      if (!isPlainObject(spec.fields) || Object.keys(spec.fields).length === 0) {
+        errors.push(`${where}: "fields" must map at least one output field`);
+      } else {
+        Object.keys(spec.fields).forEach(key => validateField(spec.fields[key], `${where}.fields.${key}`, errors));
+        [...(spec.required || []), ...(spec.requireAny || [])].forEach(key => {
+          if (!spec.fields[key]) {
+            errors.push(`${where}: required field "${key}" is not defined in "fields"`);
+          }
+        });
+      }
+    }
+  });
+
+  return errors;
+}
+
+// Resolve the profile for a sport: the default profile with the sport's overrides applied
+function getSportProfile(profiles, sport) {
+  return mergeProfiles(profiles.default, profiles.sports[sport.urlPath]);
+}
+
+// Validate the whole profiles document: the default profile and every sport override
+function validateProfiles(profiles) {
+  if (!isPlainObject(profiles) || !isPlainObject(profiles.default)) {
+    return ['profiles file must contain a "default" profile'];
+  }
+  if (profiles.sports !== undefined && !isPlainObject(profiles.sports)) {
+    return ['"sports" must map sport URL paths to profile overrides'];
+  }
+
+  const errors = validateProfile(profiles.default, 'default');
+  Object.keys(profiles.sports || {}).forEach(urlPath => {
+    const resolved = mergeProfiles(profiles.default, profiles.sports[urlPath]);
+    errors.push(...validateProfile(resolved, `sports.${urlPath}`));
+  });
+
+  return errors;
+}
+
+// Load and validate the extraction profiles file
+async function loadProfiles(filePath) {
+  let profiles;
+  try {
+    profiles = JSON.parse(await readFileAsync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read extraction profiles from ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateProfiles(profiles);
+  if (errors.length > 0) {
+    throw new Error(`Invalid extraction profiles in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  profiles.sports = profiles.sports || {};
+  return profiles;
+}
+
+// Select the elements a candidate points to, relative to element (or the whole page)
+function selectCandidate($, element, candidate) {
+  let base = element ? $(element) : $.root();
+  if (candidate.closest) {
+    base = base.closest(candidate.closest);
+  }
+
+  let nodes;
+  if (candidate.column !== undefined) {
+    nodes = candidate.column === 'last'
+      ? base.find('td').last()
+      : base.find(`td:nth-child(${candidate.column})`);
+  } else if (candidate.scope === 'self') {
+    nodes = base;
+  } else if (candidate.scope === 'prev') {
+    nodes = base.prev(candidate.selector);
+  } else {
+    nodes = base.find(candidate.selector);
+  }
+
+  return candidate.match === 'first' ? nodes.first() : nodes;
+}
+
+// Apply a field's transforms to a string value
+function applyTransforms(value, transforms = []) {
+  return transforms.reduce((result, name) => typeof result === 'string' ? TRANSFORMS[name](result) : result, value);
+}
+
+// Describe a candidate for reports ("h2, h3 (prev)", "column 2", "h3 in .category-container")
+function describeCandidate(candidate) {
+  if (candidate.column !== undefined) return `column ${candidate.column}`;
+
+  let text = candidate.scope === 'self' ? '(self)' : candidate.selector;
+  if (candidate.scope === 'prev') text += ' (prev)';
+  if (candidate.closest) text += ` in ${candidate.closest}`;
+  if (candidate.attr) text += ` @${candidate.attr}`;
+  return text;
+}
+
+// Extract one output field: candidates are tried in order until one yields a value.
+// onMatch (optional) is called with the candidate that produced the value, or null if none did.
+function extractField($, element, field, vars = {}, onMatch = null) {
+  for (const candidate of field.candidates) {
+    const nodes = selectCandidate($, element, candidate);
+
+    if (candidate.match === 'list') {
+      const values = nodes.map((i, el) => {
+        const value = candidate.attr ? $(el).attr(candidate.attr) || '' : $(el).text().trim();
+        return applyTransforms(value, field.transform);
+      }).get();
+      if (values.length > 0) {
+        if (onMatch) onMatch(candidate);
+        return values;
+      }
+      continue;
+    }
+
+    const raw = candidate.attr ? nodes.attr(candidate.attr) || '' : nodes.text().trim();
+    const value = applyTransforms(raw, field.transform);
+    if (value !== '') {
+      if (onMatch) onMatch(candidate);
+      return value;
+    }
+  }
+
+  if (onMatch) onMatch(null);
+
+  if (field.default !== undefined) {
+    return field.default.replace(/\{(\w+)\}/g, (placeholder, name) => vars[name] !== undefined ? vars[name] : placeholder);
+  }
+
+  return field.candidates.some(candidate => candidate.match === 'list') ? [] : '';
+}
+
+// Extract every field of a record from one element (onMatch, if given, receives the field name and candidate)
+function extractRecord($, element, fields, vars = {}, onMatch = null) {
+  const record = {};
+  Object.keys(fields).forEach(key => {
+    record[key] = extractField($, element, fields[key], vars, onMatch && (candidate => onMatch(key, candidate)));
+  });
+  return record;
+}
+
+module.exports = {
+  loadProfiles,
+  validateProfiles,
+  getSportProfile,
+  extractField,
+  extractRecord,
+  describeCandidate,
+  TRANSFORMS
+};
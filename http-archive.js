@@ -0,0 +1,137 @@
+// http-archive.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./atomic-write');
+
+const readFileAsync = promisify(fs.readFile);
+const mkdirAsync = promisify(fs.mkdir);
+
+const ARCHIVE_FORMAT_VERSION = 1;
+
+// Create an empty archive to record fetches into
+function createArchive(baseUrl) {
+  return {
+    formatVersion: ARCHIVE_FORMAT_VERSION,
+    baseUrl,
+    createdAt: new Date().toISOString(),
+    entries: []
+  };
+}
+
+// Compute the content hash stored with each archived body
+function hashContent(body) {
+  return crypto.createHash('sha256').update(body, 'utf8').digest('hex');
+}
+
+// Convert axios headers (AxiosHeaders or plain object) into a plain object
+function toPlainHeaders(headers) {
+  if (!headers) return {};
+  if (typeof headers.toJSON === 'function') return headers.toJSON();
+  return { ...headers };
+}
+
+// Add a fetched response to the archive
+function recordResponse(archive, url, response) {
+  const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+  const entry = {
+    url,
+    status: response.status,
+    headers: toPlainHeaders(response.headers),
+    body,
+    timestamp: new Date().toISOString(),
+    contentHash: hashContent(body)
+  };
+
+  // Keep only the latest capture of a URL so replay is deterministic
+  archive.entries = archive.entries.filter(existing => existing.url !== url);
+  archive.entries.push(entry);
+  return entry;
+}
+
+// Build an axios-like response from an archived entry
+function replayResponse(archive, url) {
+  const entry = archive.entries.find(existing => existing.url === url);
+  if (!entry) {
+    const error = new Error(`URL not found in archive: ${url}`);
+    error.code = 'ARCHIVE_MISS';
+    throw error;
+  }
+
+  if (hashContent(entry.body) !== entry.contentHash) {
+    throw new Error(`Archived body for ${url} does not match its content hash`);
+  }
+
+  const response = {
+    status: entry.status,
+    headers: { ...entry.headers },
+    data: entry.body,
+    config: { url },
+    fromArchive: true,
+    archivedAt: entry.timestamp,
+    contentHash: entry.contentHash
+  };
+
+  // Archived error responses fail the same way axios did when they were recorded
+  if (entry.status < 200 || entry.status >= 300) {
+    const error = new Error(`Request failed with status code ${entry.status}`);
+    error.response = response;
+    throw error;
+  }
+
+  return response;
+}
+
+// Write the archive to a timestamped JSON file inside archiveDir
+async function saveArchive(archive, archiveDir) {
+  await mkdirAsync(archiveDir, { recursive: true });
+  const stamp = archive.createdAt.replace(/[:.]/g, '-');
+  const filePath = path.join(archiveDir, `archive_${stamp}.json`);
+  await writeFileAtomic(filePath, JSON.stringify(archive, null, 2), 'utf8');
+  return filePath;
+}
+
+// Resolve an archive reference: an explicit path, a file name inside archiveDir or "latest"
+function resolveArchivePath(reference, archiveDir) {
+  if (reference === 'latest') {
+    const files = fs.existsSync(archiveDir)
+      ? fs.readdirSync(archiveDir).filter(file => /^archive_.*\.json$/.test(file)).sort()
+      : [];
+    if (files.length === 0) {
+      throw new Error(`No archives found in ${archiveDir}`);
+    }
+    return path.join(archiveDir, files[files.length - 1]);
+  }
+
+  if (fs.existsSync(reference)) {
+    return path.resolve(reference);
+  }
+
+  const inArchiveDir = path.join(archiveDir, reference);
+  if (fs.existsSync(inArchiveDir)) {
+    return inArchiveDir;
+  }
+
+  throw new Error(`Archive not found: ${reference}`);
+}
+
+// Load an archive from disk and check its format
+async function loadArchive(filePath) {
+  const archive = JSON.parse(await readFileAsync(filePath, 'utf8'));
+  if (archive.formatVersion !== ARCHIVE_FORMAT_VERSION || !Array.isArray(archive.entries)) {
+    throw new Error(`Unsupported archive format in ${filePath}`);
+  }
+  return archive;
+}
+
+module.exports = {
+  createArchive,
+  recordResponse,
+  replayResponse,
+  saveArchive,
+  loadArchive,
+  resolveArchivePath,
+  hashContent,
+  toPlainHeaders
+};
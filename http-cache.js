@@ -0,0 +1,116 @@
+// http-cache.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./atomic-write');
+
+const readFileAsync = promisify(fs.readFile);
+const mkdirAsync = promisify(fs.mkdir);
+
+// Helper function to get the cache file for a URL
+function cacheFilePath(cacheDir, url) {
+  const key = crypto.createHash('sha1').update(url).digest('hex');
+  return path.join(cacheDir, `${key}.json`);
+}
+
+// Parse a Cache-Control header into { 'max-age': 60, 'no-cache': true, ... }
+function parseCacheControl(header) {
+  const directives = {};
+  String(header || '').split(',').forEach(part => {
+    const [name, value] = part.trim().split('=');
+    if (!name) return;
+    const key = name.toLowerCase();
+    directives[key] = value === undefined ? true : parseInt(value.replace(/"/g, ''), 10);
+  });
+  return directives;
+}
+
+// Read the cached entry for a URL (null if there is none or it cannot be read)
+async function lookup(cacheDir, url) {
+  try {
+    const entry = JSON.parse(await readFileAsync(cacheFilePath(cacheDir, url), 'utf8'));
+    return entry.url === url ? entry : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Check whether an entry can be used without contacting the server
+function isFresh(entry, now = Date.now()) {
+  const cacheControl = parseCacheControl(entry.headers['cache-control']);
+  if (cacheControl['no-cache'] || cacheControl['no-store']) return false;
+
+  const age = (now - new Date(entry.storedAt).getTime()) / 1000;
+  if (Number.isInteger(cacheControl['max-age'])) {
+    return age < cacheControl['max-age'];
+  }
+
+  if (entry.headers.expires) {
+    const expires = new Date(entry.headers.expires).getTime();
+    return !Number.isNaN(expires) && now < expires;
+  }
+
+  // No explicit freshness information: always revalidate
+  return false;
+}
+
+// Headers for a conditional request revalidating the entry
+function conditionalHeaders(entry) {
+  const headers = {};
+  if (entry.headers.etag) {
+    headers['If-None-Match'] = entry.headers.etag;
+  }
+  if (entry.headers['last-modified']) {
+    headers['If-Modified-Since'] = entry.headers['last-modified'];
+  }
+  return headers;
+}
+
+// Check whether an entry carries a validator the server can answer with 304
+function canRevalidate(entry) {
+  return !!(entry.headers.etag || entry.headers['last-modified']);
+}
+
+// Store a 200 response (unless the server forbids it with no-store)
+async function store(cacheDir, url, response, headers) {
+  if (parseCacheControl(headers['cache-control'])['no-store']) return null;
+
+  const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+  const entry = {
+    url,
+    status: response.status,
+    headers,
+    storedAt: new Date().toISOString(),
+    contentHash: crypto.createHash('sha256').update(body, 'utf8').digest('hex'),
+    body
+  };
+
+  await mkdirAsync(cacheDir, { recursive: true });
+  await writeFileAtomic(cacheFilePath(cacheDir, url), JSON.stringify(entry), 'utf8');
+  return entry;
+}
+
+// Update an entry after a 304: new validators/freshness headers, same body
+async function refresh(cacheDir, entry, headers) {
+  const updated = {
+    ...entry,
+    headers: { ...entry.headers, ...headers },
+    storedAt: new Date().toISOString()
+  };
+
+  if (parseCacheControl(updated.headers['cache-control'])['no-store']) return updated;
+
+  await writeFileAtomic(cacheFilePath(cacheDir, entry.url), JSON.stringify(updated), 'utf8');
+  return updated;
+}
+
+module.exports = {
+  lookup,
+  store,
+  refresh,
+  isFresh,
+  canRevalidate,
+  conditionalHeaders,
+  parseCacheControl
+};
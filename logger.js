@@ -0,0 +1,221 @@
+// logger.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const appConfig = require('./config');
+
+// Levels by severity; "silent" only exists to turn the console off
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Helper function to take the logger's part of the shared settings (see config.js)
+function loggerSettings(settings) {
+  return { ...settings.logging };
+}
+
+// Logging configuration: console level, JSON lines file and its rotation
+const CONFIG = loggerSettings(appConfig.getConfig().values);
+
+// The current run: its id and the fields every entry of the run carries (command, edition...)
+const run = { id: null, fields: {} };
+
+// Console level forced for a while (watch mode mutes the scraper between its own lines)
+let consoleOverride = null;
+
+// The log file being written, its size, whether its directory exists, the lines waiting for it
+// and whether writing it already failed
+const logFile = { path: null, size: 0, ready: false, pending: [], failed: false };
+
+// Lines kept in memory while the log file's directory cannot be created yet
+const MAX_PENDING_LINES = 1000;
+
+// Apply a configuration loaded with CLI flags to this module
+function applyConfig(settings) {
+  Object.assign(CONFIG, loggerSettings(settings));
+}
+
+// Helper function to make a run id: start time plus a random suffix ("20250315T101500-3f9a1c")
+function newRunId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Start a run: every entry until the next startRun carries its id and `fields`. Returns the id.
+function startRun(fields = {}) {
+  run.id = newRunId();
+  run.fields = { ...fields };
+  return run.id;
+}
+
+// Id of the current run (one is started on first use, e.g. when a module runs on its own)
+function getRunId() {
+  if (!run.id) startRun();
+  return run.id;
+}
+
+// Helper function to make fields JSON-friendly (errors keep their message, kind and stack)
+function serializeFields(fields) {
+  const serialized = {};
+  Object.keys(fields).forEach(key => {
+    const value = fields[key];
+    if (value instanceof Error) {
+      serialized[key] = { message: value.message, kind: value.kind, stack: value.stack };
+    } else if (value !== undefined) {
+      serialized[key] = value;
+    }
+  });
+  return serialized;
+}
+
+// Helper function to rotate the log file: file -> file.1 -> file.2 ..., keeping maxFiles old files
+function rotate(filePath) {
+  const oldest = `${filePath}.${CONFIG.maxFiles}`;
+  if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+  for (let i = CONFIG.maxFiles - 1; i >= 1; i--) {
+    if (fs.existsSync(`${filePath}.${i}`)) fs.renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+  }
+  fs.renameSync(filePath, `${filePath}.1`);
+}
+
+// Helper function to check that the log file's directory exists, creating only its last level
+// (the default <outputDir>/logs): the data directory itself is left to the commands that write
+// output, so a command that writes nothing (e.g. "process" with no data) leaves nothing behind
+function prepareLogDir(filePath) {
+  const dir = path.dirname(filePath);
+  if (fs.existsSync(dir)) return true;
+  if (!fs.existsSync(path.dirname(dir))) return false;
+  fs.mkdirSync(dir);
+  return true;
+}
+
+// Helper function to write one line to the open log file, rotating it first when it is full
+function writeLine(filePath, line) {
+  const bytes = Buffer.byteLength(line);
+  if (logFile.size > 0 && logFile.size + bytes > CONFIG.maxBytes) {
+    rotate(filePath);
+    logFile.size = 0;
+  }
+  fs.appendFileSync(filePath, line, 'utf8');
+  logFile.size += bytes;
+}
+
+// Helper function to append one line to the log file. Writes are synchronous so lines keep their
+// order across concurrent requests and the last ones before a crash are not lost. Until the
+// directory can be made, lines wait in memory and are written first once it exists.
+function appendLine(line) {
+  const filePath = CONFIG.file;
+  try {
+    if (logFile.path !== filePath) {
+      logFile.path = filePath;
+      logFile.ready = false;
+      logFile.failed = false;
+    }
+
+    if (!logFile.ready) {
+      if (!prepareLogDir(filePath)) {
+        if (logFile.pending.length < MAX_PENDING_LINES) logFile.pending.push(line);
+        return;
+      }
+      logFile.ready = true;
+      logFile.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+      const pending = logFile.pending.splice(0);
+      pending.forEach(pendingLine => writeLine(filePath, pendingLine));
+    }
+
+    writeLine(filePath, line);
+  } catch (error) {
+    // An unwritable log file never stops a run; say so once per file
+    if (!logFile.failed) {
+      logFile.failed = true;
+      console.error(`Could not write the log file ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+// Helper function to show fields on the console ("sport=Fútbol status=200 durationMs=153")
+function formatFields(fields) {
+  return Object.keys(fields)
+    .filter(key => fields[key] !== undefined)
+    .map(key => {
+      const value = fields[key];
+      const text = value instanceof Error ? value.message : (value && typeof value === 'object' ? JSON.stringify(value) : String(value));
+      return `${key}=${text}`;
+    })
+    .join(' ');
+}
+
+// Helper function to print an entry: just the message, or with time, level, component
+// and fields in verbose (debug) mode
+function writeConsole(level, component, message, fields) {
+  const consoleLevel = consoleOverride || CONFIG.level;
+  if (LEVELS[level] < LEVELS[consoleLevel]) return;
+
+  let line = message;
+  if (consoleLevel === 'debug') {
+    const details = formatFields(fields);
+    line = `${new Date().toISOString().slice(11, 19)} ${level.toUpperCase().padEnd(5)} [${component}] ${message}` +
+           (details ? `  ${details}` : '');
+  }
+
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// Helper function to write one entry to the console and the log file
+function write(level, component, message, fields) {
+  writeConsole(level, component, message, fields);
+  if (LEVELS[level] < LEVELS[CONFIG.fileLevel]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    runId: getRunId(),
+    component,
+    message,
+    ...run.fields,
+    ...serializeFields(fields)
+  };
+  appendLine(JSON.stringify(entry) + '\n');
+}
+
+// Create the logger of a component ('scraper', 'processor', 'cli'...). Each method takes a message
+// and optional structured fields (url, sport, status, durationMs, error...); child() adds fields
+// to every entry.
+function createLogger(component, baseFields = {}) {
+  const log = level => (message, fields = {}) => write(level, component, message, { ...baseFields, ...fields });
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: fields => createLogger(component, { ...baseFields, ...fields })
+  };
+}
+
+// Run fn with the console at another level ('silent' mutes it); the log file is not affected.
+// A null level leaves the console as configured.
+async function withConsoleLevel(level, fn) {
+  if (!level) return fn();
+
+  const previous = consoleOverride;
+  consoleOverride = level;
+  try {
+    return await fn();
+  } finally {
+    consoleOverride = previous;
+  }
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  startRun,
+  getRunId,
+  withConsoleLevel,
+  applyConfig,
+  CONFIG
+};
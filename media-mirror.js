@@ -0,0 +1,239 @@
+// media-mirror.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./atomic-write');
+
+const readFileAsync = promisify(fs.readFile);
+const mkdirAsync = promisify(fs.mkdir);
+const copyFileAsync = promisify(fs.copyFile);
+
+const MANIFEST_FILE = 'manifest.json';
+
+// File extension of each image type we keep
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg'
+};
+
+// Resolve an image reference against the URL of the page it appeared on.
+// Returns an absolute http(s) URL, or null for empty, data: and unresolvable references.
+function resolveMediaUrl(src, pageUrl) {
+  const text = String(src || '').trim();
+  if (!text || /^data:/i.test(text)) return null;
+
+  try {
+    const url = new URL(text, pageUrl || undefined);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper function to read the size of a JPEG from its first SOF segment
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++; // fill byte
+      continue;
+    }
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+// Helper function to read the size of a WebP (lossy, lossless or extended)
+function webpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// Helper function to read the size of an SVG from its width/height attributes or viewBox
+function svgSize(text) {
+  const root = (text.match(/<svg\b[^>]*>/i) || [''])[0];
+  const attr = name => {
+    const match = root.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i'));
+    return match ? Math.round(parseFloat(match[1])) : null;
+  };
+  const width = attr('width');
+  const height = attr('height');
+  if (width && height) return { width, height };
+
+  const viewBox = root.match(/viewBox\s*=\s*["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)/i);
+  return viewBox ? { width: Math.round(parseFloat(viewBox[1])), height: Math.round(parseFloat(viewBox[2])) } : null;
+}
+
+// Identify an image from its bytes: { mime, width, height } (sizes may be null), or null when the
+// content is not an image we keep (e.g. the HTML error page some servers return for a missing file)
+function sniffImage(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { mime: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { mime: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return { mime: 'image/jpeg', width: null, height: null, ...jpegSize(buffer) };
+  }
+  if (buffer.length >= 16 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { mime: 'image/webp', width: null, height: null, ...webpSize(buffer) };
+  }
+
+  const head = buffer.toString('utf8', 0, 2048).replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg\b/i.test(head)) {
+    return { mime: 'image/svg+xml', width: null, height: null, ...svgSize(buffer.toString('utf8')) };
+  }
+  return null;
+}
+
+// Every image reference of a scrape, with the page it must be resolved against:
+// main page hero, sport hero images, gallery images and logos inside result tables
+function collectMediaRefs(allData) {
+  const refs = [];
+  const add = (src, pageUrl, source) => {
+    const url = resolveMediaUrl(src, pageUrl);
+    if (url) refs.push({ url, src, source });
+  };
+
+  const mainPage = allData.mainPage;
+  if (mainPage && mainPage.generalInfo) {
+    add(mainPage.generalInfo.heroImage, allData.metadata && allData.metadata.config && allData.metadata.config.baseUrl, 'inicio');
+  }
+
+  Object.keys(allData.sports || {}).forEach(sportName => {
+    const sport = allData.sports[sportName];
+    if (!sport || !sport.sportInfo) return;
+    const pageUrl = sport.sportInfo.url;
+
+    add(sport.sportInfo.heroImage, pageUrl, `${sportName}: portada`);
+    (sport.gallery || []).forEach(image => add(image.url, pageUrl, `${sportName}: galería`));
+    (sport.results || []).forEach(table => {
+      (table.data || []).forEach(row => row.forEach(cell => {
+        if (cell && cell.imgSrc) add(cell.imgSrc, pageUrl, `${sportName}: resultados`);
+      }));
+    });
+  });
+
+  return refs;
+}
+
+// Helper function to load a manifest, or start an empty one
+async function loadManifest(mediaDir) {
+  try {
+    return JSON.parse(await readFileAsync(path.join(mediaDir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    return { updatedAt: null, files: {}, urls: {} };
+  }
+}
+
+// Open the media directory for a scrape. `download(url)` returns the bytes of a URL as a Buffer.
+// Each URL is downloaded once (later runs reuse the manifest entry while its file exists) and
+// files are named by content hash, so the same image under several URLs is stored once.
+// The manifest records { files: { name: { sha256, mime, width, height, bytes } }, urls: { url: { file, fetchedAt } } }.
+async function openMirror(mediaDir, { download, maxBytes = Infinity }) {
+  await mkdirAsync(mediaDir, { recursive: true });
+  const manifest = await loadManifest(mediaDir);
+
+  // Mirror one absolute URL: { url, file, status: 'reused'|'downloaded' } or { url, status: 'failed', error }
+  async function mirror(url) {
+    const known = manifest.urls[url];
+    if (known && fs.existsSync(path.join(mediaDir, known.file))) {
+      return { url, file: known.file, status: 'reused' };
+    }
+
+    try {
+      const buffer = await download(url);
+      if (buffer.length > maxBytes) {
+        throw new Error(`larger than ${maxBytes} bytes`);
+      }
+      const image = sniffImage(buffer);
+      if (!image) {
+        throw new Error('not a PNG, JPEG, GIF, WebP or SVG image');
+      }
+
+      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+      const file = `${sha256.slice(0, 16)}${EXTENSIONS[image.mime]}`;
+      if (!manifest.files[file] || !fs.existsSync(path.join(mediaDir, file))) {
+        await writeFileAtomic(path.join(mediaDir, file), buffer);
+      }
+      manifest.files[file] = { sha256, mime: image.mime, width: image.width, height: image.height, bytes: buffer.length };
+      manifest.urls[url] = { file, fetchedAt: new Date().toISOString() };
+      return { url, file, status: 'downloaded' };
+    } catch (error) {
+      return { url, status: 'failed', error: error.message };
+    }
+  }
+
+  return {
+    mirror,
+    manifest,
+    // Write the manifest (call once every mirror() has settled)
+    async save() {
+      manifest.updatedAt = new Date().toISOString();
+      await writeFileAtomic(path.join(mediaDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+    }
+  };
+}
+
+// Media for the reports: src() maps an image reference to its local copy ("media/<file>") and
+// copy() puts the copies that were used under targetDir. References that were never mirrored
+// fall back to their absolute URL (still better than a relative path that breaks in the reports).
+async function createReportMedia(sourceDir, targetDir, prefix = 'media') {
+  const manifest = await loadManifest(sourceDir);
+  const used = new Set();
+
+  return {
+    src(src, pageUrl) {
+      const url = resolveMediaUrl(src, pageUrl);
+      const entry = url && manifest.urls[url];
+      if (entry && fs.existsSync(path.join(sourceDir, entry.file))) {
+        used.add(entry.file);
+        return `${prefix}/${entry.file}`;
+      }
+      return url || src || '';
+    },
+
+    async copy() {
+      if (used.size === 0) return 0;
+      await mkdirAsync(targetDir, { recursive: true });
+      for (const file of used) {
+        const target = path.join(targetDir, file);
+        if (!fs.existsSync(target)) {
+          await copyFileAsync(path.join(sourceDir, file), target);
+        }
+      }
+      return used.size;
+    }
+  };
+}
+
+module.exports = {
+  resolveMediaUrl,
+  sniffImage,
+  collectMediaRefs,
+  openMirror,
+  createReportMedia
+};
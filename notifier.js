@@ -0,0 +1,261 @@
+// notifier.js
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const retryPolicy = require('./retry-policy');
+const logger = require('./logger');
+
+const appendFileAsync = promisify(fs.appendFile);
+const mkdirAsync = promisify(fs.mkdir);
+
+const log = logger.createLogger('notifier');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Sections of a sport changeset that can be filtered by school
+const SECTIONS = ['newMatches', 'updatedScores', 'newMedalWinners', 'standingsChanges'];
+const REMOVED_SECTIONS = ['matches', 'medals', 'standings'];
+
+// Helper function to normalise names for filtering ("Fútbol Sala" -> "futbol sala")
+function normalize(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\s_-]+/g, ' ')
+    .trim();
+}
+
+// HMAC-SHA256 signature of a request body, sent as "sha256=<hex>"
+function signPayload(body, secret) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body, 'utf8').digest('hex');
+}
+
+// Helper function to make a random (version 4) UUID for a delivery id; built from randomBytes
+// because crypto.randomUUID needs Node 14.17
+function newDeliveryId() {
+  const bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Check a received signature (for webhook receivers and tests)
+function verifySignature(body, signature, secret) {
+  const expected = Buffer.from(signPayload(body, secret));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Names (and registry schoolIds) a change item can be matched against when filtering by school
+function schoolNames(section, item) {
+  switch (section) {
+    case 'newMatches':
+    case 'matches':
+      return [...(item.teams || []), ...(item.schoolIds || [])];
+    case 'updatedScores':
+      return [...(item.match.teams || []), ...(item.match.schoolIds || [])];
+    case 'newMedalWinners':
+    case 'medals':
+      return [item.school, item.name, item.schoolId];
+    default:
+      return [item.team, item.schoolId];
+  }
+}
+
+// Helper function to check whether a change item involves one of the schools
+function involvesSchool(section, item, schools) {
+  const names = schoolNames(section, item).map(normalize).filter(Boolean);
+  return schools.some(school => names.some(name => name.includes(school)));
+}
+
+// Keep the part of a changeset a webhook subscribed to ({ sports, schools }; empty = all).
+// Returns { totals, sports } with recomputed counts.
+function filterChanges(changes, { sports = [], schools = [] } = {}) {
+  const sportFilter = sports.map(normalize);
+  const schoolFilter = schools.map(normalize);
+  const filtered = {
+    totals: { newMatches: 0, updatedScores: 0, newMedalWinners: 0, standingsChanges: 0, removed: 0 },
+    sports: {}
+  };
+
+  Object.keys(changes.sports || {}).forEach(sportName => {
+    if (sportFilter.length > 0 && !sportFilter.includes(normalize(sportName))) return;
+
+    const sportChanges = changes.sports[sportName];
+    const keep = (section, items) => schoolFilter.length === 0
+      ? items
+      : items.filter(item => involvesSchool(section, item, schoolFilter));
+
+    const result = { removed: {} };
+    SECTIONS.forEach(section => {
+      result[section] = keep(section, sportChanges[section] || []);
+    });
+    REMOVED_SECTIONS.forEach(section => {
+      result.removed[section] = keep(section, sportChanges.removed?.[section] || []);
+    });
+
+    const counts = {
+      newMatches: result.newMatches.length,
+      updatedScores: result.updatedScores.length,
+      newMedalWinners: result.newMedalWinners.length,
+      standingsChanges: result.standingsChanges.length,
+      removed: REMOVED_SECTIONS.reduce((sum, section) => sum + result.removed[section].length, 0)
+    };
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total === 0) return;
+
+    filtered.sports[sportName] = { counts, ...result };
+    Object.keys(counts).forEach(key => {
+      filtered.totals[key] += counts[key];
+    });
+  });
+
+  return filtered;
+}
+
+// Helper function to resolve a webhook secret (inline or from an environment variable)
+function getSecret(webhook) {
+  return webhook.secret || (webhook.secretEnv ? process.env[webhook.secretEnv] : null) || null;
+}
+
+// Helper function to append one delivery to the JSONL log
+async function appendDeliveryLog(logFile, entry) {
+  if (!logFile) return;
+  await mkdirAsync(path.dirname(logFile), { recursive: true });
+  await appendFileAsync(logFile, JSON.stringify(entry) + '\n', 'utf8');
+}
+
+// POST a payload to one webhook, retrying temporary failures with backoff.
+// The delivery id stays the same across retries so receivers can drop duplicates.
+async function deliver(webhook, payload, options) {
+  const body = JSON.stringify(payload);
+  const secret = getSecret(webhook);
+  const delivery = {
+    deliveryId: payload.deliveryId,
+    event: payload.event,
+    webhook: webhook.name || webhook.url,
+    url: webhook.url,
+    startedAt: new Date().toISOString(),
+    attempts: [],
+    ok: false,
+    status: null,
+    error: null
+  };
+
+  if (!secret) {
+    delivery.error = { kind: 'config', message: 'Webhook has no secret (set "secret" or "secretEnv")' };
+    delivery.finishedAt = delivery.startedAt;
+    return delivery;
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': options.userAgent,
+    'X-Salesianos-Event': payload.event,
+    'X-Salesianos-Delivery': payload.deliveryId,
+    'X-Salesianos-Signature': signPayload(body, secret)
+  };
+
+  for (let attempt = 1; attempt <= options.maxRetries + 1; attempt++) {
+    const attemptStart = Date.now();
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers,
+        timeout: options.timeoutMs,
+        transformRequest: [data => data],
+        validateStatus: status => status >= 200 && status < 300
+      });
+      delivery.attempts.push({ status: response.status, durationMs: Date.now() - attemptStart });
+      delivery.ok = true;
+      delivery.status = response.status;
+      delivery.error = null;
+      break;
+    } catch (error) {
+      const classification = retryPolicy.classifyError(error);
+      delivery.attempts.push({
+        status: classification.status,
+        kind: classification.kind,
+        message: error.message,
+        durationMs: Date.now() - attemptStart
+      });
+      delivery.status = classification.status;
+      delivery.error = { kind: classification.kind, message: error.message };
+
+      if (!classification.retryable || attempt > options.maxRetries) break;
+
+      const backoff = retryPolicy.computeBackoff(attempt, {
+        baseDelayMs: options.retryBaseDelayMs,
+        maxDelayMs: options.maxRetryDelayMs
+      });
+      await delay(Math.min(options.maxRetryDelayMs, Math.max(backoff, classification.retryAfterMs || 0)));
+    }
+  }
+
+  delivery.finishedAt = new Date().toISOString();
+  return delivery;
+}
+
+// Send a payload to every webhook and log each delivery; never throws
+async function sendToWebhooks(webhooks, buildPayloadFor, options) {
+  const deliveries = await Promise.all(webhooks.map(async webhook => {
+    const payload = buildPayloadFor(webhook);
+    if (!payload) return null;
+
+    const delivery = await deliver(webhook, payload, options);
+    try {
+      await appendDeliveryLog(options.logFile, delivery);
+    } catch (error) {
+      log.error(`Could not write the webhook delivery log: ${error.message}`, { file: options.logFile });
+    }
+    return delivery;
+  }));
+
+  return deliveries.filter(Boolean);
+}
+
+// Notify the configured webhooks about a changeset from change-detector.
+// Webhooks whose filters leave nothing to report are not called.
+async function notifyChanges(changes, { webhooks = [], eventTitle = null, ...options }) {
+  if (!changes || !changes.hasChanges || webhooks.length === 0) return [];
+
+  return sendToWebhooks(webhooks, webhook => {
+    const filtered = filterChanges(changes, webhook);
+    if (Object.keys(filtered.sports).length === 0) return null;
+
+    return {
+      event: 'results.changed',
+      deliveryId: newDeliveryId(),
+      sentAt: new Date().toISOString(),
+      eventTitle,
+      previousScrapedAt: changes.previousScrapedAt,
+      currentScrapedAt: changes.currentScrapedAt,
+      totals: filtered.totals,
+      sports: filtered.sports
+    };
+  }, options);
+}
+
+// Send a "test" event to every webhook (to check URLs and signature verification)
+async function sendTestNotification({ webhooks = [], eventTitle = null, ...options }) {
+  return sendToWebhooks(webhooks, webhook => ({
+    event: 'test',
+    deliveryId: newDeliveryId(),
+    sentAt: new Date().toISOString(),
+    eventTitle,
+    filters: { sports: webhook.sports || [], schools: webhook.schools || [] },
+    totals: { newMatches: 0, updatedScores: 0, newMedalWinners: 0, standingsChanges: 0, removed: 0 },
+    sports: {}
+  }), options);
+}
+
+module.exports = {
+  notifyChanges,
+  sendTestNotification,
+  filterChanges,
+  signPayload,
+  verifySignature
+};
@@ -0,0 +1,314 @@
+// pdf-bulletins.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const tableExtractor = require('./table-extractor');
+const httpCache = require('./http-cache');
+const { writeFileAtomic } = require('./atomic-write');
+
+const readFileAsync = promisify(fs.readFile);
+const mkdirAsync = promisify(fs.mkdir);
+
+const INDEX_FILE = 'index.json';
+
+// Lines that are page furniture, never a table title ("Página 2 de 5", "Pág. 3", "- 4 -")
+const PAGE_NUMBER = /^(?:p[aá]g(?:ina)?\.?|page)\s*\d+(?:\s*(?:de|of|\/)\s*\d+)?$|^[-–\s]*\d+[-–\s]*$/i;
+
+// Fields of a standings row taken from the columns of a PDF table, besides position and name
+const STANDING_FIELDS = ['played', 'won', 'drawn', 'lost', 'goalsFor', 'goalsAgainst', 'goalDifference', 'points'];
+
+// Helper function to tell whether a cell names a medal ("Oro", "PLATA", "Bronce")
+function isMedalWord(text) {
+  return /^(oro|plata|bronce|gold|silver|bronze)\b/.test(
+    String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase()
+  );
+}
+
+// PDF documents linked from a page: [{ url, title }] with absolute URLs, each once. A link counts
+// when its path ends in .pdf or it is marked type="application/pdf".
+function findPdfLinks($, pageUrl) {
+  const links = [];
+  $('a[href]').each((i, anchor) => {
+    const $anchor = $(anchor);
+    let url;
+    try {
+      url = new URL($anchor.attr('href').trim(), pageUrl || undefined);
+    } catch (error) {
+      return;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+    if (!/\.pdf$/i.test(url.pathname) && !/application\/pdf/i.test($anchor.attr('type') || '')) return;
+
+    url.hash = '';
+    if (links.some(link => link.url === url.href)) return;
+    links.push({
+      url: url.href,
+      title: $anchor.text().replace(/\s+/g, ' ').trim() || $anchor.attr('title') || decodeURIComponent(path.posix.basename(url.pathname))
+    });
+  });
+  return links;
+}
+
+// Helper function to split a table block into columns. The lines with the most cells set the
+// columns (cells whose extents overlap share one); every cell then goes to the column it overlaps
+// most, or the nearest one. Returns rows of plain text, one entry per column.
+function alignColumns(lines) {
+  const most = Math.max(...lines.map(line => line.cells.length));
+  const columns = [];
+  lines
+    .filter(line => line.cells.length === most)
+    .flatMap(line => line.cells)
+    .sort((a, b) => a.x - b.x)
+    .forEach(cell => {
+      const column = columns[columns.length - 1];
+      if (column && cell.x <= column.endX) {
+        column.endX = Math.max(column.endX, cell.endX);
+      } else {
+        columns.push({ x: cell.x, endX: cell.endX });
+      }
+    });
+
+  const columnOf = cell => {
+    let best = 0;
+    let bestScore = -Infinity;
+    columns.forEach((column, index) => {
+      const overlap = Math.min(cell.endX, column.endX) - Math.max(cell.x, column.x);
+      const distance = Math.abs((cell.x + cell.endX) / 2 - (column.x + column.endX) / 2);
+      const score = overlap > 0 ? overlap : -distance;
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+    return best;
+  };
+
+  return lines.map(line => {
+    const row = columns.map(() => '');
+    line.cells.forEach(cell => {
+      const index = columnOf(cell);
+      row[index] = row[index] ? `${row[index]} ${cell.text}` : cell.text;
+    });
+    return row;
+  });
+}
+
+// Find the tables of a PDF read by pdf-reader: runs of consecutive lines with two or more cells.
+// The single-cell lines above a table are its headings: the nearest is the title and the one
+// before it the category. A table with no heading of its own continues the previous one's title
+// and category, and so does the category on the same page. Returns [{ page, title, category, rows }].
+function findTables(pdf) {
+  const tables = [];
+  let last = { title: '', category: '' };
+
+  pdf.pages.forEach(page => {
+    let headings = [];
+    let block = [];
+    let pageCategory = '';
+
+    const flush = () => {
+      if (block.length >= 2) {
+        const title = headings.length > 0 ? headings[headings.length - 1] : last.title;
+        const category = headings.length > 1 ? headings[headings.length - 2]
+          : headings.length === 0 ? last.category
+            : pageCategory;
+        tables.push({ page: page.number, title, category, rows: alignColumns(block) });
+        last = { title, category };
+        pageCategory = category;
+        headings = [];
+      } else if (block.length === 1) {
+        headings.push(block[0].text);
+      }
+      block = [];
+    };
+
+    page.lines.forEach(line => {
+      if (line.cells.length >= 2) {
+        block.push(line);
+        return;
+      }
+      flush();
+      if (!PAGE_NUMBER.test(line.text)) headings.push(line.text);
+    });
+    flush();
+  });
+
+  return tables;
+}
+
+// Helper function to find the first column mapped to one of the fields
+function columnFor(columns, ...fields) {
+  for (const field of fields) {
+    const column = columns.find(candidate => candidate.field === field);
+    if (column) return column;
+  }
+  return null;
+}
+
+// Turn one PDF table into the sport section it holds: a medal list (a column of Oro/Plata/Bronce),
+// a standings table (known headers with points and a position or games played) or a results table
+// (any other table with a header row). Returns { section, entry }, or null for a table that is not
+// recognised (no header, e.g. a schedule laid out as text).
+function classifyTable(table) {
+  const extracted = tableExtractor.extractTextTable(table.rows);
+  const { columns, headerRows } = extracted;
+  const rows = extracted.data.slice(headerRows).filter(row => row.some(Boolean));
+  const cell = (row, column) => (column ? row[column.index] : '');
+  const base = { title: table.title, category: table.category };
+
+  const medalColumn = columns.find(column => {
+    const values = rows.map(row => row[column.index]).filter(Boolean);
+    return values.length > 0 && values.filter(isMedalWord).length >= values.length / 2;
+  });
+  if (medalColumn) {
+    const nameColumn = columnFor(columns, 'athlete', 'team') ||
+      columns.find(column => column !== medalColumn && column.field !== 'school');
+    const schoolColumn = columnFor(columns, 'school');
+    const resultColumn = columnFor(columns, 'mark', 'score', 'points');
+    const items = rows
+      .map(row => {
+        const item = { position: row[medalColumn.index], name: cell(row, nameColumn) };
+        if (schoolColumn && schoolColumn !== nameColumn && cell(row, schoolColumn)) item.school = cell(row, schoolColumn);
+        if (cell(row, resultColumn)) item.result = cell(row, resultColumn);
+        return item;
+      })
+      .filter(item => item.position && item.name);
+    return items.length > 0 ? { section: 'medals', entry: { ...base, items } } : null;
+  }
+
+  if (headerRows === 0) return null;
+
+  const nameColumn = columnFor(columns, 'team', 'school', 'athlete');
+  const positionColumn = columnFor(columns, 'position');
+  if (nameColumn && columnFor(columns, 'points') && (positionColumn || columnFor(columns, 'played'))) {
+    const teams = rows
+      .map((row, i) => {
+        const team = { position: cell(row, positionColumn) || String(i + 1), name: cell(row, nameColumn) };
+        STANDING_FIELDS.forEach(field => {
+          const column = columnFor(columns, field);
+          if (column) team[field] = row[column.index];
+        });
+        return team;
+      })
+      .filter(team => team.name);
+    return teams.length > 0 ? { section: 'standings', entry: { ...base, teams } } : null;
+  }
+
+  return extracted.records.length > 0 ? { section: 'results', entry: { ...base, ...extracted } } : null;
+}
+
+// Read the results, standings and medal lists of a PDF bulletin (as read by pdf-reader.readPdf).
+// Every entry is tagged with source: 'pdf' and the document it came from ({ url, title, page }).
+// Returns { results, standings, medals, ignored } where ignored counts the tables not recognised.
+function extractBulletin(pdf, { url, title }) {
+  const found = { results: [], standings: [], medals: [], ignored: 0 };
+  const documentTitle = title || pdf.title || '';
+
+  findTables(pdf).forEach((table, i) => {
+    const classified = classifyTable({ ...table, title: table.title || `${documentTitle || 'Boletín'} - tabla ${i + 1}` });
+    if (!classified) {
+      found.ignored++;
+      return;
+    }
+    found[classified.section].push({
+      ...classified.entry,
+      source: 'pdf',
+      pdf: { url, title: documentTitle, page: table.page }
+    });
+  });
+
+  return found;
+}
+
+// Helper function to load the store's index, or start an empty one
+async function loadIndex(dir) {
+  try {
+    return JSON.parse(await readFileAsync(path.join(dir, INDEX_FILE), 'utf8'));
+  } catch (error) {
+    return { updatedAt: null, urls: {} };
+  }
+}
+
+// Open the directory where downloaded bulletins are kept, named by content hash, with an index of
+// { urls: { url: { file, sha256, bytes, headers, fetchedAt } } }. `download(url, stored)` fetches a
+// URL, revalidating the stored entry (ETag/Last-Modified) when there is one, and resolves with the
+// response ({ status, data, headers, fetchId }); a 304 means the stored copy is still current.
+// Offline (replayed runs), stored copies are used without any request. Each URL is fetched once
+// per store.
+async function openBulletinStore(dir, { download, offline = false, maxBytes = Infinity }) {
+  await mkdirAsync(dir, { recursive: true });
+  const index = await loadIndex(dir);
+  const fetches = new Map();
+
+  const readStored = async entry => (
+    entry && fs.existsSync(path.join(dir, entry.file)) ? readFileAsync(path.join(dir, entry.file)) : null
+  );
+
+  // Get one bulletin: { url, buffer, sha256, status: 'downloaded'|'unchanged'|'stored', fetchId }
+  async function get(url) {
+    const known = index.urls[url] || null;
+    const stored = await readStored(known);
+    if (offline) {
+      if (!stored) throw new Error('not downloaded before (offline run)');
+      return { url, buffer: stored, sha256: known.sha256, status: 'stored', fetchId: null };
+    }
+
+    const response = await download(url, stored ? known : null);
+    if (response.status === 304 && stored) {
+      return { url, buffer: stored, sha256: known.sha256, status: 'unchanged', fetchId: response.fetchId };
+    }
+
+    const buffer = Buffer.from(response.data);
+    if (buffer.length > maxBytes) {
+      throw new Error(`larger than ${maxBytes} bytes`);
+    }
+    if (!buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) {
+      throw new Error('not a PDF document');
+    }
+
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const file = `${sha256.slice(0, 16)}.pdf`;
+    if (!fs.existsSync(path.join(dir, file))) {
+      await writeFileAtomic(path.join(dir, file), buffer);
+    }
+    const headers = response.headers || {};
+    index.urls[url] = {
+      file,
+      sha256,
+      bytes: buffer.length,
+      headers: {
+        ...(headers.etag ? { etag: headers.etag } : {}),
+        ...(headers['last-modified'] ? { 'last-modified': headers['last-modified'] } : {})
+      },
+      fetchedAt: new Date().toISOString()
+    };
+    return { url, buffer, sha256, status: 'downloaded', fetchId: response.fetchId };
+  }
+
+  return {
+    index,
+    get(url) {
+      if (!fetches.has(url)) fetches.set(url, get(url));
+      return fetches.get(url);
+    },
+    // Write the index (call once every get() has settled)
+    async save() {
+      index.updatedAt = new Date().toISOString();
+      await writeFileAtomic(path.join(dir, INDEX_FILE), JSON.stringify(index, null, 2), 'utf8');
+    }
+  };
+}
+
+// Headers revalidating a stored bulletin (If-None-Match / If-Modified-Since)
+function conditionalHeaders(entry) {
+  return entry && httpCache.canRevalidate(entry) ? httpCache.conditionalHeaders(entry) : {};
+}
+
+module.exports = {
+  findPdfLinks,
+  findTables,
+  extractBulletin,
+  openBulletinStore,
+  conditionalHeaders
+};
@@ -0,0 +1,854 @@
+// pdf-reader.js
+const zlib = require('zlib');
+
+// Characters that end a token in PDF syntax
+const WHITESPACE = '\x00\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+// A gap between two pieces of text wider than this (in ems) starts a new cell of the line
+const CELL_GAP_EMS = 1;
+// Pieces of text closer than this (in ems) are glued together without a space
+const WORD_GAP_EMS = 0.15;
+// Streams are never inflated past this many bytes unless readPdf is given another limit
+// (a small compressed stream can expand to gigabytes)
+const DEFAULT_MAX_STREAM_BYTES = 100 * 1024 * 1024;
+// Nested forms deeper than this are not followed (broken files can loop)
+const MAX_FORM_DEPTH = 10;
+
+// Widths (1/1000 em) of the printable ASCII characters of Helvetica, used for the standard fonts,
+// which PDFs may use without listing any widths
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Characters of bytes 0x80-0x9F in WinAnsiEncoding (Windows-1252); the other bytes are Latin-1
+const WIN_ANSI_HIGH = '\u20ac\ufffd\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\ufffd\u017d\ufffd' +
+                      '\ufffd\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\ufffd\u017e\u0178';
+
+// Glyph names of the Differences arrays that are not a single character or an accented letter
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: '\'', quoteright: '\u2019', quoteleft: '\u2018', parenleft: '(', parenright: ')',
+  asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '-', period: '.', slash: '/',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?', at: '@',
+  bracketleft: '[', backslash: '\\', bracketright: ']', underscore: '_', braceleft: '{', bar: '|',
+  braceright: '}', asciitilde: '~', exclamdown: '\u00a1', questiondown: '\u00bf', degree: '\u00b0',
+  ordfeminine: '\u00aa', ordmasculine: '\u00ba', endash: '\u2013', emdash: '\u2014', bullet: '\u2022',
+  quotedblleft: '\u201c', quotedblright: '\u201d', guillemotleft: '\u00ab', guillemotright: '\u00bb',
+  ellipsis: '\u2026', germandbls: '\u00df', nbspace: ' ', fi: 'fi', fl: 'fl'
+};
+
+// Combining marks of the accented glyph names ("aacute", "Ntilde", "udieresis")
+const ACCENTS = {
+  acute: '\u0301', grave: '\u0300', circumflex: '\u0302', tilde: '\u0303', dieresis: '\u0308', ring: '\u030a', cedilla: '\u0327'
+};
+
+// Read PDF syntax from a latin1 string (one character per byte), starting at `start`
+function createLexer(text, start = 0) {
+  let pos = start;
+
+  const skipSpace = () => {
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === '%') {
+        while (pos < text.length && text[pos] !== '\n' && text[pos] !== '\r') pos++;
+      } else if (WHITESPACE.includes(ch)) {
+        pos++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readRegular = () => {
+    const begin = pos;
+    while (pos < text.length && !WHITESPACE.includes(text[pos]) && !DELIMITERS.includes(text[pos])) pos++;
+    return text.slice(begin, pos);
+  };
+
+  const readLiteralString = () => {
+    pos++; // (
+    let depth = 1;
+    let out = '';
+    while (pos < text.length) {
+      const ch = text[pos++];
+      if (ch === '\\') {
+        const escaped = text[pos++];
+        if (escaped === 'n') out += '\n';
+        else if (escaped === 'r') out += '\r';
+        else if (escaped === 't') out += '\t';
+        else if (escaped === 'b') out += '\b';
+        else if (escaped === 'f') out += '\f';
+        else if (escaped === '\r') {
+          if (text[pos] === '\n') pos++; // line continuation
+        } else if (escaped === '\n') {
+          // line continuation
+        } else if (escaped >= '0' && escaped <= '7') {
+          let octal = escaped;
+          while (octal.length < 3 && text[pos] >= '0' && text[pos] <= '7') octal += text[pos++];
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (escaped !== undefined) {
+          out += escaped;
+        }
+      } else if (ch === '(') {
+        depth++;
+        out += ch;
+      } else if (ch === ')') {
+        if (--depth === 0) break;
+        out += ch;
+      } else {
+        out += ch;
+      }
+    }
+    return { string: out };
+  };
+
+  const readHexString = () => {
+    pos++; // <
+    const end = text.indexOf('>', pos);
+    let hex = text.slice(pos, end === -1 ? text.length : end).replace(/[^0-9a-fA-F]/g, '');
+    pos = end === -1 ? text.length : end + 1;
+    if (hex.length % 2 === 1) hex += '0';
+    let out = '';
+    for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+    return { string: out };
+  };
+
+  // Next token: a number, boolean, null, { string }, { name } or { op } (keywords and delimiters
+  // such as "[" or "<<"); undefined at the end of the text
+  const next = () => {
+    skipSpace();
+    if (pos >= text.length) return undefined;
+
+    const ch = text[pos];
+    if (ch === '(') return readLiteralString();
+    if (ch === '<') {
+      if (text[pos + 1] === '<') {
+        pos += 2;
+        return { op: '<<' };
+      }
+      return readHexString();
+    }
+    if (ch === '>' && text[pos + 1] === '>') {
+      pos += 2;
+      return { op: '>>' };
+    }
+    if (ch === '/') {
+      pos++;
+      return { name: readRegular().replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))) };
+    }
+    if (DELIMITERS.includes(ch)) {
+      pos++;
+      return { op: ch };
+    }
+
+    const word = readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return parseFloat(word);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    return { op: word };
+  };
+
+  // Complete a token into a value: arrays and dictionaries (as Maps) are read whole
+  const complete = token => {
+    if (token && token.op === '[') {
+      const items = [];
+      for (;;) {
+        skipSpace();
+        if (pos >= text.length) break;
+        if (text[pos] === ']') {
+          pos++;
+          break;
+        }
+        items.push(readValue());
+      }
+      return items;
+    }
+    if (token && token.op === '<<') {
+      const dict = new Map();
+      for (;;) {
+        const key = next();
+        if (key === undefined || (key && key.op === '>>')) break;
+        if (key && key.name !== undefined) dict.set(key.name, readValue());
+      }
+      return dict;
+    }
+    return token;
+  };
+
+  // Read one value; "12 0 R" becomes the reference { ref: 12 }
+  const readValue = () => {
+    const token = next();
+    if (typeof token === 'number' && Number.isInteger(token) && token >= 0) {
+      const saved = pos;
+      const generation = next();
+      if (typeof generation === 'number' && Number.isInteger(generation)) {
+        const keyword = next();
+        if (keyword && keyword.op === 'R') return { ref: token };
+      }
+      pos = saved;
+    }
+    return complete(token);
+  };
+
+  return {
+    next,
+    complete,
+    readValue,
+    skipSpace,
+    get pos() {
+      return pos;
+    },
+    set pos(value) {
+      pos = value;
+    }
+  };
+}
+
+// Helper function to read a name value ("/Page" -> "Page"), or null
+function nameOf(value) {
+  return value && typeof value.name === 'string' ? value.name : null;
+}
+
+// Helper function to decode ASCII85 data
+function decodeAscii85(data) {
+  const text = data.toString('latin1').replace(/\s+/g, '').replace(/^<~/, '').replace(/~>.*$/, '');
+  const bytes = [];
+  let group = [];
+  for (const ch of text) {
+    if (ch === 'z' && group.length === 0) {
+      bytes.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      const value = group.reduce((total, digit) => total * 85 + digit, 0);
+      bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+      group = [];
+    }
+  }
+  if (group.length > 1) {
+    const missing = 5 - group.length;
+    while (group.length < 5) group.push(84);
+    const value = group.reduce((total, digit) => total * 85 + digit, 0);
+    bytes.push(...[(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff].slice(0, 4 - missing));
+  }
+  return Buffer.from(bytes);
+}
+
+// Helper function to inflate FlateDecode data, keeping what was read when the stream is truncated.
+// Output beyond maxBytes throws (the stream is then skipped like any undecodable one).
+function inflate(data, maxBytes) {
+  try {
+    return zlib.inflateSync(data, { maxOutputLength: maxBytes });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw error;
+    return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: maxBytes });
+  }
+}
+
+// Decode the data of a stream object through its filters. Returns null for filters that are not
+// needed for text (images: DCT, JPX, JBIG2, CCITT) or not supported (LZW, RunLength).
+function decodeStream(doc, object) {
+  const filter = doc.resolve(object.value.get('Filter'));
+  const filters = (Array.isArray(filter) ? filter : [filter]).map(item => nameOf(doc.resolve(item))).filter(Boolean);
+
+  let data = object.stream;
+  for (const name of filters) {
+    if (name === 'FlateDecode' || name === 'Fl') {
+      data = inflate(data, doc.maxStreamBytes);
+    } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+      const hex = data.toString('latin1').replace(/>.*$/s, '').replace(/[^0-9a-fA-F]/g, '');
+      data = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+    } else if (name === 'ASCII85Decode' || name === 'A85') {
+      data = decodeAscii85(data);
+    } else {
+      return null;
+    }
+  }
+  return data;
+}
+
+// Helper function to read the data of a stream object at `start` (just after the "stream" keyword)
+function readStreamData(buffer, text, dict, start) {
+  let begin = start;
+  if (text[begin] === '\r') begin++;
+  if (text[begin] === '\n') begin++;
+
+  const length = dict.get('Length');
+  let end = typeof length === 'number' ? begin + length : -1;
+  if (end < begin || end > text.length || !/^\s*endstream/.test(text.slice(end, end + 20))) {
+    end = text.indexOf('endstream', begin);
+    if (end === -1) end = text.length;
+    if (text[end - 1] === '\n') end--;
+    if (text[end - 1] === '\r') end--;
+  }
+  return { data: buffer.subarray(begin, end), end };
+}
+
+// Load every object of a PDF. Objects are found by scanning for "n g obj" rather than through the
+// cross-reference table, so damaged or incrementally updated files still open (the last definition
+// of an object wins). Objects packed in object streams are unpacked too.
+function loadDocument(buffer, { maxStreamBytes = DEFAULT_MAX_STREAM_BYTES } = {}) {
+  const text = buffer.toString('latin1');
+  const headerAt = text.indexOf('%PDF-');
+  if (headerAt === -1 || headerAt > 1024) {
+    throw new Error('Not a PDF file');
+  }
+  if (/\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(text)) {
+    throw new Error('Encrypted PDFs are not supported');
+  }
+
+  const objects = new Map();
+  const doc = {
+    objects,
+    maxStreamBytes,
+    resolve(value) {
+      let current = value;
+      for (let depth = 0; current && typeof current.ref === 'number' && depth < 32; depth++) {
+        const object = objects.get(current.ref);
+        current = object ? object.value : null;
+      }
+      return current === undefined ? null : current;
+    },
+    // The stream object a reference points to, or null
+    streamOf(value) {
+      const object = value && typeof value.ref === 'number' ? objects.get(value.ref) : null;
+      return object && object.stream ? object : null;
+    },
+    decode(object) {
+      try {
+        return decodeStream(doc, object);
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+
+  const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const lexer = createLexer(text, match.index + match[0].length);
+    const value = lexer.readValue();
+    let stream = null;
+    lexer.skipSpace();
+    if (value instanceof Map && text.startsWith('stream', lexer.pos)) {
+      const read = readStreamData(buffer, text, value, lexer.pos + 'stream'.length);
+      stream = read.data;
+      lexer.pos = read.end;
+    }
+    objects.set(parseInt(match[1], 10), { value, stream });
+    pattern.lastIndex = Math.max(lexer.pos, pattern.lastIndex);
+  }
+
+  // Unpack object streams (objects defined directly in the file take precedence)
+  Array.from(objects.values()).forEach(object => {
+    if (!object.stream || nameOf(object.value.get('Type')) !== 'ObjStm') return;
+    const data = doc.decode(object);
+    if (!data) return;
+
+    const packed = data.toString('latin1');
+    const count = doc.resolve(object.value.get('N')) || 0;
+    const first = doc.resolve(object.value.get('First')) || 0;
+    const header = createLexer(packed);
+    for (let i = 0; i < count; i++) {
+      const number = header.next();
+      const offset = header.next();
+      if (typeof number !== 'number' || typeof offset !== 'number') break;
+      if (!objects.has(number)) {
+        objects.set(number, { value: createLexer(packed, first + offset).readValue(), stream: null });
+      }
+    }
+  });
+
+  return doc;
+}
+
+// Helper function to turn a PDF text string into a JS string (UTF-16BE with a BOM, else PDFDocEncoding,
+// read as Latin-1)
+function decodeTextString(value) {
+  const bytes = value && typeof value.string === 'string' ? value.string : '';
+  if (bytes.startsWith('\xfe\xff')) {
+    let out = '';
+    for (let i = 2; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+    return out;
+  }
+  return bytes;
+}
+
+// Helper function to read big-endian bytes of a string as a number
+function bytesToNumber(bytes) {
+  let value = 0;
+  for (let i = 0; i < bytes.length; i++) value = value * 256 + bytes.charCodeAt(i);
+  return value;
+}
+
+// Helper function to read a UTF-16BE string from bytes
+function utf16ToString(bytes) {
+  const units = [];
+  for (let i = 0; i + 1 < bytes.length; i += 2) units.push((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  return String.fromCharCode(...units);
+}
+
+// Parse a ToUnicode CMap: Map of character code -> text
+function parseToUnicode(cmap) {
+  const map = new Map();
+  const hexTokens = body => (body.match(/<[0-9a-fA-F\s]*>|\[|\]/g) || []).map(token => (
+    token === '[' || token === ']' ? token : Buffer.from(token.replace(/[<>\s]/g, ''), 'hex').toString('latin1')
+  ));
+
+  (cmap.match(/beginbfchar([\s\S]*?)endbfchar/g) || []).forEach(block => {
+    const tokens = hexTokens(block);
+    for (let i = 0; i + 1 < tokens.length; i += 2) map.set(bytesToNumber(tokens[i]), utf16ToString(tokens[i + 1]));
+  });
+
+  (cmap.match(/beginbfrange([\s\S]*?)endbfrange/g) || []).forEach(block => {
+    const tokens = hexTokens(block);
+    let i = 0;
+    while (i + 2 < tokens.length) {
+      const low = bytesToNumber(tokens[i]);
+      const high = bytesToNumber(tokens[i + 1]);
+      if (tokens[i + 2] === '[') {
+        i += 3;
+        for (let code = low; i < tokens.length && tokens[i] !== ']'; code++, i++) map.set(code, utf16ToString(tokens[i]));
+        i++;
+      } else {
+        const target = tokens[i + 2];
+        const base = bytesToNumber(target.slice(-2));
+        for (let code = low; code <= high && code - low < 65536; code++) {
+          const last = base + code - low;
+          map.set(code, utf16ToString(target.slice(0, -2) + String.fromCharCode((last >> 8) & 0xff, last & 0xff)));
+        }
+        i += 3;
+      }
+    }
+  });
+
+  return map;
+}
+
+// Helper function to turn a glyph name into text ("eacute" -> "é", "uni00F1" -> "ñ")
+function glyphToText(name) {
+  if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+  if (name.length === 1) return name;
+
+  const accented = name.match(/^([A-Za-z])(acute|grave|circumflex|tilde|dieresis|ring|cedilla)$/);
+  if (accented) return (accented[1] + ACCENTS[accented[2]]).normalize('NFC');
+
+  const unicode = name.match(/^uni([0-9A-Fa-f]{4})/) || name.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (unicode) return String.fromCodePoint(parseInt(unicode[1], 16));
+  return '';
+}
+
+// Helper function to get the text of a byte in WinAnsiEncoding
+function winAnsiText(code) {
+  if (code >= 0x80 && code <= 0x9f) return WIN_ANSI_HIGH[code - 0x80];
+  return String.fromCharCode(code);
+}
+
+// Build the decoder of a font: decode(bytes) gives [{ text, width, isSpace }] per character code,
+// widths in 1/1000 of the font size. Composite (Type0) fonts use two-byte codes.
+function loadFont(doc, fontDict) {
+  const subtype = nameOf(doc.resolve(fontDict.get('Subtype')));
+  const toUnicodeStream = doc.streamOf(fontDict.get('ToUnicode'));
+  const toUnicodeData = toUnicodeStream ? doc.decode(toUnicodeStream) : null;
+  const toUnicode = toUnicodeData ? parseToUnicode(toUnicodeData.toString('latin1')) : new Map();
+
+  if (subtype === 'Type0') {
+    const descendant = doc.resolve((doc.resolve(fontDict.get('DescendantFonts')) || [])[0]) || new Map();
+    const defaultWidth = doc.resolve(descendant.get('DW')) || 1000;
+    const widths = new Map();
+    const w = doc.resolve(descendant.get('W')) || [];
+    for (let i = 0; i < w.length;) {
+      const first = doc.resolve(w[i]);
+      const second = doc.resolve(w[i + 1]);
+      if (Array.isArray(second)) {
+        second.forEach((width, k) => widths.set(first + k, doc.resolve(width)));
+        i += 2;
+      } else {
+        for (let code = first; code <= second && code - first < 65536; code++) widths.set(code, doc.resolve(w[i + 2]));
+        i += 3;
+      }
+    }
+
+    return {
+      decode(bytes) {
+        const glyphs = [];
+        for (let i = 0; i + 1 < bytes.length; i += 2) {
+          const code = (bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1);
+          const text = toUnicode.get(code) || '';
+          glyphs.push({ text, width: widths.has(code) ? widths.get(code) : defaultWidth, isSpace: false });
+        }
+        return glyphs;
+      }
+    };
+  }
+
+  // Simple font: one byte per code, WinAnsi (or Latin-1) text adjusted by the Differences array
+  const encoding = doc.resolve(fontDict.get('Encoding'));
+  const differences = new Map();
+  if (encoding instanceof Map) {
+    let code = 0;
+    (doc.resolve(encoding.get('Differences')) || []).forEach(item => {
+      if (typeof item === 'number') {
+        code = item;
+      } else if (nameOf(item)) {
+        differences.set(code++, glyphToText(nameOf(item)));
+      }
+    });
+  }
+
+  const firstChar = doc.resolve(fontDict.get('FirstChar')) || 0;
+  const widths = (doc.resolve(fontDict.get('Widths')) || []).map(width => doc.resolve(width));
+  const descriptor = doc.resolve(fontDict.get('FontDescriptor'));
+  const missingWidth = descriptor instanceof Map ? doc.resolve(descriptor.get('MissingWidth')) : null;
+  const baseFont = nameOf(doc.resolve(fontDict.get('BaseFont'))) || '';
+  const monospaced = /Courier/i.test(baseFont);
+
+  return {
+    decode(bytes) {
+      const glyphs = [];
+      for (let i = 0; i < bytes.length; i++) {
+        const code = bytes.charCodeAt(i);
+        const text = toUnicode.has(code) ? toUnicode.get(code)
+          : differences.has(code) ? differences.get(code)
+            : winAnsiText(code);
+
+        let width = widths[code - firstChar];
+        if (typeof width !== 'number') {
+          if (monospaced) width = 600;
+          else if (widths.length === 0 && code >= 32 && code <= 126) width = HELVETICA_WIDTHS[code - 32];
+          else width = missingWidth || 556;
+        }
+        glyphs.push({ text, width, isSpace: code === 32 });
+      }
+      return glyphs;
+    }
+  };
+}
+
+// Helper function to multiply two matrices [a b c d e f]
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2],
+    m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],
+    m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4],
+    m[4] * n[1] + m[5] * n[3] + n[5]
+  ];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Run a content stream and collect the text it draws as pieces { text, x, endX, y, size } in page
+// coordinates. A piece ends where the text jumps (a new Tj/TJ string, or a run of spaces wider than
+// a cell gap), so table cells drawn in one string are still told apart.
+function readContent(doc, data, resources, ctm, pieces, depth = 0) {
+  const lexer = createLexer(data.toString('latin1'));
+  const fonts = new Map();
+  let state = { ctm, font: null, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+  const stack = [];
+  let textMatrix = IDENTITY;
+  let lineMatrix = IDENTITY;
+  let operands = [];
+
+  const resource = (category, name) => {
+    const dict = doc.resolve(resources instanceof Map ? resources.get(category) : null);
+    return dict instanceof Map ? dict.get(name) : undefined;
+  };
+
+  const fontFor = name => {
+    if (!fonts.has(name)) {
+      const fontDict = doc.resolve(resource('Font', name));
+      fonts.set(name, fontDict instanceof Map ? loadFont(doc, fontDict) : null);
+    }
+    return fonts.get(name);
+  };
+
+  const moveLine = (tx, ty) => {
+    lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+    textMatrix = lineMatrix;
+  };
+
+  const show = bytes => {
+    if (!state.font || typeof bytes !== 'string') return;
+    let piece = null;
+    let pendingSpace = 0;
+
+    state.font.decode(bytes).forEach(glyph => {
+      const rendering = multiply([state.size * state.scale, 0, 0, state.size, 0, state.rise], multiply(textMatrix, state.ctm));
+      const size = Math.hypot(rendering[2], rendering[3]);
+      const advance = (glyph.width / 1000 * state.size + state.charSpacing + (glyph.isSpace ? state.wordSpacing : 0)) * state.scale;
+      const next = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+      const endX = multiply(next, state.ctm)[4];
+
+      // Rotated or vertical text is not part of a table
+      if (Math.abs(rendering[1]) > Math.abs(rendering[0])) {
+        textMatrix = next;
+        return;
+      }
+
+      if (glyph.isSpace || glyph.text.trim() === '') {
+        if (piece) pendingSpace += endX - rendering[4];
+      } else {
+        if (piece && pendingSpace > size * CELL_GAP_EMS) {
+          pieces.push(piece);
+          piece = null;
+        }
+        if (!piece) {
+          piece = { text: '', x: rendering[4], endX, y: rendering[5], size };
+        } else if (pendingSpace > 0) {
+          piece.text += ' ';
+        }
+        piece.text += glyph.text;
+        piece.endX = endX;
+        pendingSpace = 0;
+      }
+      textMatrix = next;
+    });
+    if (piece) pieces.push(piece);
+  };
+
+  const nextLine = () => moveLine(0, -state.leading);
+
+  for (;;) {
+    const token = lexer.complete(lexer.next());
+    if (token === undefined) break;
+    if (!token || typeof token.op !== 'string' || token.op === ']' || token.op === '>>') {
+      operands.push(token);
+      continue;
+    }
+
+    const args = operands;
+    operands = [];
+    switch (token.op) {
+      case 'q':
+        stack.push(state);
+        state = { ...state };
+        break;
+      case 'Q':
+        if (stack.length > 0) state = stack.pop();
+        break;
+      case 'cm':
+        if (args.length === 6) state.ctm = multiply(args, state.ctm);
+        break;
+      case 'BT':
+        textMatrix = IDENTITY;
+        lineMatrix = IDENTITY;
+        break;
+      case 'Tf':
+        state.font = fontFor(nameOf(args[0]));
+        state.size = args[1] || 0;
+        break;
+      case 'Tc':
+        state.charSpacing = args[0] || 0;
+        break;
+      case 'Tw':
+        state.wordSpacing = args[0] || 0;
+        break;
+      case 'Tz':
+        state.scale = (args[0] === undefined ? 100 : args[0]) / 100;
+        break;
+      case 'TL':
+        state.leading = args[0] || 0;
+        break;
+      case 'Ts':
+        state.rise = args[0] || 0;
+        break;
+      case 'Td':
+        moveLine(args[0] || 0, args[1] || 0);
+        break;
+      case 'TD':
+        state.leading = -(args[1] || 0);
+        moveLine(args[0] || 0, args[1] || 0);
+        break;
+      case 'Tm':
+        if (args.length === 6) {
+          lineMatrix = args;
+          textMatrix = args;
+        }
+        break;
+      case 'T*':
+        nextLine();
+        break;
+      case 'Tj':
+        show(args[0] && args[0].string);
+        break;
+      case '\'':
+        nextLine();
+        show(args[0] && args[0].string);
+        break;
+      case '"':
+        state.wordSpacing = args[0] || 0;
+        state.charSpacing = args[1] || 0;
+        nextLine();
+        show(args[2] && args[2].string);
+        break;
+      case 'TJ':
+        (Array.isArray(args[0]) ? args[0] : []).forEach(item => {
+          if (typeof item === 'number') {
+            textMatrix = multiply([1, 0, 0, 1, -item / 1000 * state.size * state.scale, 0], textMatrix);
+          } else if (item && typeof item.string === 'string') {
+            show(item.string);
+          }
+        });
+        break;
+      case 'Do': {
+        const form = doc.streamOf(resource('XObject', nameOf(args[0])));
+        if (form && nameOf(doc.resolve(form.value.get('Subtype'))) === 'Form' && depth < MAX_FORM_DEPTH) {
+          const formData = doc.decode(form);
+          const matrix = doc.resolve(form.value.get('Matrix'));
+          const formResources = doc.resolve(form.value.get('Resources')) || resources;
+          if (formData) {
+            readContent(doc, formData, formResources, multiply(Array.isArray(matrix) && matrix.length === 6 ? matrix : IDENTITY, state.ctm), pieces, depth + 1);
+          }
+        }
+        break;
+      }
+      case 'BI': {
+        // Inline image: skip its binary data up to EI
+        const source = data.toString('latin1');
+        const dataStart = source.indexOf('ID', lexer.pos);
+        const end = dataStart === -1 ? -1 : source.slice(dataStart + 2).search(/\sEI(\s|$)/);
+        lexer.pos = end === -1 ? source.length : dataStart + 2 + end + 3;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+// Group the text pieces of a page into lines (top to bottom) of cells (left to right).
+// Pieces on the same baseline (within 40% of the font size) form a line; within a line, pieces
+// further apart than CELL_GAP_EMS are separate cells. Each line is { y, size, text, cells } and
+// each cell { text, x, endX }.
+function buildLines(pieces) {
+  const sorted = pieces
+    .filter(piece => piece.text.trim() !== '')
+    .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+  const rows = [];
+  sorted.forEach(piece => {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - piece.y) <= Math.max(row.size, piece.size) * 0.4) {
+      row.pieces.push(piece);
+      row.size = Math.max(row.size, piece.size);
+    } else {
+      rows.push({ y: piece.y, size: piece.size, pieces: [piece] });
+    }
+  });
+
+  return rows.map(row => {
+    const cells = [];
+    row.pieces.sort((a, b) => a.x - b.x).forEach(piece => {
+      const cell = cells[cells.length - 1];
+      const gap = cell ? piece.x - cell.endX : Infinity;
+      if (gap > row.size * CELL_GAP_EMS) {
+        cells.push({ text: piece.text, x: piece.x, endX: piece.endX });
+        return;
+      }
+      cell.text += gap > row.size * WORD_GAP_EMS ? ` ${piece.text}` : piece.text;
+      cell.endX = Math.max(cell.endX, piece.endX);
+    });
+    cells.forEach(cell => {
+      cell.text = cell.text.replace(/\s+/g, ' ').trim();
+    });
+
+    return {
+      y: Math.round(row.y * 100) / 100,
+      size: Math.round(row.size * 100) / 100,
+      text: cells.map(cell => cell.text).join(' '),
+      cells
+    };
+  });
+}
+
+// Helper function to list the pages in order, with the resources each inherits from the page tree
+function collectPages(doc) {
+  const pages = [];
+  const seen = new Set();
+
+  const visit = (value, inherited) => {
+    const node = doc.resolve(value);
+    if (!(node instanceof Map) || seen.has(node)) return;
+    seen.add(node);
+
+    const resources = node.has('Resources') ? doc.resolve(node.get('Resources')) : inherited;
+    if (node.has('Kids')) {
+      (doc.resolve(node.get('Kids')) || []).forEach(kid => visit(kid, resources));
+    } else if (nameOf(doc.resolve(node.get('Type'))) !== 'Pages') {
+      pages.push({ node, resources });
+    }
+  };
+
+  const catalog = Array.from(doc.objects.values()).find(object => (
+    object.value instanceof Map && nameOf(object.value.get('Type')) === 'Catalog'
+  ));
+  if (catalog) {
+    visit(catalog.value.get('Pages'), null);
+  }
+
+  // No usable page tree: every page object in file order
+  if (pages.length === 0) {
+    doc.objects.forEach(object => {
+      if (object.value instanceof Map && nameOf(object.value.get('Type')) === 'Page') {
+        pages.push({ node: object.value, resources: doc.resolve(object.value.get('Resources')) });
+      }
+    });
+  }
+  return pages;
+}
+
+// Helper function to read the document title from the Info dictionary
+function readTitle(doc, buffer) {
+  const text = buffer.toString('latin1');
+  const infoRefs = text.match(/\/Info\s+\d+\s+\d+\s+R/g);
+  if (!infoRefs) return null;
+
+  const info = doc.resolve({ ref: parseInt(infoRefs[infoRefs.length - 1].match(/\d+/)[0], 10) });
+  const title = info instanceof Map ? decodeTextString(doc.resolve(info.get('Title'))).trim() : '';
+  return title || null;
+}
+
+// Read the text of a PDF (a Buffer) without any external tool. Returns { title, pages } where
+// each page is { number, lines } and each line { y, size, text, cells } (see buildLines).
+// Throws for files that are not PDFs or are encrypted; pages whose content cannot be decoded
+// come back without lines. options.maxStreamBytes caps the decoded size of each stream.
+function readPdf(buffer, options = {}) {
+  const doc = loadDocument(buffer, options);
+
+  const pages = collectPages(doc).map(({ node, resources }, index) => {
+    const contents = node.get('Contents');
+    const parts = Array.isArray(doc.resolve(contents)) ? doc.resolve(contents) : [contents];
+    const data = Buffer.concat(parts
+      .map(part => doc.streamOf(part))
+      .filter(Boolean)
+      .map(stream => doc.decode(stream))
+      .filter(Boolean)
+      .flatMap(part => [part, Buffer.from('\n')]));
+
+    const pieces = [];
+    readContent(doc, data, resources, IDENTITY, pieces);
+    return { number: index + 1, lines: buildLines(pieces) };
+  });
+
+  if (pages.length === 0) {
+    throw new Error('No pages found in the PDF');
+  }
+  return { title: readTitle(doc, buffer), pages };
+}
+
+module.exports = {
+  readPdf,
+  buildLines,
+  parseToUnicode
+};
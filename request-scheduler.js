@@ -0,0 +1,140 @@
+// request-scheduler.js
+
+// Token bucket: holds up to `burst` tokens and refills at `ratePerSecond`
+function createTokenBucket(ratePerSecond, burst) {
+  return {
+    ratePerSecond,
+    capacity: Math.max(1, burst),
+    tokens: Math.max(1, burst),
+    lastRefill: Date.now()
+  };
+}
+
+// Top up a bucket with the tokens earned since its last refill
+function refill(bucket, now) {
+  const elapsedSeconds = (now - bucket.lastRefill) / 1000;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsedSeconds * bucket.ratePerSecond);
+  bucket.lastRefill = now;
+}
+
+// Milliseconds until the bucket can hand out a token (0 if one is available now)
+function timeUntilToken(bucket, now) {
+  refill(bucket, now);
+  if (bucket.tokens >= 1) return 0;
+  return Math.ceil(((1 - bucket.tokens) / bucket.ratePerSecond) * 1000);
+}
+
+// Helper function to get the host a URL belongs to
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return '';
+  }
+}
+
+// Create a scheduler that runs at most `concurrency` tasks at once and lets each
+// host start at most `requestsPerSecond` requests per second (bursts up to `burst`).
+// Every fetch the scraper makes goes through schedule(url, task).
+function createScheduler({ concurrency = 1, requestsPerSecond = 1, burst = 1 } = {}) {
+  const queue = [];
+  const buckets = new Map();
+  let active = 0;
+  let timer = null;
+
+  const stats = {
+    scheduled: 0,
+    completed: 0,
+    failed: 0,
+    maxActive: 0,
+    totalWaitMs: 0
+  };
+
+  function getBucket(host) {
+    if (!buckets.has(host)) {
+      buckets.set(host, createTokenBucket(requestsPerSecond, burst));
+    }
+    return buckets.get(host);
+  }
+
+  // Start every queued task that has a free slot and a token for its host
+  function pump() {
+    timer = null;
+    const now = Date.now();
+    let nextWakeUp = Infinity;
+
+    for (let i = 0; i < queue.length && active < concurrency;) {
+      const job = queue[i];
+      const bucket = getBucket(job.host);
+      const wait = timeUntilToken(bucket, now);
+
+      if (wait > 0) {
+        nextWakeUp = Math.min(nextWakeUp, wait);
+        i++;
+        continue;
+      }
+
+      bucket.tokens -= 1;
+      queue.splice(i, 1);
+      run(job);
+    }
+
+    if (queue.length > 0 && active < concurrency && nextWakeUp !== Infinity) {
+      timer = setTimeout(pump, nextWakeUp);
+    }
+  }
+
+  function run(job) {
+    active++;
+    stats.maxActive = Math.max(stats.maxActive, active);
+    stats.totalWaitMs += Date.now() - job.queuedAt;
+
+    Promise.resolve()
+      .then(job.task)
+      .then(result => {
+        stats.completed++;
+        job.resolve(result);
+      }, error => {
+        stats.failed++;
+        job.reject(error);
+      })
+      .finally(() => {
+        active--;
+        if (!timer) pump();
+      });
+  }
+
+  // Queue a task (a function returning a promise) for the host of url
+  function schedule(url, task) {
+    stats.scheduled++;
+    return new Promise((resolve, reject) => {
+      queue.push({ host: hostOf(url), task, resolve, reject, queuedAt: Date.now() });
+      if (!timer) pump();
+    });
+  }
+
+  // Tighten the limit of one host, e.g. to honour a Crawl-delay announced by the site
+  function setHostLimit(host, { ratePerSecond, burst }) {
+    const bucket = getBucket(host);
+    refill(bucket, Date.now());
+    bucket.ratePerSecond = ratePerSecond;
+    bucket.capacity = Math.max(1, burst);
+    bucket.tokens = Math.min(bucket.tokens, bucket.capacity);
+  }
+
+  return {
+    schedule,
+    setHostLimit,
+    stats,
+    get pending() {
+      return queue.length;
+    },
+    get active() {
+      return active;
+    }
+  };
+}
+
+module.exports = {
+  createScheduler
+};
@@ -0,0 +1,161 @@
+// retry-policy.js
+
+// Network error codes worth retrying (temporary conditions)
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ESOCKETTIMEDOUT'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ERR_CANCELED'];
+
+// Error raised for a failed fetch, carrying what went wrong and how often it was tried
+class ScrapeError extends Error {
+  constructor(message, { kind, status = null, attempts = 1, url = null, retryable = false, cause = null } = {}) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.kind = kind;
+    this.status = status;
+    this.attempts = attempts;
+    this.url = url;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+
+  // Plain object stored in all_data.json / summary.json
+  toJSON() {
+    return {
+      kind: this.kind,
+      status: this.status,
+      attempts: this.attempts,
+      url: this.url,
+      message: this.message
+    };
+  }
+}
+
+// Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = new Date(value).getTime();
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Classify a fetch error: { kind, status, retryable, retryAfterMs }
+function classifyError(error) {
+  if (error instanceof ScrapeError) {
+    return { kind: error.kind, status: error.status, retryable: error.retryable, retryAfterMs: null };
+  }
+
+  const status = error.response ? error.response.status : null;
+  if (status) {
+    const headers = error.response.headers || {};
+    const retryAfterMs = parseRetryAfter(headers['retry-after']);
+
+    if (status === 429) return { kind: 'rate-limited', status, retryable: true, retryAfterMs };
+    if (status >= 500) return { kind: 'server', status, retryable: true, retryAfterMs };
+    return { kind: 'client', status, retryable: false, retryAfterMs: null };
+  }
+
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return { kind: 'timeout', status: null, retryable: true, retryAfterMs: null };
+  }
+  if (RETRYABLE_CODES.includes(error.code)) {
+    return { kind: 'connection', status: null, retryable: true, retryAfterMs: null };
+  }
+  if (error.code === 'ENOTFOUND') {
+    return { kind: 'dns', status: null, retryable: false, retryAfterMs: null };
+  }
+  if (error.code === 'ARCHIVE_MISS') {
+    return { kind: 'archive-miss', status: null, retryable: false, retryAfterMs: null };
+  }
+
+  return { kind: 'unknown', status: null, retryable: false, retryAfterMs: null };
+}
+
+// Wrap any error into a ScrapeError for the given URL
+function toScrapeError(error, url, attempts = 1) {
+  if (error instanceof ScrapeError) return error;
+
+  const classification = classifyError(error);
+  return new ScrapeError(error.message, {
+    kind: classification.kind,
+    status: classification.status,
+    attempts,
+    url,
+    retryable: classification.retryable,
+    cause: error
+  });
+}
+
+// Structured error info for any failure while scraping a page (fetch or parse)
+function toErrorInfo(error, url) {
+  if (error instanceof ScrapeError) return error.toJSON();
+  return { kind: 'parse', status: null, attempts: 1, url, message: error.message };
+}
+
+// Exponential backoff with "equal jitter": half the delay is fixed, half is random
+function computeBackoff(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+// Circuit breaker for one host: after `failureThreshold` consecutive failures it opens and
+// rejects requests for `cooldownMs`, then lets a single trial request through (half-open)
+function createCircuitBreaker({ failureThreshold, cooldownMs }) {
+  const breaker = {
+    state: 'closed',
+    failures: 0,
+    openedAt: null,
+    trialInFlight: false
+  };
+
+  return {
+    get state() {
+      return breaker.state;
+    },
+
+    // Check (and claim, when half-open) permission to send a request
+    canRequest(now = Date.now()) {
+      if (breaker.state === 'open' && now - breaker.openedAt >= cooldownMs) {
+        breaker.state = 'half-open';
+        breaker.trialInFlight = false;
+      }
+      if (breaker.state === 'closed') return true;
+      if (breaker.state === 'half-open' && !breaker.trialInFlight) {
+        breaker.trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      breaker.state = 'closed';
+      breaker.failures = 0;
+      breaker.trialInFlight = false;
+    },
+
+    recordFailure(now = Date.now()) {
+      breaker.failures++;
+      breaker.trialInFlight = false;
+      if (breaker.state === 'half-open' || breaker.failures >= failureThreshold) {
+        breaker.state = 'open';
+        breaker.openedAt = now;
+      }
+    },
+
+    // Milliseconds until an open breaker allows a trial request
+    retryInMs(now = Date.now()) {
+      return breaker.state === 'open' ? Math.max(0, cooldownMs - (now - breaker.openedAt)) : 0;
+    }
+  };
+}
+
+module.exports = {
+  ScrapeError,
+  classifyError,
+  toScrapeError,
+  toErrorInfo,
+  parseRetryAfter,
+  computeBackoff,
+  createCircuitBreaker
+};
@@ -0,0 +1,165 @@
+// robots-policy.js
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+const mkdirAsync = promisify(fs.mkdir);
+
+// Parse robots.txt into groups: [{ agents: ['*'], rules: [{ allow, path }], crawlDelay }]
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  });
+
+  return { groups };
+}
+
+// Pick the group for our product token (most specific match), falling back to "*".
+// Empty User-agent lines are skipped: every token would "include" them
+function selectGroup(robots, agentToken) {
+  const token = agentToken.toLowerCase();
+  const matching = robots.groups
+    .filter(group => group.agents.some(agent => agent && agent !== '*' && token.includes(agent)))
+    .sort((a, b) => Math.max(...b.agents.map(agent => agent.length)) - Math.max(...a.agents.map(agent => agent.length)));
+
+  if (matching.length > 0) return matching[0];
+  return robots.groups.find(group => group.agents.includes('*')) || null;
+}
+
+// Turn a robots.txt path pattern (with * and $) into a regular expression
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Check a URL against the robots rules: the longest matching rule wins, Allow wins ties
+function isAllowed(robots, agentToken, url) {
+  if (robots.disallowAll) return false;
+
+  const group = selectGroup(robots, agentToken);
+  if (!group) return true;
+
+  const parsed = new URL(url);
+  let target = parsed.pathname + parsed.search;
+  try {
+    target = decodeURI(target);
+  } catch (error) {
+    // Keep the encoded path if it cannot be decoded
+  }
+
+  let best = null;
+  group.rules.forEach(rule => {
+    let rulePath = rule.path;
+    try {
+      rulePath = decodeURI(rulePath);
+    } catch (error) {
+      // Keep the rule as written
+    }
+
+    if (!patternToRegExp(rulePath).test(target)) return;
+    if (!best || rulePath.length > best.length || (rulePath.length === best.length && rule.allow)) {
+      best = { length: rulePath.length, allow: rule.allow };
+    }
+  });
+
+  return best ? best.allow : true;
+}
+
+// Crawl-delay (seconds) for our group, or null
+function getCrawlDelay(robots, agentToken) {
+  const group = selectGroup(robots, agentToken);
+  return group ? group.crawlDelay : null;
+}
+
+// Helper function to get the cache file for a host's robots.txt
+function robotsCacheFile(cacheDir, host) {
+  return path.join(cacheDir, `${host.replace(/[^a-z0-9.-]/gi, '_')}.json`);
+}
+
+// Load robots.txt for an origin, using the on-disk copy while it is younger than ttlMs.
+// fetchRobots(url) must resolve with { status, data } for any HTTP status.
+// Follows RFC 9309: 4xx means no restrictions, 5xx or network errors mean disallow all
+// (unless an older cached copy is available).
+async function loadRobots(origin, { cacheDir, ttlMs, fetchRobots }) {
+  const host = new URL(origin).host;
+  const cacheFile = robotsCacheFile(cacheDir, host);
+
+  let cached = null;
+  try {
+    cached = JSON.parse(await readFileAsync(cacheFile, 'utf8'));
+  } catch (error) {
+    // No cached copy yet
+  }
+
+  if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < ttlMs) {
+    return { ...cached.robots, source: 'cache', status: cached.status };
+  }
+
+  let robots;
+  let status = null;
+  try {
+    const response = await fetchRobots(`${origin}/robots.txt`);
+    status = response.status;
+
+    if (status >= 200 && status < 300) {
+      robots = parseRobots(response.data);
+    } else if (status >= 400 && status < 500) {
+      robots = { groups: [] };
+    } else {
+      throw new Error(`robots.txt returned status ${status}`);
+    }
+  } catch (error) {
+    if (cached) {
+      return { ...cached.robots, source: 'stale-cache', status: cached.status };
+    }
+    return { groups: [], disallowAll: true, source: 'unreachable', status, error: error.message };
+  }
+
+  await mkdirAsync(cacheDir, { recursive: true });
+  await writeFileAsync(cacheFile, JSON.stringify({ origin, status, fetchedAt: new Date().toISOString(), robots }, null, 2), 'utf8');
+  return { ...robots, source: 'network', status };
+}
+
+module.exports = {
+  parseRobots,
+  isAllowed,
+  getCrawlDelay,
+  loadRobots
+};
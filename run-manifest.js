@@ -0,0 +1,193 @@
+// run-manifest.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./atomic-write');
+
+const readFileAsync = promisify(fs.readFile);
+const readdirAsync = promisify(fs.readdir);
+const unlinkAsync = promisify(fs.unlink);
+const mkdirAsync = promisify(fs.mkdir);
+
+// Manifests are kept per run under the output directory: manifests/run_<runId>.json
+const MANIFESTS_DIR = 'manifests';
+const MANIFEST_PATTERN = /^run_.*\.json$/;
+
+// Helper function to count the bytes of a response body (text, Buffer or ArrayBuffer)
+function bodyBytes(data) {
+  if (data === null || data === undefined) return 0;
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) return data.byteLength;
+  return Buffer.byteLength(typeof data === 'string' ? data : JSON.stringify(data), 'utf8');
+}
+
+// Helper function to hash a response body the way the HTTP cache and archive do (sha256, hex)
+function hashBody(data) {
+  const hash = crypto.createHash('sha256');
+  if (Buffer.isBuffer(data)) {
+    hash.update(data);
+  } else if (data instanceof ArrayBuffer) {
+    hash.update(Buffer.from(data));
+  } else {
+    hash.update(String(data === null || data === undefined ? '' : data), 'utf8');
+  }
+  return hash.digest('hex');
+}
+
+// Helper function to copy the configuration without webhook secrets and fingerprint it
+function describeConfig(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  if (copy.notifications && Array.isArray(copy.notifications.webhooks)) {
+    copy.notifications.webhooks = copy.notifications.webhooks.map(webhook => (
+      webhook.secret ? { ...webhook, secret: '***' } : webhook
+    ));
+  }
+  return {
+    hash: crypto.createHash('sha256').update(JSON.stringify(copy)).digest('hex'),
+    values: copy
+  };
+}
+
+// Totals over the fetches of a run: requests, bytes, retries, cache use and failures,
+// by HTTP status and by kind of resource (page, media, pdf, robots)
+function summarizeFetches(fetches) {
+  const count = (list, key) => list.reduce((totals, entry) => {
+    const value = String(entry[key]);
+    totals[value] = (totals[value] || 0) + 1;
+    return totals;
+  }, {});
+
+  return {
+    requests: fetches.length,
+    bytes: fetches.reduce((total, entry) => total + entry.bytes, 0),
+    retries: fetches.reduce((total, entry) => total + entry.retries, 0),
+    cacheHits: fetches.filter(entry => entry.cacheStatus === 'cache-hit').length,
+    revalidated: fetches.filter(entry => entry.cacheStatus === 'revalidated').length,
+    replayed: fetches.filter(entry => entry.cacheStatus === 'replay').length,
+    failed: fetches.filter(entry => entry.error).length,
+    byStatus: count(fetches.filter(entry => entry.status !== null), 'status'),
+    byKind: count(fetches, 'kind')
+  };
+}
+
+// Start the manifest of a scraper run. It collects every fetch (recordFetch), how long each
+// phase took (startPhase) and how each sport was parsed (recordSport); build() gives the JSON.
+// `file` is the manifest's path relative to the output directory, as stored in provenance links.
+function createRunManifest({ runId, toolVersion, config, options = {} }) {
+  const startedAt = new Date();
+  const fetches = [];
+  const phases = {};
+  const sports = {};
+  const file = path.posix.join(MANIFESTS_DIR, `run_${runId}.json`);
+
+  return {
+    runId,
+    file,
+
+    // Record one fetch: { kind, url, status, bytes, durationMs, attempts, cacheStatus, contentHash, error? }.
+    // Returns its id ("f12"), which provenance links point to.
+    recordFetch(fetch) {
+      const id = `f${fetches.length + 1}`;
+      const attempts = fetch.attempts || (fetch.cacheStatus === 'network' || fetch.cacheStatus === 'revalidated' ? 1 : 0);
+      fetches.push({
+        id,
+        kind: fetch.kind,
+        url: fetch.url,
+        status: fetch.status === undefined ? null : fetch.status,
+        bytes: fetch.bytes || 0,
+        durationMs: fetch.durationMs,
+        attempts,
+        retries: Math.max(0, attempts - 1),
+        cacheStatus: fetch.cacheStatus || null,
+        contentHash: fetch.contentHash || null,
+        fetchedAt: new Date().toISOString(),
+        ...(fetch.error ? { error: fetch.error } : {})
+      });
+      return id;
+    },
+
+    // Time a phase of the run: const end = manifest.startPhase('sports'); ...; end()
+    startPhase(name) {
+      const start = Date.now();
+      return () => {
+        phases[name] = (phases[name] || 0) + Date.now() - start;
+      };
+    },
+
+    // Note how a sport's data was obtained: { status: 'parsed'|'cached'|'failed', fetchId, parseMs }
+    recordSport(sportName, details) {
+      sports[sportName] = details;
+    },
+
+    // Provenance link for data that came from a fetch of this run (null for an unknown id)
+    sourceOf(fetchId) {
+      const fetch = fetches.find(entry => entry.id === fetchId);
+      if (!fetch) return null;
+      return { runId, manifest: file, fetchId, url: fetch.url, contentHash: fetch.contentHash, fetchedAt: fetch.fetchedAt };
+    },
+
+    build(extra = {}) {
+      const finishedAt = new Date();
+      return {
+        runId,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        provenance: {
+          toolVersion,
+          node: process.version,
+          platform: process.platform,
+          options,
+          config: describeConfig(config)
+        },
+        phases: { ...phases },
+        stats: summarizeFetches(fetches),
+        sports: { ...sports },
+        fetches,
+        reports: [],
+        ...extra
+      };
+    }
+  };
+}
+
+// Write a manifest to the output directory, keeping at most maxManifests files (0 = all).
+// Run ids start with the run's time, so names sort chronologically.
+async function saveManifest(outputDir, file, manifest, maxManifests = 0) {
+  const filePath = path.join(outputDir, file);
+  await mkdirAsync(path.dirname(filePath), { recursive: true });
+  await writeFileAtomic(filePath, JSON.stringify(manifest, null, 2), 'utf8');
+
+  if (maxManifests > 0) {
+    const manifestsDir = path.dirname(filePath);
+    const files = (await readdirAsync(manifestsDir)).filter(name => MANIFEST_PATTERN.test(name)).sort();
+    const expired = files.slice(0, Math.max(0, files.length - maxManifests));
+    await Promise.all(expired.map(name => unlinkAsync(path.join(manifestsDir, name))));
+  }
+}
+
+// Add a report generation (timing and where the reports went) to the manifest of the run that
+// produced the data. Returns false when that manifest no longer exists (older data or pruned runs).
+async function recordReportGeneration(outputDir, file, report) {
+  const filePath = path.join(outputDir, file);
+  let manifest;
+  try {
+    manifest = JSON.parse(await readFileAsync(filePath, 'utf8'));
+  } catch (error) {
+    return false;
+  }
+
+  manifest.reports = [...(manifest.reports || []), { generatedAt: new Date().toISOString(), ...report }];
+  await writeFileAtomic(filePath, JSON.stringify(manifest, null, 2), 'utf8');
+  return true;
+}
+
+module.exports = {
+  MANIFESTS_DIR,
+  bodyBytes,
+  hashBody,
+  summarizeFetches,
+  createRunManifest,
+  saveManifest,
+  recordReportGeneration
+};
@@ -1,10 +1,24 @@
 #!/usr/bin/env node
-const { runScraper } = require('./enhanced-scraper');
-const { processAllSportsData, CONFIG } = require('./data-processor');
+const appConfig = require('./config');
+
+// Check the configuration (defaults, salesianos.config.json, environment) before the modules read it
+try {
+  appConfig.getConfig();
+} catch (error) {
+  console.error(`\nError de configuración: ${error.message}\n`);
+  process.exit(1);
+}
+
+const { runScraper, testWebhooks, applyConfig: applyScraperConfig } = require('./enhanced-scraper');
+const { processAllSportsData, migrateDataFiles, applyConfig: applyProcessorConfig, CONFIG } = require('./data-processor');
+const { parseCategory } = require('./category-parser');
+const logger = require('./logger');
 const path = require('path');
 const fs = require('fs');
 const readline = require('readline');
 
+const log = logger.createLogger('cli');
+
 // Create interface for user input
 const rl = readline.createInterface({
   input: process.stdin,
@@ -16,28 +30,85 @@ const COMMANDS = {
   SCRAPE: 'scrape',
   PROCESS: 'process',
   BOTH: 'both',
+  WATCH: 'watch',
+  NOTIFY_TEST: 'notify-test',
+  MIGRATE: 'migrate',
+  CONFIG: 'config',
   HELP: 'help',
   EXIT: 'exit'
 };
 
+// Commands that get their own run id in the logs
+const RUN_COMMANDS = [COMMANDS.SCRAPE, COMMANDS.PROCESS, COMMANDS.BOTH, COMMANDS.NOTIFY_TEST, COMMANDS.MIGRATE];
+
+// Helper function to take the watch schedule from the shared settings (times are local to the event)
+function watchSettings(settings) {
+  return { ...settings.watch, timeZone: settings.timeZone };
+}
+
+// Watch mode schedule (watch.* and timeZone in config.js)
+const WATCH_CONFIG = watchSettings(appConfig.getConfig().values);
+
+// Whether the module configurations currently include the config flags of an earlier command
+let commandConfigApplied = false;
+
 // Display the welcome message
 function displayWelcome() {
   console.log(`
 ============================================================
-    JUEGOS NACIONALES SALESIANOS 2025 - WEB SCRAPER
+    ${CONFIG.edition.name.toUpperCase()} - WEB SCRAPER
 ============================================================
 
 Este script permite extraer y procesar los resultados deportivos
-del sitio web de los Juegos Nacionales Salesianos 2025.
+del sitio web de los Juegos Nacionales Salesianos (edición ${CONFIG.edition.id}).
+Ediciones disponibles: ${CONFIG.editions.map(edition => edition.id).join(', ')}
 
 Comandos disponibles:
   ${COMMANDS.SCRAPE}   - Solo extraer datos del sitio web
   ${COMMANDS.PROCESS}  - Solo procesar datos ya extraídos
   ${COMMANDS.BOTH}     - Extraer y procesar datos
+  ${COMMANDS.WATCH}    - Extraer periódicamente y actualizar reportes si hay cambios
+  ${COMMANDS.NOTIFY_TEST} - Enviar un evento de prueba a los webhooks configurados
+  ${COMMANDS.MIGRATE}  - Actualizar los datos guardados al formato actual
+  ${COMMANDS.CONFIG} show - Mostrar la configuración efectiva y de dónde sale cada valor
   ${COMMANDS.HELP}     - Mostrar esta ayuda
   ${COMMANDS.EXIT}     - Salir del programa
 
-Desarrollado para: Juegos Nacionales Salesianos 2025
+Opciones (scrape / both):
+  --record           - Archivar cada página descargada
+  --replay <archivo> - Procesar desde un archivo, sin conexión ("latest" = el más reciente)
+  --discover         - Detectar disciplinas nuevas en el menú y el sitemap del sitio
+  --no-cache         - Descargar todas las páginas aunque no hayan cambiado
+  --no-media         - No descargar las imágenes (portadas, galerías y logos)
+  --no-pdf           - No leer los boletines PDF enlazados desde las disciplinas
+  --compare-adapters - Leer cada disciplina también con el otro adaptador (HTML / WordPress) y comparar
+  --ignore-robots    - Ignorar robots.txt (queda registrado en el log)
+  --webhook <url>    - Notificar también a este webhook (secreto en SALESIANOS_WEBHOOK_SECRET)
+  --fail-on-degraded - Terminar con código 2 si health.json marca la extracción como degradada
+
+Opciones (watch, además de las anteriores):
+  --interval <min>       - Minutos entre extracciones (por defecto ${WATCH_CONFIG.intervalMinutes})
+  --night-interval <min> - Minutos entre extracciones de noche (por defecto ${WATCH_CONFIG.nightIntervalMinutes})
+
+Configuración (cualquier comando):
+  --config <archivo>     - Leer este archivo en lugar de ${appConfig.DEFAULT_FILE}
+  --edition <id>         - Edición a extraer y procesar (por defecto ${appConfig.getConfig().values.defaultEdition})
+  --base-url <url>       - Sitio del que se extraen los datos
+  --output-dir <dir>     - Directorio de los datos extraídos
+  --reports-dir <dir>    - Directorio de los reportes
+  --requests-per-second <n> - Peticiones por segundo a cada servidor
+  --adapter <html|wordpress> - Adaptador de las disciplinas sin uno propio (por defecto html)
+  --set <clave>=<valor>  - Cualquier otro ajuste (p. ej. --set maxRetries=5)
+  --verbose              - Mostrar todo el registro, con nivel y campos (en watch, también el del scraper)
+  --quiet                - Mostrar solo advertencias y errores
+
+Filtros de reportes (process / both / watch):
+  --gender <género>      - masculino, femenino o mixto
+  --age-group <edad>     - infantil, cadete, juvenil, sub-15...
+  --group <grupo>        - Grupo de la fase de grupos (A, B, 1...)
+  --phase <fase>         - grupos, cuartos, semifinal, final...
+
+Desarrollado para: Juegos Nacionales Salesianos
 Fecha: ${new Date().toLocaleDateString('es-ES')}
   `);
 }
@@ -59,14 +130,162 @@ Instrucciones de uso:
 3. ${COMMANDS.BOTH}:
    Ejecuta ambas operaciones en secuencia (extracción y procesamiento)
 
-4. ${COMMANDS.HELP}:
+4. ${COMMANDS.WATCH}:
+   Repite la extracción cada ${WATCH_CONFIG.intervalMinutes} minutos (cada ${WATCH_CONFIG.nightIntervalMinutes} minutos entre las
+   ${WATCH_CONFIG.nightStartHour}:00 y las ${WATCH_CONFIG.nightEndHour}:00) y regenera los reportes solo cuando los
+   datos cambian. Muestra un resumen de cada cambio. Ctrl+C termina el ciclo
+   en curso y sale sin dejar archivos a medio escribir.
+   Opciones: --interval <min>, --night-interval <min>, --verbose, --quiet
+
+5. ${COMMANDS.NOTIFY_TEST}:
+   Envía un evento "test" firmado a los webhooks configurados (o al indicado
+   con --webhook) para comprobar la URL y la verificación de la firma.
+   Cuando una extracción detecta resultados nuevos o modificados, cada webhook
+   recibe un POST JSON firmado con HMAC-SHA256 (cabecera X-Salesianos-Signature)
+   con los cambios de los deportes y colegios que tenga configurados.
+
+6. ${COMMANDS.MIGRATE}:
+   Reescribe all_data.json, main_page.json y los archivos de cada deporte
+   en la versión actual del formato (incluye la salida del antiguo
+   web-scraper.js). "${COMMANDS.PROCESS}" ya actualiza los datos en memoria y
+   comprueba que cumplan all-data.schema.json antes de generar los reportes.
+
+7. ${COMMANDS.CONFIG} show:
+   Muestra el valor efectivo de cada ajuste y de dónde sale: valor por
+   defecto, archivo de configuración, variable de entorno u opción.
+
+8. ${COMMANDS.HELP}:
    Muestra este mensaje de ayuda
 
-5. ${COMMANDS.EXIT}:
+9. ${COMMANDS.EXIT}:
    Sale del programa
 
+Configuración:
+   Los ajustes se combinan en este orden (el último gana):
+   1. Valores por defecto
+   2. ${appConfig.DEFAULT_FILE} en el directorio actual (u otro archivo con
+      --config <archivo> o SALESIANOS_CONFIG). Es un objeto JSON con las
+      mismas claves que muestra "${COMMANDS.CONFIG} show", p. ej.
+      { "outputDir": "datos", "circuitBreaker": { "cooldownMs": 120000 } }.
+      Las rutas relativas se resuelven desde el archivo.
+   3. Variables de entorno SALESIANOS_<CLAVE>, p. ej. SALESIANOS_OUTPUT_DIR
+      o SALESIANOS_CIRCUIT_BREAKER_COOLDOWN_MS (listas separadas por comas)
+   4. Opciones de la línea de comandos: --edition, --base-url, --output-dir,
+      --reports-dir, --requests-per-second, --adapter o --set <clave>=<valor>
+   Los webhooks (notifications.webhooks) solo se definen en el archivo.
+   Un valor no válido detiene el programa con la lista de problemas.
+   En modo interactivo, las opciones valen solo para el comando que las lleva.
+
+Registro:
+   Cada comando (y cada ciclo de watch) tiene un identificador de ejecución
+   (runId, también en summary.json). En la consola se muestran los mensajes
+   desde el nivel logging.level (info por defecto; --quiet = warn,
+   --verbose = debug, con la hora, el nivel, el componente y los campos).
+   Además, cada mensaje se guarda como una línea JSON (time, level, runId,
+   component, message y campos como url, sport, status y durationMs) en
+   ${logger.CONFIG.file}
+   El archivo rota al llegar a logging.maxBytes y se conservan
+   logging.maxFiles archivos anteriores (.1, .2...).
+   Ejemplo: grep '"level":"error"' ${path.basename(logger.CONFIG.file)}
+   Cada extracción escribe además manifests/run_<runId>.json en el
+   directorio de datos: cada URL descargada (estado HTTP, bytes, duración,
+   reintentos, uso de la caché y hash del contenido), el tiempo de cada
+   fase y del análisis de cada deporte, la versión de la herramienta y la
+   configuración usada. "${COMMANDS.PROCESS}" añade cuánto tardaron los
+   reportes. Cada deporte guarda en sportInfo.source la entrada del
+   manifiesto de la que salió. Se conservan maxManifests manifiestos.
+
+Ediciones:
+   Las ediciones de los juegos se definen en editions.json (ajuste
+   editionsFile): { "current": "2025", "editions": [{ "id": "2025",
+   "year": 2025, "name": "...", "baseUrl": "https://..." }] }. Cada edición
+   puede indicar sus propias disciplinas ("sports": [{ "name", "urlPath" }])
+   y su directorio de datos ("outputDir"; por defecto
+   resultados_salesianos_<id>). --edition <id> elige la edición; sin ella se
+   usa "current". Los reportes de cada edición van a <reportes>/<id>, y en
+   <reportes> quedan index.html (selector de ediciones) y comparacion.html
+   (medallas por colegio y campeones por disciplina, año contra año, de
+   todas las ediciones ya extraídas).
+   Ejemplo: node run-scraper.js both --edition 2025
+
+Adaptadores:
+   Cada disciplina se lee con uno de dos adaptadores: "html" analiza la
+   página publicada con los perfiles de extracción y "wordpress" consulta la
+   API REST del sitio (wordpress.apiUrl, por defecto <sitio>/wp-json/wp/v2/):
+   las noticias salen de las entradas de su categoría o etiqueta, la galería
+   de sus imágenes y los resultados, partidos, clasificaciones y medallas del
+   contenido de su página. adapter.default vale para todas (--adapter);
+   adapter.html y adapter.wordpress nombran disciplinas por su slug, y en
+   editions.json cada disciplina puede indicar "adapter". Si el adaptador
+   elegido falla o no encuentra nada se usa el otro, y sportInfo.fallbackFrom
+   lo deja registrado.
+   Ejemplo: node run-scraper.js scrape --set adapter.wordpress=futbol,ajedrez
+
+Boletines PDF:
+   Los boletines oficiales en PDF enlazados desde la página de cada
+   disciplina (o adjuntos a su página y sus entradas en WordPress) se
+   descargan a ${path.join(CONFIG.dataDir, 'pdfs')} (ajuste pdfDir) y se leen sin
+   herramientas externas. Sus tablas de resultados, clasificaciones y
+   medallas se agregan a los datos de la disciplina con source "pdf" y el
+   documento y la página de donde salieron; sportInfo.bulletins resume lo
+   leído de cada boletín. Las ejecuciones siguientes revalidan las copias
+   guardadas y las repeticiones (--replay) las usan sin conexión. Se leen
+   hasta pdf.maxPerSport boletines por disciplina de hasta pdf.maxBytes bytes.
+   Ejemplo: node run-scraper.js scrape --set pdf.maxPerSport=3
+
+Opciones de extracción:
+   --record            Guarda cada página descargada (URL, estado, cabeceras,
+                       contenido y hash) en un archivo dentro de
+                       ${path.join(CONFIG.dataDir, 'archives')}
+   --replay <archivo>  Vuelve a extraer los datos desde un archivo guardado
+                       sin acceder a la red. Use "latest" para el más reciente.
+   --discover          Construye la lista de disciplinas a partir del menú,
+                       las categorías y el sitemap del sitio. Las disciplinas
+                       nuevas quedan registradas en summary.json. Solo lo
+                       admite este extractor: el antiguo web-scraper.js
+                       recorre siempre su lista fija de disciplinas.
+   --no-cache          Ignora la caché HTTP y vuelve a descargar y procesar
+                       todas las páginas (por defecto, las páginas sin cambios
+                       se reutilizan de la ejecución anterior).
+   --no-media          No descarga las imágenes. Por defecto, las portadas,
+                       galerías y logos de las tablas se guardan una sola vez en
+                       ${path.join(CONFIG.dataDir, 'media')} (con un manifest de tipo
+                       y tamaño) y los reportes usan esas copias locales, así
+                       funcionan sin conexión.
+   --no-pdf            No lee los boletines PDF (ver "Boletines PDF").
+   --compare-adapters  Lee cada disciplina también con el adaptador que no se
+                       usó (ver "Adaptadores") y guarda en
+                       adapter_comparison.json cuántas entradas encontró cada
+                       uno por sección y en cuáles no coinciden.
+   --ignore-robots     Omite las reglas de robots.txt. Úselo solo con permiso
+                       del sitio: la omisión queda registrada en el log,
+                       en all_data.json y en summary.json.
+   --fail-on-degraded  Termina con código de salida 2 si la extracción quedó
+                       degradada (ver abajo), para detenerla en cron o CI.
+   Ejemplo: node run-scraper.js scrape --replay latest
+
+Salud del scraper:
+   Cada extracción escribe health.json con los selectores que encontraron
+   elementos en cada deporte y sección, y cuántos. Se compara con la
+   ejecución anterior: una sección que tenía datos y ahora no tiene ninguno
+   (p. ej. tras un rediseño del sitio) o una página que no se pudo descargar
+   marcan la extracción como degradada.
+
+Filtros de reportes (process, both y watch):
+   Las tablas, partidos, clasificaciones y medallas se agrupan por categoría
+   (edad, género, grupo y fase). Estas opciones limitan los reportes a una
+   categoría; lo que el sitio no indica no aparece al filtrar por ello.
+   --gender <género>   masculino, femenino o mixto
+   --age-group <edad>  pre-infantil, infantil, cadete, juvenil, junior,
+                       mayor o sub-NN
+   --group <grupo>     A, B, 1, 2...
+   --phase <fase>      grupos, eliminatoria, octavos, cuartos, semifinal,
+                       tercer-lugar o final
+   Ejemplo: node run-scraper.js process --gender femenino --age-group juvenil
+
 Nota: Para visualizar los resultados, abra el archivo index.html
-      del directorio de reportes en su navegador web.
+      del directorio de reportes en su navegador web (el selector de
+      ediciones) o el de la carpeta de la edición.
   `);
 }
 
@@ -80,66 +299,236 @@ function checkDataExists() {
     const files = fs.readdirSync(CONFIG.dataDir);
     return files.some(file => file.endsWith('.json'));
   } catch (error) {
-    console.error('Error checking data directory:', error.message);
+    log.error(`Error al revisar el directorio de datos: ${error.message}`, { dataDir: CONFIG.dataDir, error });
+    return false;
+  }
+}
+
+// Report filter options and how to read their values with the category parser
+const CATEGORY_FILTERS = {
+  '--gender': { field: 'gender', read: value => parseCategory(value).gender },
+  '--age-group': { field: 'ageGroup', read: value => parseCategory(value).ageGroup },
+  '--group': { field: 'group', read: value => parseCategory(`grupo ${value}`).group },
+  '--phase': { field: 'phase', read: value => parseCategory(value.replace(/-/g, ' ')).phase }
+};
+
+// Split command line arguments into a command and scraper options
+function parseArgs(args) {
+  const options = {};
+  const config = { file: null, flags: {}, flagNames: {} };
+  const positional = [];
+  let command = null;
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--record') {
+      options.record = true;
+    } else if (arg === '--discover') {
+      options.discover = true;
+    } else if (arg === '--no-cache') {
+      options.noCache = true;
+    } else if (arg === '--no-media') {
+      options.noMedia = true;
+    } else if (arg === '--no-pdf') {
+      options.noPdf = true;
+    } else if (arg === '--compare-adapters') {
+      options.compareAdapters = true;
+    } else if (arg === '--ignore-robots') {
+      options.ignoreRobots = true;
+    } else if (arg === '--verbose' || arg === '--quiet') {
+      // Console detail is the logging.level setting for this command
+      if (config.flags['logging.level']) {
+        throw new Error('Use solo una de las opciones --quiet y --verbose');
+      }
+      options.verbose = arg === '--verbose';
+      config.flags['logging.level'] = arg === '--verbose' ? 'debug' : 'warn';
+      config.flagNames['logging.level'] = arg;
+    } else if (arg === '--fail-on-degraded') {
+      options.failOnDegraded = true;
+    } else if (arg === '--interval' || arg === '--night-interval') {
+      const minutes = parseFloat(args[i + 1]);
+      if (!(minutes > 0)) {
+        throw new Error(`La opción ${arg} requiere un número de minutos mayor que cero`);
+      }
+      options[arg === '--interval' ? 'intervalMinutes' : 'nightIntervalMinutes'] = minutes;
+      i++;
+    } else if (arg === '--webhook') {
+      const url = args[i + 1];
+      if (!url || !/^https?:\/\//.test(url)) {
+        throw new Error('La opción --webhook requiere una URL http(s)');
+      }
+      options.webhooks = [...(options.webhooks || []), { name: url, url, secretEnv: 'SALESIANOS_WEBHOOK_SECRET' }];
+      i++;
+    } else if (arg === '--replay') {
+      const archive = args[i + 1];
+      if (!archive || archive.startsWith('--')) {
+        throw new Error('La opción --replay requiere la ruta de un archivo (o "latest")');
+      }
+      options.replay = archive;
+      i++;
+    } else if (arg === '--config') {
+      const file = args[i + 1];
+      if (!file || file.startsWith('--')) {
+        throw new Error('La opción --config requiere la ruta de un archivo');
+      }
+      config.file = file;
+      i++;
+    } else if (appConfig.CONFIG_FLAGS[arg] || arg === '--set') {
+      const value = args[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`La opción ${arg} requiere un valor`);
+      }
+      const assignment = arg === '--set' ? value.match(/^([\w.]+)=(.*)$/) : [null, appConfig.CONFIG_FLAGS[arg], value];
+      if (!assignment) {
+        throw new Error('La opción --set requiere <clave>=<valor> (p. ej. --set maxRetries=5)');
+      }
+      config.flags[assignment[1]] = assignment[2];
+      config.flagNames[assignment[1]] = arg;
+      i++;
+    } else if (CATEGORY_FILTERS[arg]) {
+      const { field, read } = CATEGORY_FILTERS[arg];
+      const value = args[i + 1] ? read(args[i + 1]) : null;
+      if (!value) {
+        throw new Error(`Valor no reconocido para ${arg}: "${args[i + 1] || ''}"`);
+      }
+      options.filters = { ...options.filters, [field]: value };
+      i++;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Opción no reconocida: ${arg}`);
+    } else if (!command) {
+      command = arg;
+    } else {
+      positional.push(arg);
+    }
+  }
+  
+  return { command, args: positional, options, config };
+}
+
+// Load the configuration with a command's config flags and hand it to the scraper, the processor
+// and the watch schedule. Commands without config flags keep the startup configuration.
+function applyCommandConfig(config) {
+  const hasFlags = !!config.file || Object.keys(config.flags).length > 0;
+  if (!hasFlags && !commandConfigApplied) {
+    return appConfig.getConfig();
+  }
+  
+  const loaded = hasFlags ? appConfig.loadConfig(config) : appConfig.getConfig();
+  applyScraperConfig(loaded.values);
+  applyProcessorConfig(loaded.values);
+  logger.applyConfig(loaded.values);
+  Object.assign(WATCH_CONFIG, watchSettings(loaded.values));
+  commandConfigApplied = hasFlags;
+  return loaded;
+}
+
+// Helper function to say where a setting came from
+function describeSource(source) {
+  switch (source.from) {
+    case 'file': return `archivo ${source.name}`;
+    case 'env': return `variable ${source.name}`;
+    case 'flag': return `opción ${source.name}`;
+    default: return 'valor por defecto';
+  }
+}
+
+// Show the effective configuration and where each value came from
+function configCommand(args, loaded) {
+  const subcommand = args[0] || 'show';
+  if (subcommand !== 'show') {
+    console.log(`\nSubcomando no reconocido: "${COMMANDS.CONFIG} ${subcommand}". Use "${COMMANDS.CONFIG} show".\n`);
     return false;
   }
+  
+  const rows = appConfig.describeConfig(loaded);
+  const width = Math.max(...rows.map(row => row.key.length));
+  
+  console.log(`\nArchivo de configuración: ${loaded.file || `ninguno (no existe ${appConfig.DEFAULT_FILE})`}\n`);
+  rows.forEach(row => {
+    console.log(`  ${row.key.padEnd(width)}  ${row.value}  (${describeSource(row.source)})`);
+  });
+  console.log('\nCada ajuste se puede cambiar en el archivo, con su variable SALESIANOS_<CLAVE> ' +
+              'o con --set <clave>=<valor> (use "help" para ver los detalles).\n');
+  return true;
 }
 
 // Run the scraper
-async function runScraperCommand() {
-  console.log('\nIniciando extracción de datos...\n');
+async function runScraperCommand(options = {}) {
+  log.info('Iniciando extracción de datos...');
   
   try {
     const startTime = Date.now();
-    await runScraper();
+    const summary = await runScraper(options);
     const endTime = Date.now();
     
-    console.log(`\nExtracción de datos completada en ${((endTime - startTime) / 1000).toFixed(2)} segundos.`);
-    console.log(`Los datos han sido guardados en: ${CONFIG.dataDir}`);
+    log.info(`Extracción de datos completada en ${((endTime - startTime) / 1000).toFixed(2)} segundos.`, {
+      durationMs: endTime - startTime
+    });
+    log.info(`Los datos han sido guardados en: ${CONFIG.dataDir}`);
+    
+    if (summary.health.status === 'degraded') {
+      log.warn(`⚠️ Extracción degradada: ${summary.health.alerts} alerta(s), ver ${path.join(CONFIG.dataDir, 'health.json')}`, {
+        health: summary.health.status,
+        alerts: summary.health.alerts
+      });
+      if (options.failOnDegraded) {
+        process.exitCode = 2;
+      }
+    }
     
     return true;
   } catch (error) {
-    console.error('\nError durante la extracción de datos:', error.message);
+    log.error(`Error durante la extracción de datos: ${error.message}`, { error });
     return false;
   }
 }
 
 // Process the data
-async function processDataCommand() {
+async function processDataCommand(options = {}) {
   if (!checkDataExists()) {
-    console.log(`\n⚠️ No se encontraron datos para procesar en ${CONFIG.dataDir}`);
-    console.log('   Ejecute primero el comando "scrape" para extraer los datos.\n');
+    log.warn(`⚠️ No se encontraron datos para procesar en ${CONFIG.dataDir}. ` +
+             'Ejecute primero el comando "scrape" para extraer los datos.');
     return false;
   }
   
-  console.log('\nIniciando procesamiento de datos...\n');
+  log.info('Iniciando procesamiento de datos...');
   
   try {
     const startTime = Date.now();
-    await processAllSportsData();
+    const processed = await processAllSportsData(options);
+    if (!processed) {
+      // Invalid or unreadable data (already logged): no reports were written
+      log.error('El procesamiento de datos falló; no se generaron los reportes.');
+      process.exitCode = 1;
+      return false;
+    }
     const endTime = Date.now();
     
-    console.log(`\nProcesamiento de datos completado en ${((endTime - startTime) / 1000).toFixed(2)} segundos.`);
-    console.log(`Los reportes han sido guardados en: ${CONFIG.reportsDir}`);
-    console.log(`Abra ${path.join(CONFIG.reportsDir, 'index.html')} en su navegador para ver los resultados.`);
+    log.info(`Procesamiento de datos completado en ${((endTime - startTime) / 1000).toFixed(2)} segundos.`, {
+      durationMs: endTime - startTime
+    });
+    log.info(`Los reportes han sido guardados en: ${CONFIG.reportsDir}`);
+    log.info(`Abra ${path.join(CONFIG.reportsDir, 'index.html')} en su navegador para ver los resultados.`);
+    log.info(`Selector de ediciones y comparación: ${path.join(CONFIG.reportsRoot, 'index.html')}`);
     
     return true;
   } catch (error) {
-    console.error('\nError durante el procesamiento de datos:', error.message);
+    log.error(`Error durante el procesamiento de datos: ${error.message}`, { error });
+    process.exitCode = 1;
     return false;
   }
 }
 
 // Run both scraper and processor
-async function runBothCommand() {
-  const scrapeSuccess = await runScraperCommand();
+async function runBothCommand(options = {}) {
+  const scrapeSuccess = await runScraperCommand(options);
   if (!scrapeSuccess) {
     return false;
   }
   
-  console.log('\n---------------------------------------------\n');
+  log.info('---------------------------------------------');
   
-  const processSuccess = await processDataCommand();
+  const processSuccess = await processDataCommand(options);
   if (!processSuccess) {
     return false;
   }
@@ -147,17 +536,255 @@ async function runBothCommand() {
   return true;
 }
 
+// Send a test event to the webhooks
+async function notifyTestCommand(options = {}) {
+  const deliveries = await testWebhooks(options);
+  
+  if (deliveries.length === 0) {
+    console.log(`\nNo hay webhooks configurados. Añádalos en ${appConfig.DEFAULT_FILE} (notifications.webhooks) o use --webhook <url>.\n`);
+    return false;
+  }
+  
+  console.log('');
+  deliveries.forEach(delivery => {
+    if (delivery.ok) {
+      console.log(`✓ ${delivery.webhook}: HTTP ${delivery.status} (${delivery.attempts.length} intento(s))`);
+    } else {
+      console.log(`✗ ${delivery.webhook}: ${delivery.error.message}`);
+    }
+  });
+  console.log('');
+  
+  return deliveries.every(delivery => delivery.ok);
+}
+
+// Upgrade the saved data files to the current format
+async function migrateCommand() {
+  if (!checkDataExists()) {
+    log.warn(`⚠️ No se encontraron datos para actualizar en ${CONFIG.dataDir}`);
+    return false;
+  }
+  
+  try {
+    const { from, steps, files } = await migrateDataFiles();
+    if (steps.length === 0) {
+      log.info(`Los datos ya están en la versión actual (${from}). No hay nada que actualizar.`);
+    } else {
+      log.info(`Datos actualizados desde la versión ${from} (${steps.join(', ')}).`, { from, steps });
+      log.info(`Archivos reescritos: ${files.join(', ')}`, { files });
+    }
+    return true;
+  } catch (error) {
+    log.error(`Error al actualizar los datos: ${error.message}`, { error });
+    return false;
+  }
+}
+
+// Current hour in the event's time zone
+function getEventHour(date = new Date()) {
+  return parseInt(new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone: WATCH_CONFIG.timeZone
+  }).format(date), 10);
+}
+
+// Minutes to wait before the next watch cycle (quieter at night)
+function getWatchIntervalMinutes(options, date = new Date()) {
+  const hour = getEventHour(date);
+  const isNight = WATCH_CONFIG.nightStartHour > WATCH_CONFIG.nightEndHour
+    ? hour >= WATCH_CONFIG.nightStartHour || hour < WATCH_CONFIG.nightEndHour
+    : hour >= WATCH_CONFIG.nightStartHour && hour < WATCH_CONFIG.nightEndHour;
+  
+  return isNight
+    ? options.nightIntervalMinutes || WATCH_CONFIG.nightIntervalMinutes
+    : options.intervalMinutes || WATCH_CONFIG.intervalMinutes;
+}
+
+// One line per change, e.g. "Fútbol: marcador Don Bosco vs ITESA 3 - 1 → 4 - 1"
+function describeChanges(changes) {
+  const lines = [];
+  
+  for (const sportName in changes.sports) {
+    const sportChanges = changes.sports[sportName];
+    const teams = match => (match.teams || []).join(' vs ') || match.title || 'partido';
+    
+    sportChanges.newMatches.forEach(match => {
+      lines.push(`${sportName}: nuevo partido ${teams(match)}${match.score ? ' ' + match.score : ''}`);
+    });
+    sportChanges.updatedScores.forEach(update => {
+      lines.push(`${sportName}: marcador ${teams(update.match)} ${update.previousScore || '-'} → ${update.score || '-'}`);
+    });
+    sportChanges.newMedalWinners.forEach(item => {
+      lines.push(`${sportName}: ${item.position} para ${item.name}${item.school ? ' (' + item.school + ')' : ''}`);
+    });
+    sportChanges.standingsChanges.forEach(change => {
+      const from = change.previousPosition === null ? 'nuevo' : change.previousPosition;
+      lines.push(`${sportName}: ${change.team} ${from} → ${change.position} en ${change.table}`);
+    });
+    
+    const removed = sportChanges.removed;
+    const removedCount = removed.matches.length + removed.medals.length + removed.standings.length;
+    if (removedCount > 0) {
+      lines.push(`${sportName}: ${removedCount} elementos eliminados`);
+    }
+  }
+  
+  return lines;
+}
+
+// Keep scraping on an interval and regenerate the reports when the data changes
+async function runWatchCommand(options = {}) {
+  let stopRequested = false;
+  let wakeUp = null;
+  let cycle = 0;
+  
+  const timestamp = () => new Date().toLocaleTimeString('es-ES', { timeZone: WATCH_CONFIG.timeZone });
+  
+  // First Ctrl+C: finish the current cycle and stop. Files are written atomically,
+  // so even a second Ctrl+C (immediate exit) leaves no half-written output.
+  const onInterrupt = () => {
+    if (stopRequested) {
+      console.log('\nSalida inmediata.');
+      process.exit(130);
+    }
+    stopRequested = true;
+    log.info(`[${timestamp()}] Deteniendo la vigilancia al terminar el ciclo actual (Ctrl+C de nuevo para salir ya)...`);
+    if (wakeUp) wakeUp();
+  };
+  process.on('SIGINT', onInterrupt);
+  rl.on('SIGINT', onInterrupt);
+  
+  log.info(`Vigilancia iniciada: cada ${options.intervalMinutes || WATCH_CONFIG.intervalMinutes} min ` +
+           `(${options.nightIntervalMinutes || WATCH_CONFIG.nightIntervalMinutes} min de noche). Ctrl+C para detener.`);
+  
+  // The watch mutes the scraper and processor on the console and prints its own cycle lines
+  // (the log file still gets everything); --verbose shows them too
+  const cycleConsoleLevel = options.verbose ? null : 'silent';
+  
+  try {
+    while (!stopRequested) {
+      cycle++;
+      const startTime = Date.now();
+      logger.startRun({ command: COMMANDS.WATCH, cycle, edition: CONFIG.edition.id });
+      
+      try {
+        const summary = await logger.withConsoleLevel(cycleConsoleLevel, () => runScraper(options));
+        const changes = summary.changes;
+        const failed = summary.sports.filter(sport => sport.error).map(sport => sport.name);
+        const seconds = ((Date.now() - startTime) / 1000).toFixed(1);
+        const reportsMissing = !fs.existsSync(path.join(CONFIG.reportsDir, 'index.html'));
+        
+        if (changes && (changes.hasChanges || changes.baseline || reportsMissing)) {
+          if (changes.hasChanges) {
+            const details = describeChanges(await loadChanges());
+            log.info(`[${timestamp()}] Ciclo ${cycle}: ${details.length} cambio(s) en ${seconds}s`, {
+              durationMs: Date.now() - startTime,
+              changes: details.length
+            });
+            details.forEach(line => log.info(`    ${line}`));
+          } else {
+            log.info(`[${timestamp()}] Ciclo ${cycle}: datos iniciales extraídos en ${seconds}s`, { durationMs: Date.now() - startTime });
+          }
+          
+          const processed = await logger.withConsoleLevel(cycleConsoleLevel, () => processAllSportsData(options));
+          if (processed) {
+            log.info(`[${timestamp()}]    Reportes actualizados`);
+          } else {
+            log.error(`[${timestamp()}]    Error al generar los reportes`);
+          }
+        } else {
+          log.info(`[${timestamp()}] Ciclo ${cycle}: sin cambios (${seconds}s)`, { durationMs: Date.now() - startTime });
+        }
+        
+        (summary.notifications || []).filter(delivery => !delivery.ok).forEach(delivery => {
+          log.warn(`    No se pudo notificar al webhook ${delivery.webhook}`, { webhook: delivery.webhook });
+        });
+        
+        if (failed.length > 0) {
+          log.warn(`    Con error en este ciclo: ${failed.join(', ')}`, { failed });
+        }
+        if (summary.health.status === 'degraded') {
+          log.warn(`    Extracción degradada: ${summary.health.alerts} alerta(s), ver health.json`, { alerts: summary.health.alerts });
+        }
+      } catch (error) {
+        log.error(`[${timestamp()}] Ciclo ${cycle}: error durante la extracción: ${error.message}`, { error });
+      }
+      
+      if (stopRequested) break;
+      
+      // Sleep until the next cycle (or until Ctrl+C)
+      const minutes = getWatchIntervalMinutes(options);
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, minutes * 60 * 1000);
+        wakeUp = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wakeUp = null;
+    }
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+    rl.removeListener('SIGINT', onInterrupt);
+  }
+  
+  log.info(`[${timestamp()}] Vigilancia detenida tras ${cycle} ciclo(s).`, { cycles: cycle });
+  return true;
+}
+
+// Helper function to read changes.json written by the last scraper run
+async function loadChanges() {
+  const data = await fs.promises.readFile(path.join(CONFIG.dataDir, 'changes.json'), 'utf8');
+  return JSON.parse(data);
+}
+
 // Process command input
-async function processCommand(command) {
-  switch (command.toLowerCase()) {
+async function processCommand(input) {
+  let parsed;
+  try {
+    parsed = parseArgs(Array.isArray(input) ? input : input.trim().split(/\s+/));
+  } catch (error) {
+    console.log(`\n${error.message}\n`);
+    return false;
+  }
+  
+  const { command, args, options, config } = parsed;
+  let loadedConfig;
+  try {
+    loadedConfig = applyCommandConfig(config);
+  } catch (error) {
+    console.log(`\nError de configuración: ${error.message}\n`);
+    return false;
+  }
+  
+  // Every log entry of a command carries its run id (watch starts one per cycle)
+  const name = (command || '').toLowerCase();
+  if (RUN_COMMANDS.includes(name)) {
+    logger.startRun({ command: name, edition: CONFIG.edition.id });
+  }
+  
+  switch (name) {
     case COMMANDS.SCRAPE:
-      return await runScraperCommand();
+      return await runScraperCommand(options);
       
     case COMMANDS.PROCESS:
-      return await processDataCommand();
+      return await processDataCommand(options);
       
     case COMMANDS.BOTH:
-      return await runBothCommand();
+      return await runBothCommand(options);
+      
+    case COMMANDS.WATCH:
+      return await runWatchCommand(options);
+      
+    case COMMANDS.NOTIFY_TEST:
+      return await notifyTestCommand(options);
+      
+    case COMMANDS.MIGRATE:
+      return await migrateCommand();
+      
+    case COMMANDS.CONFIG:
+      return configCommand(args, loadedConfig);
       
     case COMMANDS.HELP:
       displayHelp();
@@ -169,7 +796,7 @@ async function processCommand(command) {
       process.exit(0);
       
     default:
-      console.log(`\nComando no reconocido: "${command}"`);
+      console.log(`\nComando no reconocido: "${command || input}"`);
       console.log(`Use "${COMMANDS.HELP}" para ver los comandos disponibles.\n`);
       return false;
   }
@@ -182,7 +809,7 @@ async function startCLI() {
   // Process command line arguments if any
   const args = process.argv.slice(2);
   if (args.length > 0) {
-    await processCommand(args[0]);
+    await processCommand(args);
     rl.close();
     return;
   }
@@ -207,7 +834,7 @@ async function startCLI() {
 // Start the CLI if this script is run directly
 if (require.main === module) {
   startCLI().catch(error => {
-    console.error('Error fatal:', error);
+    log.error(`Error fatal: ${error.message}`, { error });
     process.exit(1);
   });
 }
@@ -0,0 +1,280 @@
+// school-registry.js
+const fs = require('fs');
+const { promisify } = require('util');
+
+const readFileAsync = promisify(fs.readFile);
+
+// Words that do not tell schools apart ("Col. Don Bosco" and "Don Bosco" are the same school)
+const STOP_WORDS = new Set([
+  'colegio', 'col', 'instituto', 'inst', 'liceo', 'escuela', 'centro', 'educativo',
+  'salesiano', 'salesiana', 'el', 'la', 'los', 'las', 'de', 'del', 'y'
+]);
+
+// Helper function to reduce a school name to a comparison key ("Col. Don Bosco" -> "don bosco")
+function normalizeName(name) {
+  const text = String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+  // Dotted acronyms: "I.T.E.S.A." -> "itesa"
+  const undotted = text.replace(/\b(?:[a-z]\.){2,}/g, acronym => acronym.replace(/\./g, ''));
+
+  return undotted
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(token => token && !STOP_WORDS.has(token))
+    .join(' ');
+}
+
+// Helper function to get the character bigrams of a key
+function bigrams(key) {
+  const compact = key.replace(/\s+/g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.push(compact.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+// Dice coefficient of two keys (0 = nothing in common, 1 = same bigrams)
+function similarity(a, b) {
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  if (pairsA.length === 0 || pairsB.length === 0) return 0;
+
+  const remaining = [...pairsB];
+  let shared = 0;
+  pairsA.forEach(pair => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+  return (2 * shared) / (pairsA.length + pairsB.length);
+}
+
+// Score how well a scraped key matches a registry key. One containing all the other's words
+// ("don bosco santiago" / "don bosco") scores 0.9, enough to propose but not to accept (it may
+// be another school of the same name); otherwise the bigram similarity.
+function scoreKeys(key, registryKey) {
+  if (key === registryKey) return 1;
+
+  const tokens = key.split(' ');
+  const registryTokens = registryKey.split(' ');
+  const [shorter, longer] = tokens.length <= registryTokens.length ? [tokens, registryTokens] : [registryTokens, tokens];
+  const meaningful = shorter.join('').length >= 3;
+  if (meaningful && shorter.every(token => longer.includes(token))) return 0.9;
+
+  return similarity(key, registryKey);
+}
+
+// Validate a registry: unique ids, names present, no alias claimed by two schools
+function validateRegistry(registry) {
+  if (!registry || !Array.isArray(registry.schools)) {
+    return ['registry must contain a "schools" array'];
+  }
+
+  const errors = [];
+  const ids = new Set();
+  const owners = new Map();
+
+  registry.schools.forEach((school, i) => {
+    const where = `schools[${i}]`;
+    if (!school.id || !/^[a-z0-9-]+$/.test(school.id)) {
+      errors.push(`${where}: "id" must be lowercase letters, digits and dashes`);
+    } else if (ids.has(school.id)) {
+      errors.push(`${where}: duplicate id "${school.id}"`);
+    }
+    ids.add(school.id);
+
+    if (!school.name) {
+      errors.push(`${where}: "name" is required`);
+    }
+    if (school.aliases !== undefined && !Array.isArray(school.aliases)) {
+      errors.push(`${where}: "aliases" must be an array`);
+      return;
+    }
+
+    [school.name, ...(school.aliases || [])].forEach(alias => {
+      const key = normalizeName(alias);
+      if (!key) return;
+      const owner = owners.get(key);
+      if (owner && owner !== school.id) {
+        errors.push(`${where}: alias "${alias}" also belongs to "${owner}"`);
+      }
+      owners.set(key, school.id);
+    });
+  });
+
+  return errors;
+}
+
+// Load and validate the registry file (throws with every problem found)
+async function loadRegistry(filePath) {
+  let registry;
+  try {
+    registry = JSON.parse(await readFileAsync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read school registry from ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateRegistry(registry);
+  if (errors.length > 0) {
+    throw new Error(`Invalid school registry in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return registry;
+}
+
+// Build a matcher over the registry. Exact alias matches (after normalisation) are stamped;
+// fuzzy matches scoring at least autoAcceptScore with no close runner-up are stamped too and
+// proposed as new aliases; weaker ones (>= proposeScore) are only proposed.
+function createMatcher(registry, { autoAcceptScore = 0.92, proposeScore = 0.6 } = {}) {
+  const aliasIndex = new Map();
+  const keysBySchool = new Map();
+
+  registry.schools.forEach(school => {
+    const keys = [school.name, school.id.replace(/-/g, ' '), ...(school.aliases || [])]
+      .map(normalizeName)
+      .filter(Boolean);
+    keysBySchool.set(school.id, Array.from(new Set(keys)));
+    // The id (which often carries the city) is only used for fuzzy matching
+    [school.name, ...(school.aliases || [])].map(normalizeName).filter(Boolean).forEach(key => {
+      aliasIndex.set(key, school);
+    });
+  });
+
+  const schoolsById = new Map(registry.schools.map(school => [school.id, school]));
+  const cache = new Map();
+
+  // Match a scraped name: { schoolId, match: 'exact'|'fuzzy'|null, score, suggestion }
+  function match(name) {
+    const key = normalizeName(name);
+    if (!key) return { schoolId: null, match: null, score: 0, suggestion: null };
+    if (cache.has(key)) return cache.get(key);
+
+    let result;
+    if (aliasIndex.has(key)) {
+      result = { schoolId: aliasIndex.get(key).id, match: 'exact', score: 1, suggestion: null };
+    } else {
+      const ranked = Array.from(keysBySchool.entries())
+        .map(([schoolId, keys]) => ({ schoolId, score: Math.max(...keys.map(registryKey => scoreKeys(key, registryKey))) }))
+        .sort((a, b) => b.score - a.score);
+      const [best, runnerUp] = ranked;
+      const ambiguous = runnerUp && best.score - runnerUp.score < 0.05;
+
+      if (best && best.score >= autoAcceptScore && !ambiguous) {
+        result = { schoolId: best.schoolId, match: 'fuzzy', score: best.score, suggestion: best.schoolId };
+      } else if (best && best.score >= proposeScore) {
+        result = { schoolId: null, match: null, score: best.score, suggestion: best.schoolId };
+      } else {
+        result = { schoolId: null, match: null, score: best ? best.score : 0, suggestion: null };
+      }
+    }
+
+    cache.set(key, result);
+    return result;
+  }
+
+  return {
+    match,
+    getSchool: schoolId => schoolsById.get(schoolId) || null
+  };
+}
+
+// Collects fuzzy and unknown names seen during a run, for the alias proposals file
+function createProposalCollector() {
+  const names = new Map();
+
+  return {
+    // Note a name that was not an exact alias
+    add(name, result, source) {
+      if (result.match === 'exact') return;
+      const entry = names.get(name) || { name, result, occurrences: 0, sources: new Set() };
+      entry.occurrences++;
+      entry.sources.add(source);
+      names.set(name, entry);
+    },
+
+    // { proposals: [...], unmatched: [...] } sorted by how often each name appeared
+    build(matcher) {
+      const entries = Array.from(names.values()).sort((a, b) => b.occurrences - a.occurrences);
+      const describe = entry => ({
+        name: entry.name,
+        occurrences: entry.occurrences,
+        sources: Array.from(entry.sources)
+      });
+
+      return {
+        proposals: entries.filter(entry => entry.result.suggestion).map(entry => ({
+          ...describe(entry),
+          schoolId: entry.result.suggestion,
+          schoolName: matcher.getSchool(entry.result.suggestion).name,
+          score: Math.round(entry.result.score * 100) / 100,
+          applied: entry.result.match === 'fuzzy'
+        })),
+        unmatched: entries.filter(entry => !entry.result.suggestion).map(describe)
+      };
+    }
+  };
+}
+
+// Stamp schoolId on every school or team reference of a sport's data (in place):
+// matches[].schoolIds (one per team), standings[].teams[].schoolId, medals[].items[].schoolId,
+// results[].records[].schoolId and athletics performances. `collector` (optional) receives names that were not exact aliases.
+function stampSportData(sportData, matcher, sportName, collector = null) {
+  const stamp = (name, source) => {
+    const result = matcher.match(name);
+    if (collector && name) collector.add(name, result, `${sportName}: ${source}`);
+    return result.schoolId;
+  };
+
+  (sportData.matches || []).forEach(match => {
+    match.schoolIds = (match.teams || []).map(team => stamp(team, 'partidos'));
+  });
+
+  (sportData.standings || []).forEach(table => {
+    table.teams.forEach(team => {
+      team.schoolId = stamp(team.name, 'clasificaciones');
+    });
+  });
+
+  (sportData.medals || []).forEach(table => {
+    table.items.forEach(item => {
+      item.schoolId = stamp(item.school || item.name, 'medallero');
+    });
+  });
+
+  (sportData.results || []).forEach(table => {
+    if (table.athletics) {
+      table.athletics.performances.forEach(performance => {
+        performance.schoolId = performance.school ? stamp(performance.school, 'resultados') : null;
+      });
+      return;
+    }
+    (table.records || []).forEach(record => {
+      const name = record.school || record.team;
+      if (name) record.schoolId = stamp(name, 'resultados');
+    });
+  });
+
+  if (sportData.athletics) {
+    sportData.athletics.events.forEach(event => {
+      event.performances.forEach(performance => {
+        performance.schoolId = performance.school ? matcher.match(performance.school).schoolId : null;
+      });
+    });
+  }
+
+  return sportData;
+}
+
+module.exports = {
+  loadRegistry,
+  validateRegistry,
+  createMatcher,
+  createProposalCollector,
+  stampSportData,
+  normalizeName
+};
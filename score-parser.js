@@ -0,0 +1,177 @@
+// score-parser.js
+
+// How each discipline keeps score (null = no head-to-head scores). Disciplines not
+// listed (e.g. found with --discover) fall back to 'generic': a single "home - away" total.
+const SCORE_FORMATS = {
+  'futbol': 'goals',
+  'futbol-sala': 'goals',
+  'baloncesto': 'points', // periods = quarters (and overtimes)
+  'voleibol': 'sets', // periods = set scores, totals = sets won
+  'tenis-de-mesa': 'sets',
+  'beisbol': 'runs', // periods = innings
+  'ajedrez': 'chess',
+  'atletismo': null // marks and times
+};
+
+// "3 - 1", "25-20", "½-½", "2½ - 1½", "1/2-1/2", "0,5 - 0,5" (times such as "1:02.34" and dates such as
+// "10-08-2025" are not pairs)
+const NUMBER = '(?:1\\/2|\\d+(?:[.,]5(?!\\d))?\\s*½?|½)';
+const PAIR_PATTERN = new RegExp(`(?<![\\d.:]|\\d[\\-–—/])(${NUMBER})\\s*[-–—:]\\s*(${NUMBER})(?!\\d|[.:\\-–—/]\\d)`, 'g');
+const PENALTIES_PATTERN = /pen|penal|\(p\)|\bp\.?\s*$/i;
+const DRAW_WORDS = /^(tablas|empate|draw)$/i;
+
+// Helper function to get the score format of a discipline (by its urlPath)
+function getScoreFormat(urlPath) {
+  return urlPath in SCORE_FORMATS ? SCORE_FORMATS[urlPath] : 'generic';
+}
+
+// Helper function to turn "2½", "1/2" or "0,5" into a number
+function parseNumber(text) {
+  const value = text.replace(/\s+/g, '');
+  if (value === '½' || value === '1/2') return 0.5;
+  if (value.endsWith('½')) return parseInt(value, 10) + 0.5;
+  return parseFloat(value.replace(',', '.'));
+}
+
+// Find every "a - b" pair in the text, noting whether it sits inside parentheses
+function findPairs(text) {
+  const pairs = [];
+  let match;
+  PAIR_PATTERN.lastIndex = 0;
+  while ((match = PAIR_PATTERN.exec(text)) !== null) {
+    const before = text.slice(0, match.index);
+    const inParentheses = (before.match(/\(/g) || []).length > (before.match(/\)/g) || []).length;
+    pairs.push({ home: parseNumber(match[1]), away: parseNumber(match[2]), inParentheses });
+  }
+  return pairs;
+}
+
+// Helper function to sum period scores
+function sumPeriods(periods) {
+  return periods.reduce((total, period) => ({
+    home: total.home + period.home,
+    away: total.away + period.away
+  }), { home: 0, away: 0 });
+}
+
+// Helper function to decide the winning side from two totals
+function sideWinner(home, away) {
+  if (home > away) return 'home';
+  if (away > home) return 'away';
+  return 'draw';
+}
+
+// Helper function to build an unparsed result
+function unparsed(format, raw, reason) {
+  return { format, parsed: false, reason, raw, home: null, away: null, periods: [], winner: null };
+}
+
+// Goals (football, futsal): "3 - 1", "2 - 2 (4 - 3 pen.)", "2 - 1 (1 - 0, 1 - 1)"
+function parseGoals(pairs, text) {
+  const [total, ...rest] = pairs;
+  const result = { home: total.home, away: total.away, periods: [] };
+
+  if (rest.length === 1 && PENALTIES_PATTERN.test(text)) {
+    result.penalties = { home: rest[0].home, away: rest[0].away };
+  } else if (rest.length > 0) {
+    const sum = sumPeriods(rest);
+    if (sum.home !== total.home || sum.away !== total.away) return null;
+    result.periods = rest.map(({ home, away }) => ({ home, away }));
+  }
+
+  result.winner = result.penalties && total.home === total.away
+    ? sideWinner(result.penalties.home, result.penalties.away)
+    : sideWinner(total.home, total.away);
+  return result;
+}
+
+// Points or runs accumulated over periods (basketball quarters, baseball innings):
+// "78 - 65", "78 - 65 (20-15, 18-20, 22-15, 18-15)" or just the period list
+function parseAccumulated(pairs) {
+  const hasTotal = pairs.length === 1 || (!pairs[0].inParentheses && pairs.slice(1).every(pair => pair.inParentheses));
+  const periods = (hasTotal ? pairs.slice(1) : pairs).map(({ home, away }) => ({ home, away }));
+  const total = hasTotal ? pairs[0] : sumPeriods(periods);
+
+  if (hasTotal && periods.length > 0) {
+    const sum = sumPeriods(periods);
+    if (sum.home !== total.home || sum.away !== total.away) return null;
+  }
+
+  return { home: total.home, away: total.away, periods, winner: sideWinner(total.home, total.away) };
+}
+
+// Sets (volleyball, table tennis): "25-20, 18-25, 15-12", "3 - 1 (25-20, 22-25, 25-18, 25-23)" or "3 - 1"
+function parseSets(pairs) {
+  const hasTotal = pairs.length === 1 || (!pairs[0].inParentheses && pairs.slice(1).every(pair => pair.inParentheses));
+  const periods = (hasTotal ? pairs.slice(1) : pairs).map(({ home, away }) => ({ home, away }));
+  const setsWon = {
+    home: periods.filter(set => set.home > set.away).length,
+    away: periods.filter(set => set.away > set.home).length
+  };
+  const total = hasTotal ? pairs[0] : setsWon;
+
+  if (hasTotal && periods.length > 0 && (setsWon.home !== total.home || setsWon.away !== total.away)) return null;
+
+  return { home: total.home, away: total.away, periods, winner: sideWinner(total.home, total.away) };
+}
+
+// Chess: "1-0", "0-1", "½-½", "tablas", or a team match total like "2½ - 1½"
+function parseChess(pairs, text) {
+  if (pairs.length === 0 && DRAW_WORDS.test(text)) {
+    return { home: 0.5, away: 0.5, periods: [], winner: 'draw' };
+  }
+  const [total] = pairs;
+  return { home: total.home, away: total.away, periods: [], winner: sideWinner(total.home, total.away) };
+}
+
+// Parse a raw score into { format, parsed, home, away, periods, winner, winnerTeam, raw }.
+// home/away follow the order of `teams`; unparseable text gives parsed: false and a reason.
+// Returns null for disciplines without head-to-head scores.
+function parseScore(urlPath, score, teams = []) {
+  const format = getScoreFormat(urlPath);
+  if (!format) return null;
+
+  const raw = String(score || '').trim();
+  if (!raw) return unparsed(format, raw, 'empty');
+
+  const text = raw.replace(/\s+/g, ' ');
+  const pairs = findPairs(text);
+  if (pairs.length === 0 && !(format === 'chess' && DRAW_WORDS.test(text))) {
+    return unparsed(format, raw, 'unrecognized');
+  }
+
+  let result;
+  switch (format) {
+    case 'goals':
+    case 'generic':
+      result = parseGoals(pairs, text);
+      break;
+    case 'points':
+    case 'runs':
+      result = parseAccumulated(pairs);
+      break;
+    case 'sets':
+      result = parseSets(pairs);
+      break;
+    case 'chess':
+      result = parseChess(pairs, text);
+      break;
+  }
+
+  if (!result) return unparsed(format, raw, 'inconsistent');
+
+  const winnerIndex = { home: 0, away: 1 }[result.winner];
+  return {
+    format,
+    parsed: true,
+    raw,
+    ...result,
+    winnerTeam: winnerIndex !== undefined ? teams[winnerIndex] || null : null
+  };
+}
+
+module.exports = {
+  parseScore,
+  getScoreFormat,
+  SCORE_FORMATS
+};
@@ -0,0 +1,132 @@
+// selector-health.js
+const { describeCandidate } = require('./extraction-profiles');
+
+// Sections whose record count is compared between runs (sportInfo only has fields)
+const SECTIONS = ['results', 'matches', 'standings', 'medals', 'news', 'gallery'];
+
+// Collects, for one sport page, how many elements each selector found and which candidate
+// produced each field, per profile section
+function createSelectorStats() {
+  const sections = {};
+  const getSection = name => {
+    if (!sections[name]) sections[name] = { selectors: {}, fields: {}, records: 0 };
+    return sections[name];
+  };
+
+  // Note one candidate outcome of a field ('none' when no candidate produced a value)
+  const noteField = (sectionName, fieldName, candidate) => {
+    const fields = getSection(sectionName).fields;
+    const hits = fields[fieldName] || (fields[fieldName] = {});
+    const label = candidate ? describeCandidate(candidate) : 'none';
+    hits[label] = (hits[label] || 0) + 1;
+  };
+
+  return {
+    // Count the elements a container, row or item selector matched
+    elements(sectionName, selector, count) {
+      const selectors = getSection(sectionName).selectors;
+      selectors[selector] = (selectors[selector] || 0) + count;
+    },
+
+    // Callback for extractField (one field)
+    fieldHook(sectionName, fieldName) {
+      return candidate => noteField(sectionName, fieldName, candidate);
+    },
+
+    // Callback for extractRecord (every field of a record)
+    recordHook(sectionName) {
+      return (fieldName, candidate) => noteField(sectionName, fieldName, candidate);
+    },
+
+    // Set the number of entries the section kept after filtering
+    records(sectionName, count) {
+      getSection(sectionName).records = count;
+    },
+
+    toJSON() {
+      return sections;
+    }
+  };
+}
+
+// Helper function to read the record count of a section (null when it was not measured)
+function recordCount(sportHealth, section) {
+  const stats = sportHealth && sportHealth.sections && sportHealth.sections[section];
+  return stats ? stats.records : null;
+}
+
+// Build the health report of a run. `sports` maps each sport name to
+// { status: 'parsed'|'cached'|'failed', sections?, error? }; `previous` is the last report (or null).
+// Sports served from cache (or that failed) carry the previous run's sections, so an unchanged page
+// is never a drop and the next successful run is still compared with the last good one.
+// Alerts: 'fetch-failed' and 'dropped-to-zero' (a section that had entries last run has none now).
+function buildHealthReport(sports, previous) {
+  const previousSports = (previous && previous.sports) || {};
+  const alerts = [];
+  const report = {};
+
+  Object.keys(sports).forEach(sportName => {
+    const current = sports[sportName];
+    const before = previousSports[sportName] || null;
+    const entry = { status: current.status };
+
+    if (current.status === 'failed') {
+      entry.error = current.error;
+      entry.sections = before ? before.sections : null;
+      alerts.push({
+        sport: sportName,
+        type: 'fetch-failed',
+        message: `${current.error.kind}: ${current.error.message}`
+      });
+    } else if (current.status === 'cached') {
+      entry.sections = before ? before.sections : null;
+    } else {
+      entry.sections = current.sections;
+
+      SECTIONS.forEach(section => {
+        const was = recordCount(before, section);
+        const now = recordCount(current, section) || 0;
+        if (was > 0 && now === 0) {
+          alerts.push({
+            sport: sportName,
+            section,
+            type: 'dropped-to-zero',
+            previous: was,
+            current: 0,
+            selectors: (current.sections[section] || {}).selectors || {}
+          });
+        }
+      });
+    }
+
+    report[sportName] = entry;
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    status: alerts.length > 0 ? 'degraded' : 'ok',
+    previousReport: previous ? previous.generatedAt : null,
+    alerts,
+    sports: report
+  };
+}
+
+// One line per alert, for the console and the run log
+function describeAlert(alert) {
+  switch (alert.type) {
+    case 'fetch-failed':
+      return `${alert.sport}: page could not be fetched (${alert.message})`;
+    case 'dropped-to-zero':
+      return `${alert.sport}/${alert.section}: ${alert.previous} entries last run, none now ` +
+             `(selectors: ${Object.keys(alert.selectors).map(selector => `${selector} = ${alert.selectors[selector]}`).join(', ') || 'none'})`;
+    default:
+      return `${alert.sport}: ${alert.type}`;
+  }
+}
+
+module.exports = {
+  SECTIONS,
+  createSelectorStats,
+  buildHealthReport,
+  describeAlert
+};
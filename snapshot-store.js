@@ -0,0 +1,56 @@
+// snapshot-store.js
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./atomic-write');
+
+const readFileAsync = promisify(fs.readFile);
+const readdirAsync = promisify(fs.readdir);
+const unlinkAsync = promisify(fs.unlink);
+const mkdirAsync = promisify(fs.mkdir);
+
+const SNAPSHOT_PATTERN = /^snapshot_.*\.json$/;
+
+// List snapshot files, oldest first (names sort chronologically)
+async function listSnapshots(snapshotsDir) {
+  try {
+    const files = await readdirAsync(snapshotsDir);
+    return files.filter(file => SNAPSHOT_PATTERN.test(file)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Load the most recent snapshot as { file, data }, or null if there is none
+async function loadLatestSnapshot(snapshotsDir) {
+  const files = await listSnapshots(snapshotsDir);
+  if (files.length === 0) return null;
+
+  const file = files[files.length - 1];
+  const data = JSON.parse(await readFileAsync(path.join(snapshotsDir, file), 'utf8'));
+  return { file, data };
+}
+
+// Store allData as a timestamped snapshot, keeping at most maxSnapshots files (0 = all)
+async function saveSnapshot(allData, snapshotsDir, maxSnapshots = 0) {
+  await mkdirAsync(snapshotsDir, { recursive: true });
+
+  const stamp = (allData.metadata?.scrapedAt || new Date().toISOString()).replace(/[:.]/g, '-');
+  const file = `snapshot_${stamp}.json`;
+  await writeFileAtomic(path.join(snapshotsDir, file), JSON.stringify(allData), 'utf8');
+
+  if (maxSnapshots > 0) {
+    const files = await listSnapshots(snapshotsDir);
+    const expired = files.slice(0, Math.max(0, files.length - maxSnapshots));
+    await Promise.all(expired.map(expiredFile => unlinkAsync(path.join(snapshotsDir, expiredFile))));
+  }
+
+  return file;
+}
+
+module.exports = {
+  listSnapshots,
+  loadLatestSnapshot,
+  saveSnapshot
+};
@@ -0,0 +1,242 @@
+// sport-discovery.js
+const cheerio = require('cheerio');
+
+// Display names for discipline slugs the site is known (or likely) to use
+const DISCIPLINE_NAMES = {
+  'futbol': 'Fútbol',
+  'futbol-sala': 'Fútbol Sala',
+  'atletismo': 'Atletismo',
+  'baloncesto': 'Baloncesto',
+  'ajedrez': 'Ajedrez',
+  'voleibol': 'Voleibol',
+  'voleibol-de-playa': 'Voleibol de Playa',
+  'tenis-de-mesa': 'Tenis de Mesa',
+  'tenis': 'Tenis',
+  'beisbol': 'Béisbol',
+  'softbol': 'Softbol',
+  'natacion': 'Natación',
+  'balonmano': 'Balonmano',
+  'karate': 'Karate',
+  'taekwondo': 'Taekwondo',
+  'judo': 'Judo',
+  'ciclismo': 'Ciclismo',
+  'gimnasia': 'Gimnasia',
+  'domino': 'Dominó'
+};
+
+// Sitemaps tried on the site root, in order (WordPress core first, then Yoast)
+const SITEMAP_PATHS = ['wp-sitemap.xml', 'sitemap_index.xml'];
+const MAX_SUB_SITEMAPS = 10;
+const MAX_CATEGORY_PAGES = 5;
+
+// Helper function to turn a slug into a display name
+function nameFromSlug(slug) {
+  if (DISCIPLINE_NAMES[slug]) return DISCIPLINE_NAMES[slug];
+  return slug
+    .split('-')
+    .map((word, i) => i > 0 && ['de', 'del', 'y'].includes(word) ? word : word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// Helper function to normalise link text for comparison with slugs
+function slugify(text) {
+  return text.toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Last path segment of the base URL, e.g. "juegos-nacionales-salesianos-2025"
+function getEventSlug(baseUrl) {
+  const segments = new URL(baseUrl).pathname.split('/').filter(Boolean);
+  return segments[segments.length - 1] || '';
+}
+
+// Return { slug, url, isCategory } if url is a page directly below baseUrl, or a
+// subcategory of the event's WordPress category; null otherwise
+function parseDisciplineUrl(url, baseUrl) {
+  let parsed;
+  try {
+    parsed = new URL(url, baseUrl);
+  } catch (error) {
+    return null;
+  }
+
+  const base = new URL(baseUrl);
+  if (parsed.host !== base.host) return null;
+
+  const eventSlug = getEventSlug(baseUrl);
+  const basePath = base.pathname.endsWith('/') ? base.pathname : `${base.pathname}/`;
+  const categoryPath = `/category/${eventSlug}/`;
+
+  let rest = null;
+  let isCategory = false;
+  if (parsed.pathname.startsWith(basePath)) {
+    rest = parsed.pathname.slice(basePath.length);
+  } else if (eventSlug && parsed.pathname.startsWith(categoryPath)) {
+    rest = parsed.pathname.slice(categoryPath.length);
+    isCategory = true;
+  }
+
+  if (!rest) return null;
+  const segments = rest.split('/').filter(Boolean);
+  if (segments.length !== 1 || !/^[a-z0-9-]+$/.test(segments[0])) return null;
+  return { slug: segments[0], url: `${parsed.origin}${parsed.pathname}`, isCategory };
+}
+
+// Check a slug against the deny list (exact slugs or simple "prefix*" patterns)
+function isDenied(slug, deny) {
+  return deny.some(pattern => pattern.endsWith('*')
+    ? slug.startsWith(pattern.slice(0, -1))
+    : slug === pattern);
+}
+
+// Add a candidate to the map, merging sources and preferring names taken from link text.
+// A discipline only known as a category keeps the category URL to scrape from.
+function addCandidate(candidates, url, baseUrl, source, linkText) {
+  const target = parseDisciplineUrl(url, baseUrl);
+  if (!target) return;
+
+  const existing = candidates.get(target.slug) || { urlPath: target.slug, name: null, sources: [], categoryUrl: null, hasPage: false };
+  if (!existing.sources.includes(source)) {
+    existing.sources.push(source);
+  }
+  if (target.isCategory) {
+    existing.categoryUrl = existing.categoryUrl || target.url;
+  } else {
+    existing.hasPage = true;
+  }
+  if (!existing.name && linkText && slugify(linkText) === target.slug) {
+    existing.name = linkText;
+  }
+  candidates.set(target.slug, existing);
+}
+
+// Collect <loc> entries from a sitemap or sitemap index
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  return {
+    sitemaps: $('sitemap > loc').map((i, el) => $(el).text().trim()).get(),
+    urls: $('url > loc').map((i, el) => $(el).text().trim()).get()
+  };
+}
+
+// Read the WordPress sitemap(s) and return every page/category URL listed
+async function collectSitemapUrls(baseUrl, fetchPage, log) {
+  const origin = new URL(baseUrl).origin;
+
+  for (const sitemapPath of SITEMAP_PATHS) {
+    let index;
+    try {
+      index = parseSitemap((await fetchPage(`${origin}/${sitemapPath}`)).data);
+    } catch (error) {
+      log(`Sitemap ${sitemapPath} not available: ${error.message}`);
+      continue;
+    }
+
+    const urls = [...index.urls];
+    const subSitemaps = index.sitemaps
+      .filter(url => /page|category/.test(url))
+      .slice(0, MAX_SUB_SITEMAPS);
+
+    for (const sitemapUrl of subSitemaps) {
+      try {
+        urls.push(...parseSitemap((await fetchPage(sitemapUrl)).data).urls);
+      } catch (error) {
+        log(`Sitemap ${sitemapUrl} could not be read: ${error.message}`);
+      }
+    }
+
+    return urls;
+  }
+
+  return [];
+}
+
+// Fetch the event's category pages and return the links they contain
+async function collectCategoryLinks(categoryUrls, fetchPage, log) {
+  const links = [];
+
+  for (const categoryUrl of categoryUrls.slice(0, MAX_CATEGORY_PAGES)) {
+    try {
+      const $ = cheerio.load((await fetchPage(categoryUrl)).data);
+      $('a').each((i, element) => {
+        links.push({ text: $(element).text().trim(), url: $(element).attr('href') || '' });
+      });
+    } catch (error) {
+      log(`Category page ${categoryUrl} could not be read: ${error.message}`);
+    }
+  }
+
+  return links;
+}
+
+// Build the sport list from the main page menu, the event's category pages and
+// the sitemap, merged with the configured sports and the allow/deny lists.
+// Returns { sports, discovered, newDisciplines }.
+async function discoverSports({ baseUrl, mainPageData, configuredSports, allow = [], deny = [], fetchPage, log = () => {} }) {
+  const candidates = new Map();
+  const eventSlug = getEventSlug(baseUrl);
+
+  // 1. Main page navigation menu
+  const navigationLinks = (mainPageData && mainPageData.navigationLinks) || [];
+  navigationLinks.forEach(link => addCandidate(candidates, link.url, baseUrl, 'navigation', link.text));
+
+  // 2. Category pages of the event (the event category itself plus any linked from the menu)
+  const categoryUrls = [`${new URL(baseUrl).origin}/category/${eventSlug}/`];
+  navigationLinks.forEach(link => {
+    if (link.url.includes(`/category/${eventSlug}`) && !categoryUrls.includes(link.url)) {
+      categoryUrls.push(link.url);
+    }
+  });
+  const categoryLinks = await collectCategoryLinks(categoryUrls, fetchPage, log);
+  categoryLinks.forEach(link => addCandidate(candidates, link.url, baseUrl, 'category', link.text));
+
+  // 3. WordPress sitemap
+  const sitemapUrls = await collectSitemapUrls(baseUrl, fetchPage, log);
+  sitemapUrls.forEach(url => addCandidate(candidates, url, baseUrl, 'sitemap'));
+
+  const discovered = [...candidates.values()]
+    .filter(candidate => !isDenied(candidate.urlPath, deny))
+    .map(candidate => ({
+      name: candidate.name || nameFromSlug(candidate.urlPath),
+      urlPath: candidate.urlPath,
+      sources: candidate.sources,
+      url: candidate.hasPage ? undefined : candidate.categoryUrl
+    }));
+
+  // Merge: configured sports keep their names and order, then allow-listed and newly discovered ones
+  const sports = configuredSports
+    .filter(sport => !isDenied(sport.urlPath, deny))
+    .map(sport => ({ ...sport }));
+  const known = new Set(sports.map(sport => sport.urlPath));
+
+  allow.forEach(entry => {
+    const urlPath = typeof entry === 'string' ? entry : entry.urlPath;
+    if (!known.has(urlPath)) {
+      sports.push({ name: (typeof entry === 'object' && entry.name) || nameFromSlug(urlPath), urlPath });
+      known.add(urlPath);
+    }
+  });
+
+  const newDisciplines = [];
+  discovered.forEach(candidate => {
+    if (!known.has(candidate.urlPath)) {
+      sports.push(candidate.url
+        ? { name: candidate.name, urlPath: candidate.urlPath, url: candidate.url }
+        : { name: candidate.name, urlPath: candidate.urlPath });
+      known.add(candidate.urlPath);
+      newDisciplines.push(candidate);
+    }
+  });
+
+  return { sports, discovered, newDisciplines };
+}
+
+module.exports = {
+  discoverSports,
+  parseDisciplineUrl,
+  getEventSlug,
+  nameFromSlug,
+  parseSitemap
+};
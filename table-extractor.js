@@ -0,0 +1,261 @@
+// table-extractor.js
+
+// Known column headers and the record field each maps to (compared without accents, case, dots or spaces)
+const FIELD_ALIASES = {
+  position: ['pos', 'posicion', 'puesto', 'lugar', '#', 'no', 'nro', 'rank', 'ranking', 'clas', 'clasificacion'],
+  team: ['equipo', 'equipos', 'seleccion', 'club'],
+  school: ['colegio', 'institucion', 'centro', 'escuela', 'delegacion'],
+  athlete: ['atleta', 'nombre', 'jugador', 'jugadora', 'deportista', 'competidor', 'participante'],
+  played: ['pj', 'jj', 'j', 'jugados', 'partidosjugados'],
+  won: ['pg', 'jg', 'g', 'v', 'ganados', 'victorias', 'partidosganados'],
+  drawn: ['pe', 'e', 'empatados', 'empates', 'partidosempatados'],
+  lost: ['pp', 'jp', 'p', 'perdidos', 'derrotas', 'partidosperdidos'],
+  goalsFor: ['gf', 'golesafavor', 'pf', 'puntosafavor', 'cf', 'carrerasafavor', 'af'],
+  goalsAgainst: ['gc', 'golesencontra', 'pc', 'puntosencontra', 'ce', 'carrerasencontra', 'ec'],
+  goalDifference: ['dg', 'dif', 'diferencia', '+/-', 'gd', 'difgoles'],
+  setsWon: ['sg', 'setsganados'],
+  setsLost: ['sp', 'setsperdidos'],
+  points: ['pts', 'puntos', 'pt', 'ptos', 'puntaje'],
+  average: ['pct', '%', 'promedio', 'avg'],
+  mark: ['marca', 'tiempo', 'registro', 'distancia', 'altura'],
+  wind: ['viento', 'wind'],
+  score: ['marcador', 'resultado'],
+  date: ['fecha'],
+  time: ['hora']
+};
+
+// Fields converted to numbers ("1º" -> 1, "+3" -> 3, "66,7%" -> 66.7)
+const NUMERIC_FIELDS = new Set([
+  'position', 'played', 'won', 'drawn', 'lost', 'goalsFor', 'goalsAgainst',
+  'goalDifference', 'setsWon', 'setsLost', 'points', 'average'
+]);
+
+// Guard against broken markup such as colspan="1000"
+const MAX_SPAN = 50;
+
+// Helper function to normalise a header for lookup ("Goles a Favor" -> "golesafavor", "P.J." -> "pj")
+function headerKey(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\s.:]+/g, '');
+}
+
+// Single letters that only mean a standings column (J, G, E, P, V = victorias) in a table that
+// also has an unambiguous standings column such as PJ or Pts; elsewhere they stay plain labels
+const STANDINGS_LETTERS = new Set(['j', 'g', 'e', 'p', 'v']);
+const STANDINGS_FIELDS = new Set([
+  'played', 'won', 'drawn', 'lost', 'goalsFor', 'goalsAgainst', 'goalDifference', 'setsWon', 'setsLost', 'points'
+]);
+
+const ALIAS_INDEX = new Map();
+Object.keys(FIELD_ALIASES).forEach(field => {
+  FIELD_ALIASES[field].forEach(alias => ALIAS_INDEX.set(headerKey(alias), field));
+});
+
+// Map a header label to a known field name, or null. Standings letters (J, G, E, P, V) are only
+// mapped when `standings` says the table is a standings table.
+function mapHeader(label, { standings = true } = {}) {
+  const key = headerKey(label);
+  if (!standings && STANDINGS_LETTERS.has(key)) return null;
+  return ALIAS_INDEX.get(key) || null;
+}
+
+// Convert a numeric cell; returns the original text when it is not a number and null when empty or a dash
+function toNumber(text) {
+  const value = String(text || '').trim();
+  if (!value || /^[-–—]$/.test(value)) return null;
+
+  const match = value.match(/^[=T]?\s*([+\-−]?\d+(?:[.,]\d+)?)\s*[º°.%]?$/);
+  if (!match) return value;
+  return parseFloat(match[1].replace('−', '-').replace(',', '.'));
+}
+
+// Helper function to read a span attribute (colspan/rowspan) as a sane integer
+function readSpan($cell, attr) {
+  const span = parseInt($cell.attr(attr), 10);
+  return span > 1 ? Math.min(span, MAX_SPAN) : 1;
+}
+
+// Read the rows of a table into the raw cells (as stored before) and an expanded grid where a cell
+// with colspan/rowspan fills every position it covers
+function readRows($, table, { rows: rowsSelector = 'tr', cells: cellsSelector = 'th, td', winnerClass = 'winner' } = {}) {
+  const data = [];
+  const grid = [];
+  const headerFlags = [];
+
+  $(table).find(rowsSelector).each((r, row) => {
+    const rawRow = [];
+    const cells = $(row).find(cellsSelector);
+    if (cells.length === 0) return;
+
+    const rowIndex = data.length;
+    grid[rowIndex] = grid[rowIndex] || [];
+    let col = 0;
+    let allHeaders = true;
+
+    cells.each((k, cell) => {
+      const $cell = $(cell);
+      const text = $cell.text().trim();
+      const isWinner = $cell.hasClass(winnerClass) || $cell.attr('data-winner') === 'true';
+      const imgSrc = $cell.find('img').length > 0 ? $cell.find('img').attr('src') || '' : null;
+      const isHeader = cell.tagName === 'th' || $cell.closest('thead').length > 0;
+      if (!isHeader) allHeaders = false;
+
+      // Handle rich cell content (including links, images, etc)
+      if (isWinner) {
+        rawRow.push({ text, isWinner: true });
+      } else if (imgSrc !== null) {
+        rawRow.push({ text, imgSrc });
+      } else {
+        rawRow.push(text);
+      }
+
+      while (grid[rowIndex][col] !== undefined) col++;
+      const colspan = readSpan($cell, 'colspan');
+      const rowspan = readSpan($cell, 'rowspan');
+      const value = { text, isHeader, isWinner, imgSrc };
+      for (let dr = 0; dr < rowspan; dr++) {
+        grid[rowIndex + dr] = grid[rowIndex + dr] || [];
+        for (let dc = 0; dc < colspan; dc++) {
+          grid[rowIndex + dr][col + dc] = value;
+        }
+      }
+      col += colspan;
+    });
+
+    data.push(rawRow);
+    headerFlags.push(allHeaders);
+  });
+
+  // Rowspans hanging past the last row are dropped
+  grid.length = data.length;
+  const width = Math.max(0, ...grid.map(row => row.length));
+  grid.forEach(row => {
+    for (let c = 0; c < width; c++) {
+      if (row[c] === undefined) row[c] = { text: '', isHeader: false, isWinner: false, imgSrc: null };
+    }
+  });
+
+  return { data, grid, headerFlags, width };
+}
+
+// Count the header rows: leading rows made only of <th> (or inside <thead>), otherwise a first row
+// whose labels are mostly known headers
+function countHeaderRows(grid, headerFlags) {
+  let count = 0;
+  while (count < grid.length - 1 && headerFlags[count]) count++;
+  if (count > 0 || grid.length < 2) return count;
+
+  const labels = grid[0].filter((cell, c) => cell.text && (c === 0 || cell !== grid[0][c - 1]));
+  const known = labels.filter(cell => mapHeader(cell.text)).length;
+  return labels.length > 0 && known >= Math.ceil(labels.length / 2) ? 1 : 0;
+}
+
+// Describe every column: its label (header rows joined, "Goles - GF"), known field and record key
+function describeColumns(grid, headerRows, width) {
+  const usedKeys = new Set();
+  const columnLabels = Array.from({ length: width }, (unused, c) => {
+    const labels = [];
+    for (let r = 0; r < headerRows; r++) {
+      const text = grid[r][c].text;
+      if (text && labels[labels.length - 1] !== text) labels.push(text);
+    }
+    return labels;
+  });
+  const fieldOf = (labels, options) => (
+    labels.length > 0 ? mapHeader(labels[labels.length - 1], options) || mapHeader(labels.join(' - '), options) : null
+  );
+  const standings = columnLabels.some(labels => STANDINGS_FIELDS.has(fieldOf(labels, { standings: false })));
+
+  return columnLabels.map((labels, c) => {
+    const label = labels.join(' - ');
+    const field = fieldOf(labels, { standings });
+
+    // Two columns with the same field (home and away team) get "team" and "team2"
+    let key = field || label || `col${c + 1}`;
+    for (let n = 2; usedKeys.has(key); n++) {
+      key = `${field || label || `col${c + 1}`}${n}`;
+    }
+    usedKeys.add(key);
+
+    return { index: c, label: label || null, field, key };
+  });
+}
+
+// Helper function to check whether a row is a section heading (one cell spanning the whole table)
+function isSectionRow(row) {
+  return row.length > 1 && row[0].text !== '' && row.every(cell => cell === row[0]);
+}
+
+// Turn the data rows into records keyed by column; numeric fields are converted, a winner cell
+// marks the record, images are kept by column and section headings ("Grupo A") label the rows below
+function buildRecords(grid, headerRows, columns) {
+  const records = [];
+  let section = null;
+
+  grid.slice(headerRows).forEach(row => {
+    if (isSectionRow(row)) {
+      section = row[0].text;
+      return;
+    }
+    if (row.every(cell => cell.text === '' && !cell.imgSrc)) return;
+
+    const record = {};
+    columns.forEach(column => {
+      const cell = row[column.index];
+      record[column.key] = NUMERIC_FIELDS.has(column.field) ? toNumber(cell.text) : cell.text;
+      if (cell.imgSrc) {
+        record.images = { ...record.images, [column.key]: cell.imgSrc };
+      }
+      if (cell.isWinner) record.isWinner = true;
+    });
+    if (section) record.section = section;
+    records.push(record);
+  });
+
+  return records;
+}
+
+// Extract a table: { data (raw rows, kept for audit), headerRows, columns, records }
+// options: { rows, cells, winnerClass } selectors as in the results profile
+function extractTable($, table, options = {}) {
+  const { data, grid, headerFlags, width } = readRows($, table, options);
+  const headerRows = countHeaderRows(grid, headerFlags);
+  const columns = describeColumns(grid, headerRows, width);
+
+  return {
+    data,
+    headerRows,
+    columns,
+    records: buildRecords(grid, headerRows, columns)
+  };
+}
+
+// Extract a table given as rows of plain text cells already in their columns (e.g. read from a PDF):
+// the same { data, headerRows, columns, records } as extractTable. Without <th> markup, a first
+// row of mostly known headers is the header.
+function extractTextTable(rows) {
+  const width = Math.max(0, ...rows.map(row => row.length));
+  const grid = rows.map(row => Array.from({ length: width }, (unused, c) => (
+    { text: String(row[c] || '').trim(), isHeader: false, isWinner: false, imgSrc: null }
+  )));
+  const headerRows = countHeaderRows(grid, grid.map(() => false));
+  const columns = describeColumns(grid, headerRows, width);
+
+  return {
+    data: grid.map(row => row.map(cell => cell.text)),
+    headerRows,
+    columns,
+    records: buildRecords(grid, headerRows, columns)
+  };
+}
+
+module.exports = {
+  extractTable,
+  extractTextTable,
+  mapHeader,
+  toNumber,
+  FIELD_ALIASES
+};
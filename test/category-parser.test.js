@@ -0,0 +1,45 @@
+// test/category-parser.test.js
+const assert = require('assert');
+const categoryParser = require('../category-parser');
+
+// [category texts, expected fields] (fields left out are not checked)
+const CASES = [
+  [['Juvenil Masculino - Grupo A'], { gender: 'masculino', ageGroup: 'juvenil', group: 'A', phase: 'grupos' }],
+  [['Damas Cadete', 'Semifinal'], { gender: 'femenino', ageGroup: 'cadete', phase: 'semifinal' }],
+  [['Dobles mixtos'], { gender: 'mixto' }],
+  [['Categoría libre femenino'], { gender: 'femenino', ageGroup: 'mayor' }],
+  [['Mayores Varones'], { gender: 'masculino', ageGroup: 'mayor' }],
+  // "libre" alone is a style or a discipline, not an age group
+  [['100m estilo libre masculino'], { gender: 'masculino', ageGroup: null }],
+  [['Natación 50m libre Juvenil'], { ageGroup: 'juvenil' }],
+  [['Lucha libre'], { ageGroup: null }],
+  [['Concurso de tiro libre'], { ageGroup: null }],
+  // Masculine and feminine words together mean a mixed category
+  [['Niños y niñas sub-12'], { gender: 'mixto', ageGroup: 'sub-12' }],
+  [['Damas y Caballeros'], { gender: 'mixto' }],
+  [['Final', 'Masculino Infantil'], { gender: 'masculino', ageGroup: 'infantil', phase: 'final' }]
+];
+
+function testParseCategory() {
+  CASES.forEach(([texts, expected]) => {
+    const category = categoryParser.parseCategory(...texts);
+    Object.keys(expected).forEach(field => {
+      assert.strictEqual(category[field], expected[field], `${field} of ${JSON.stringify(texts)}`);
+    });
+  });
+}
+
+function main() {
+  const tests = [testParseCategory];
+  tests.forEach(test => {
+    try {
+      test();
+      console.log(`ok - ${test.name}`);
+    } catch (error) {
+      console.error(`not ok - ${test.name}\n${error.stack}`);
+      process.exitCode = 1;
+    }
+  });
+}
+
+main();
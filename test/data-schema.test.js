@@ -0,0 +1,110 @@
+// test/data-schema.test.js
+const assert = require('assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const dataSchema = require('../data-schema');
+
+// Pages served to web-scraper.js; every other sport answers 404 (saved as null)
+const PAGES = {
+  '/': `<html><body><h1>Juegos Nacionales Salesianos</h1>
+    <div class="highlight"><h2>Inauguración</h2><p>Desfile de delegaciones</p></div></body></html>`,
+  '/futbol/': `<html><body><h1>Fútbol</h1>
+    <h3>Masculino Juvenil - Grupo A</h3>
+    <table><tr><th>Pos</th><th>Equipo</th><th>Pts</th></tr><tr><td>1</td><td>Don Bosco</td><td>9</td></tr></table>
+    <div class="match"><span class="team-name">Don Bosco</span><span class="team-name">Loyola</span>
+      <span class="score">3 - 1</span><span class="date">15/03</span></div></body></html>`
+};
+
+// Helper function to serve PAGES on a free local port
+function startSite() {
+  const server = http.createServer((req, res) => {
+    const page = PAGES[req.url];
+    res.writeHead(page ? 200 : 404, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(page || 'Not found');
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}/` }));
+  });
+}
+
+// Helper function to run web-scraper.js against the site, writing into outputDir
+function runLegacyScraper(baseUrl, outputDir) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(__dirname, '..', 'web-scraper.js')], {
+      cwd: outputDir,
+      env: { ...process.env, SALESIANOS_BASE_URL: baseUrl, SALESIANOS_OUTPUT_DIR: outputDir },
+      timeout: 60000
+    }, error => (error ? reject(error) : resolve()));
+  });
+}
+
+// The legacy scraper's all_data.json is migrated legacy -> 1.0.0 -> 1.1.0 -> 1.2.0 and then valid
+async function testLegacyOutputMigratesToValidData() {
+  const site = await startSite();
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'salesianos-legacy-'));
+
+  try {
+    await runLegacyScraper(site.url, outputDir);
+    const legacy = JSON.parse(fs.readFileSync(path.join(outputDir, 'all_data.json'), 'utf8'));
+    assert.strictEqual(dataSchema.detectVersion(legacy), 'legacy');
+
+    const { data, steps } = dataSchema.migrateAllData(legacy);
+    assert.deepStrictEqual(steps, ['legacy -> 1.0.0', '1.0.0 -> 1.1.0', '1.1.0 -> 1.2.0']);
+    assert.strictEqual(data.metadata.version, dataSchema.CURRENT_VERSION);
+    assert.deepStrictEqual(dataSchema.validate('all-data.schema.json', data), []);
+
+    const football = data.sports['Fútbol'];
+    assert.strictEqual(football.results[0].gender, 'masculino');
+    assert.strictEqual(football.results[0].ageGroup, 'juvenil');
+    assert.strictEqual(football.results[0].group, 'A');
+    assert.strictEqual(football.matches[0].score, '3 - 1');
+    assert.strictEqual(football.matches[0].phase, null);
+  } finally {
+    site.server.close();
+    fs.readdirSync(outputDir).forEach(file => fs.unlinkSync(path.join(outputDir, file)));
+    fs.rmdirSync(outputDir);
+  }
+}
+
+// Sport data in the 1.1.0 shape (no category fields) labelled 1.2.0 is rejected
+function testStaleCategoryFieldsAreRejected() {
+  const allData = {
+    mainPage: null,
+    sports: {
+      'Fútbol': {
+        sportInfo: { name: 'Fútbol' },
+        results: [{ title: 'Masculino Juvenil', data: [['Pos', 'Equipo'], ['1', 'Don Bosco']] }],
+        matches: [{ teams: ['Don Bosco', 'Loyola'], score: '3 - 1' }]
+      }
+    },
+    metadata: { scrapedAt: '2025-03-15T12:00:00.000Z', version: '1.2.0' }
+  };
+
+  const errors = dataSchema.validate('all-data.schema.json', allData);
+  ['results/0', 'matches/0'].forEach(entry => {
+    ['gender', 'ageGroup', 'group', 'phase'].forEach(field => {
+      assert.ok(
+        errors.some(error => error.includes(entry) && error.includes(`"${field}"`)),
+        `expected a missing "${field}" error for ${entry}, got ${JSON.stringify(errors)}`
+      );
+    });
+  });
+}
+
+async function main() {
+  const tests = [testLegacyOutputMigratesToValidData, testStaleCategoryFieldsAreRejected];
+  for (const test of tests) {
+    try {
+      await test();
+      console.log(`ok - ${test.name}`);
+    } catch (error) {
+      console.error(`not ok - ${test.name}\n${error.stack}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main();
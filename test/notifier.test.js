@@ -0,0 +1,126 @@
+// test/notifier.test.js
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const notifier = require('../notifier');
+
+const SECRET = 'test-secret';
+
+// Changeset in the shape change-detector produces
+const CHANGES = {
+  hasChanges: true,
+  previousScrapedAt: '2025-08-10T10:00:00.000Z',
+  currentScrapedAt: '2025-08-10T11:00:00.000Z',
+  sports: {
+    'Fútbol': {
+      counts: { newMatches: 0, updatedScores: 1, newMedalWinners: 0, standingsChanges: 0, removed: 0 },
+      newMatches: [],
+      updatedScores: [{ match: { teams: ['Salesianos Atocha', 'Salesianos Deusto'], score: '2 - 1' }, previousScore: '1 - 1' }],
+      newMedalWinners: [],
+      standingsChanges: [],
+      removed: { matches: [], medals: [], standings: [] }
+    }
+  }
+};
+
+// Helper function to start a webhook receiver on a free local port: answers each request with the
+// next status of `statuses` (the last one repeats) and keeps what it received
+function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` });
+    });
+  });
+}
+
+// A signed delivery that fails with 503 is retried with the same body, delivery id and signature
+async function testSignedDeliveryIsRetried() {
+  const receiver = await startReceiver([503, 200]);
+
+  try {
+    const deliveries = await notifier.notifyChanges(CHANGES, {
+      webhooks: [{ name: 'test', url: receiver.url, secret: SECRET }],
+      eventTitle: 'Juegos Nacionales Salesianos 2025',
+      userAgent: 'SalesianosScraper/test',
+      maxRetries: 2,
+      retryBaseDelayMs: 10,
+      maxRetryDelayMs: 50,
+      timeoutMs: 2000,
+      logFile: null
+    });
+
+    assert.strictEqual(deliveries.length, 1);
+    const [delivery] = deliveries;
+    assert.strictEqual(delivery.ok, true);
+    assert.strictEqual(delivery.status, 200);
+    assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(delivery.deliveryId), delivery.deliveryId);
+    assert.deepStrictEqual(delivery.attempts.map(attempt => attempt.status), [503, 200]);
+
+    assert.strictEqual(receiver.requests.length, 2);
+    receiver.requests.forEach(request => {
+      const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(request.body, 'utf8').digest('hex');
+      assert.strictEqual(request.headers['x-salesianos-signature'], expected);
+      assert.ok(notifier.verifySignature(request.body, request.headers['x-salesianos-signature'], SECRET));
+      assert.ok(!notifier.verifySignature(request.body, request.headers['x-salesianos-signature'], 'other-secret'));
+      assert.strictEqual(request.headers['x-salesianos-event'], 'results.changed');
+      assert.strictEqual(request.headers['x-salesianos-delivery'], delivery.deliveryId);
+    });
+    assert.strictEqual(receiver.requests[0].body, receiver.requests[1].body);
+
+    const payload = JSON.parse(receiver.requests[1].body);
+    assert.strictEqual(payload.deliveryId, delivery.deliveryId);
+    assert.strictEqual(payload.totals.updatedScores, 1);
+    assert.deepStrictEqual(Object.keys(payload.sports), ['Fútbol']);
+  } finally {
+    receiver.server.close();
+  }
+}
+
+// A 4xx answer is final: no retry
+async function testClientErrorIsNotRetried() {
+  const receiver = await startReceiver([400]);
+
+  try {
+    const [delivery] = await notifier.sendTestNotification({
+      webhooks: [{ url: receiver.url, secret: SECRET }],
+      userAgent: 'SalesianosScraper/test',
+      maxRetries: 2,
+      retryBaseDelayMs: 10,
+      maxRetryDelayMs: 50,
+      timeoutMs: 2000,
+      logFile: null
+    });
+
+    assert.strictEqual(delivery.ok, false);
+    assert.strictEqual(delivery.status, 400);
+    assert.strictEqual(receiver.requests.length, 1);
+  } finally {
+    receiver.server.close();
+  }
+}
+
+async function main() {
+  const tests = [testSignedDeliveryIsRetried, testClientErrorIsNotRetried];
+  for (const test of tests) {
+    try {
+      await test();
+      console.log(`ok - ${test.name}`);
+    } catch (error) {
+      console.error(`not ok - ${test.name}\n${error.stack}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main();
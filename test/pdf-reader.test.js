@@ -0,0 +1,145 @@
+// test/pdf-reader.test.js
+const assert = require('assert');
+const zlib = require('zlib');
+const pdfReader = require('../pdf-reader');
+const pdfBulletins = require('../pdf-bulletins');
+
+const HELVETICA = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+
+// Helper function to build a one-page PDF. `content` is the page's content stream (latin1 text);
+// options: { font (dictionary of /F1), flate (compress the content), cut (bytes dropped from the
+// end of the stored stream), encrypt (add an /Encrypt entry to the trailer) }
+function buildPdf(content, { font = HELVETICA, flate = false, cut = 0, encrypt = false } = {}) {
+  let data = Buffer.from(content, 'latin1');
+  if (flate) data = zlib.deflateSync(data);
+  if (cut) data = data.subarray(0, data.length - cut);
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>',
+    { dict: `<< /Length ${data.length}${flate ? ' /Filter /FlateDecode' : ''} >>`, data },
+    font,
+    '<< /Title (Bolet\\355n de prueba) >>'
+  ];
+
+  const parts = [Buffer.from('%PDF-1.4\n', 'latin1')];
+  objects.forEach((object, i) => {
+    parts.push(typeof object === 'string'
+      ? Buffer.from(`${i + 1} 0 obj\n${object}\nendobj\n`, 'latin1')
+      : Buffer.concat([Buffer.from(`${i + 1} 0 obj\n${object.dict}\nstream\n`, 'latin1'), object.data, Buffer.from('\nendstream\nendobj\n')]));
+  });
+  parts.push(Buffer.from(`trailer\n<< /Size 7 /Root 1 0 R /Info 6 0 R${encrypt ? ' /Encrypt << /Filter /Standard /V 1 >>' : ''} >>\n%%EOF\n`, 'latin1'));
+  return Buffer.concat(parts);
+}
+
+// Helper function to write one text line per [y, [[x, string operand], ...]] entry
+function textLines(lines, size = 10) {
+  return lines.map(([y, cells]) => cells.map(([x, operand]) => `BT /F1 ${size} Tf ${x} ${y} Td ${operand} Tj ET\n`).join('')).join('');
+}
+
+// Helper function to read the text of every line of the first page
+function pageText(pdf) {
+  return pdf.pages[0].lines.map(line => line.text);
+}
+
+// A FlateDecode content stream is inflated; the Info title is read with its octal escape
+function testFlateDecode() {
+  const pdf = pdfReader.readPdf(buildPdf(textLines([[800, [[50, '(Resultados de la jornada)']]]]), { flate: true }));
+  assert.deepStrictEqual(pageText(pdf), ['Resultados de la jornada']);
+  assert.strictEqual(pdf.title, 'Boletín de prueba');
+}
+
+// Literal strings with octal escapes and hex strings decode through WinAnsiEncoding
+function testHexAndOctalStrings() {
+  const pdf = pdfReader.readPdf(buildPdf(textLines([
+    [800, [[50, '(F\\372tbol Sala \\(final\\))']]],
+    [780, [[50, '<446F6E20426F73636F>']]],
+    [760, [[50, '<4E BA 2033>']]]
+  ])));
+  assert.deepStrictEqual(pageText(pdf), ['Fútbol Sala (final)', 'Don Bosco', 'Nº 3']);
+}
+
+// A Differences array overrides the codes it lists; the other codes keep the base encoding
+function testDifferencesEncoding() {
+  const font = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica ' +
+    '/Encoding << /Type /Encoding /BaseEncoding /WinAnsiEncoding /Differences [1 /Ntilde /uacute 36 /ordmasculine] >> >>';
+  const pdf = pdfReader.readPdf(buildPdf(textLines([[800, [[50, '(Espa\\001a y Per\\002 N$ 1)']]]]), { font }));
+  assert.deepStrictEqual(pageText(pdf), ['EspaÑa y Perú Nº 1']);
+}
+
+// A truncated Flate stream keeps the text read before the cut
+function testTruncatedStream() {
+  const lines = Array.from({ length: 40 }, (unused, i) => [800 - i * 15, [[50, `(Fila ${i + 1} del boletin)`]]]);
+  const pdf = pdfReader.readPdf(buildPdf(textLines(lines), { flate: true, cut: 12 }));
+  const text = pageText(pdf);
+  assert.ok(text.length > 20 && text.length < 40, `expected part of the lines, got ${text.length}`);
+  assert.strictEqual(text[0], 'Fila 1 del boletin');
+}
+
+// A stream that inflates past maxStreamBytes is skipped: the page comes back without lines
+function testStreamOverLimit() {
+  const content = textLines([[800, [[50, '(Texto)']]]]) + '% ' + ' '.repeat(64 * 1024) + '\n';
+  const buffer = buildPdf(content, { flate: true });
+  assert.ok(buffer.length < 4096);
+
+  assert.deepStrictEqual(pageText(pdfReader.readPdf(buffer)), ['Texto']);
+  assert.deepStrictEqual(pageText(pdfReader.readPdf(buffer, { maxStreamBytes: 1024 })), []);
+}
+
+// Encrypted files and files that are not PDFs are refused
+function testRefusedFiles() {
+  assert.throws(() => pdfReader.readPdf(buildPdf(textLines([[800, [[50, '(x)']]]]), { encrypt: true })), /Encrypted/);
+  assert.throws(() => pdfReader.readPdf(Buffer.from('<html>not a pdf</html>')), /Not a PDF/);
+}
+
+// A standings table laid out in columns becomes a standings entry of the bulletin
+function testExtractBulletinStandings() {
+  const columns = [50, 90, 300, 340, 380, 420, 470];
+  const row = (y, cells) => [y, cells.map((text, i) => [columns[i], `(${text})`])];
+  const pdf = pdfReader.readPdf(buildPdf(textLines([
+    [800, [[50, '(Masculino Juvenil)']]],
+    [780, [[50, '(Clasificaci\\363n Grupo A)']]],
+    row(760, ['Pos', 'Equipo', 'PJ', 'PG', 'PE', 'PP', 'Pts']),
+    row(745, ['1', 'Colegio Don Bosco', '3', '3', '0', '0', '9']),
+    row(730, ['2', 'ITESA', '3', '1', '1', '1', '4'])
+  ]), { flate: true }));
+
+  const found = pdfBulletins.extractBulletin(pdf, { url: 'https://example.org/boletin.pdf', title: 'Boletín 3' });
+  assert.strictEqual(found.standings.length, 1);
+  assert.strictEqual(found.results.length, 0);
+
+  const [standing] = found.standings;
+  assert.strictEqual(standing.title, 'Clasificación Grupo A');
+  assert.strictEqual(standing.category, 'Masculino Juvenil');
+  assert.strictEqual(standing.source, 'pdf');
+  assert.deepStrictEqual(standing.pdf, { url: 'https://example.org/boletin.pdf', title: 'Boletín 3', page: 1 });
+  assert.deepStrictEqual(standing.teams.map(team => [team.position, team.name, team.points]), [
+    ['1', 'Colegio Don Bosco', '9'],
+    ['2', 'ITESA', '4']
+  ]);
+  assert.strictEqual(standing.teams[1].drawn, '1');
+}
+
+function main() {
+  const tests = [
+    testFlateDecode,
+    testHexAndOctalStrings,
+    testDifferencesEncoding,
+    testTruncatedStream,
+    testStreamOverLimit,
+    testRefusedFiles,
+    testExtractBulletinStandings
+  ];
+  tests.forEach(test => {
+    try {
+      test();
+      console.log(`ok - ${test.name}`);
+    } catch (error) {
+      console.error(`not ok - ${test.name}\n${error.stack}`);
+      process.exitCode = 1;
+    }
+  });
+}
+
+main();
@@ -0,0 +1,89 @@
+// test/score-parser.test.js
+const assert = require('assert');
+const scoreParser = require('../score-parser');
+
+const TEAMS = ['Don Bosco', 'ITESA'];
+
+// [discipline urlPath, score text, expected fields] (fields left out are not checked)
+const CASES = [
+  // Football: totals, penalties deciding a draw, halves that must add up
+  ['futbol', '3 - 1', { format: 'goals', parsed: true, home: 3, away: 1, periods: [], winner: 'home', winnerTeam: 'Don Bosco' }],
+  ['futbol', '2 - 2 (4 - 3 pen.)', { parsed: true, home: 2, away: 2, penalties: { home: 4, away: 3 }, winner: 'home', winnerTeam: 'Don Bosco' }],
+  ['futbol', '1 - 1 (2-4 penales)', { parsed: true, penalties: { home: 2, away: 4 }, winner: 'away', winnerTeam: 'ITESA' }],
+  ['futbol', '2 - 1 (1 - 0, 1 - 1)', { parsed: true, periods: [{ home: 1, away: 0 }, { home: 1, away: 1 }], winner: 'home' }],
+  ['futbol', '2 - 1 (1 - 0, 0 - 0)', { parsed: false, reason: 'inconsistent' }],
+  ['futbol-sala', '0 - 0', { parsed: true, winner: 'draw', winnerTeam: null }],
+
+  // Volleyball: the set list, or the sets won with the set list that must agree
+  ['voleibol', '25-20, 18-25, 15-12', { format: 'sets', parsed: true, home: 2, away: 1, winner: 'home' }],
+  ['voleibol', '3 - 1 (25-20, 22-25, 25-18, 25-23)', {
+    parsed: true,
+    home: 3,
+    away: 1,
+    periods: [{ home: 25, away: 20 }, { home: 22, away: 25 }, { home: 25, away: 18 }, { home: 25, away: 23 }]
+  }],
+  ['voleibol', '0 - 3', { parsed: true, home: 0, away: 3, periods: [], winner: 'away', winnerTeam: 'ITESA' }],
+  ['voleibol', '3 - 1 (25-20, 25-18)', { parsed: false, reason: 'inconsistent' }],
+
+  // Basketball: quarters that must add up to the total, or the quarters alone
+  ['baloncesto', '78 - 65 (20-15, 18-20, 22-15, 18-15)', { format: 'points', parsed: true, home: 78, away: 65, winner: 'home' }],
+  ['baloncesto', '20-15, 18-20, 22-15, 18-15', { parsed: true, home: 78, away: 65 }],
+  ['baloncesto', '78 - 60 (20-15, 18-20, 22-15, 18-15)', { parsed: false, reason: 'inconsistent' }],
+
+  // Baseball: innings add up to the runs
+  ['beisbol', '0-1, 2-0, 0-0, 3-1', { format: 'runs', parsed: true, home: 5, away: 2, winner: 'home' }],
+  ['beisbol', '2 - 7', { parsed: true, home: 2, away: 7, periods: [], winner: 'away' }],
+
+  // Chess: single games and team match totals
+  ['ajedrez', '½-½', { format: 'chess', parsed: true, home: 0.5, away: 0.5, winner: 'draw', winnerTeam: null }],
+  ['ajedrez', '1/2-1/2', { parsed: true, home: 0.5, away: 0.5, winner: 'draw' }],
+  ['ajedrez', 'Tablas', { parsed: true, home: 0.5, away: 0.5, winner: 'draw' }],
+  ['ajedrez', '0-1', { parsed: true, winner: 'away', winnerTeam: 'ITESA' }],
+  ['ajedrez', '2½ - 1½', { parsed: true, home: 2.5, away: 1.5, winner: 'home' }],
+
+  // Disciplines not listed read a single total
+  ['voleibol-de-playa', '2 - 0', { format: 'generic', parsed: true, home: 2, away: 0 }],
+
+  // Text that is not a score
+  ['futbol', '', { parsed: false, reason: 'empty' }],
+  ['futbol', 'Aplazado', { parsed: false, reason: 'unrecognized' }],
+  ['futbol', '10-08-2025', { parsed: false, reason: 'unrecognized' }],
+  ['futbol', '10/08/2025', { parsed: false, reason: 'unrecognized' }],
+  ['baloncesto', '1:02.34', { parsed: false, reason: 'unrecognized' }],
+  ['ajedrez', 'empate técnico', { parsed: false, reason: 'unrecognized' }]
+];
+
+function testParseScore() {
+  CASES.forEach(([urlPath, score, expected]) => {
+    const result = scoreParser.parseScore(urlPath, score, TEAMS);
+    Object.keys(expected).forEach(field => {
+      assert.deepStrictEqual(result[field], expected[field], `${field} of ${urlPath} "${score}"`);
+    });
+    if (!result.parsed) {
+      assert.strictEqual(result.home, null);
+      assert.strictEqual(result.winner, null);
+    }
+  });
+}
+
+// Athletics keeps marks and times, not head-to-head scores
+function testNoScoreFormat() {
+  assert.strictEqual(scoreParser.parseScore('atletismo', '12.45', TEAMS), null);
+  assert.strictEqual(scoreParser.getScoreFormat('atletismo'), null);
+  assert.strictEqual(scoreParser.getScoreFormat('voleibol-de-playa'), 'generic');
+}
+
+function main() {
+  const tests = [testParseScore, testNoScoreFormat];
+  tests.forEach(test => {
+    try {
+      test();
+      console.log(`ok - ${test.name}`);
+    } catch (error) {
+      console.error(`not ok - ${test.name}\n${error.stack}`);
+      process.exitCode = 1;
+    }
+  });
+}
+
+main();
@@ -0,0 +1,51 @@
+// test/table-extractor.test.js
+const assert = require('assert');
+const tableExtractor = require('../table-extractor');
+
+// Helper function to list the field of every column of a text table
+function fieldsOf(rows) {
+  return tableExtractor.extractTextTable(rows).columns.map(column => column.field);
+}
+
+// In a standings table "V" is victorias and "P" perdidos, and both are typed as numbers
+function testStandingsLetters() {
+  const rows = [['Pos', 'Equipo', 'J', 'V', 'P', 'Pts'], ['1', 'Don Bosco', '4', '3', '1', '7']];
+  assert.deepStrictEqual(fieldsOf(rows), ['position', 'team', 'played', 'won', 'lost', 'points']);
+  assert.strictEqual(tableExtractor.extractTextTable(rows).records[0].won, 3);
+
+  assert.deepStrictEqual(
+    fieldsOf([['Equipo', 'PJ', 'G', 'E', 'P'], ['ITESA', '3', '2', '1', '0']]),
+    ['team', 'played', 'won', 'drawn', 'lost']
+  );
+}
+
+// Outside a standings table single letters stay plain labels, and "V" is never wind
+function testLettersOutsideStandings() {
+  assert.deepStrictEqual(
+    fieldsOf([['Atleta', 'Colegio', 'Marca', 'V'], ['Ana Pérez', 'Don Bosco', '12.31', '+1.2']]),
+    ['athlete', 'school', 'mark', null]
+  );
+  assert.deepStrictEqual(
+    fieldsOf([['Pos', 'Atleta', 'Marca', 'Viento'], ['1', 'Ana Pérez', '12.31', '+1.2']]),
+    ['position', 'athlete', 'mark', 'wind']
+  );
+  assert.deepStrictEqual(
+    fieldsOf([['Equipo', 'E', 'P'], ['Don Bosco', 'x', 'y']]),
+    ['team', null, null]
+  );
+}
+
+function main() {
+  const tests = [testStandingsLetters, testLettersOutsideStandings];
+  tests.forEach(test => {
+    try {
+      test();
+      console.log(`ok - ${test.name}`);
+    } catch (error) {
+      console.error(`not ok - ${test.name}\n${error.stack}`);
+      process.exitCode = 1;
+    }
+  });
+}
+
+main();
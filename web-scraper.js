@@ -3,11 +3,13 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const appConfig = require('./config');
 
-// Base URL for the website
-const baseUrl = 'https://clasico.com.do/juegos-nacionales-salesianos-2025/';
+// Base URL and output directory from the shared configuration (salesianos.config.json, environment)
+const { baseUrl, outputDir } = appConfig.getConfig().values;
 
-// Sports disciplines to scrape
+// Sports disciplines to scrape. This legacy scraper always uses this fixed list: discovery of new
+// disciplines from the site (--discover) is only supported by enhanced-scraper.js
 const sportsDisciplines = [
   'Fútbol', 'Atletismo', 'Baloncesto', 'Ajedrez', 
   'Voleibol', 'Tenis de Mesa', 'Béisbol', 'Fútbol Sala'
@@ -22,9 +24,8 @@ function getSportUrl(sport) {
 }
 
 // Create output directory if it doesn't exist
-const outputDir = path.join(__dirname, 'resultados_salesianos_2025');
 if (!fs.existsSync(outputDir)) {
-  fs.mkdirSync(outputDir);
+  fs.mkdirSync(outputDir, { recursive: true });
 }
 
 // Helper function to save data to file
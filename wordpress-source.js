@@ -0,0 +1,200 @@
+// wordpress-source.js
+const cheerio = require('cheerio');
+
+// Fields requested from each endpoint (_fields keeps the responses small)
+const FIELDS = {
+  categories: 'id,name,slug,parent,description',
+  tags: 'id,name,slug',
+  pages: 'id,slug,link,parent,title,content,excerpt,featured_media',
+  posts: 'id,date,link,title,excerpt,content,categories,tags,featured_media',
+  media: 'id,date,link,media_type,mime_type,source_url,title,caption,alt_text,post'
+};
+
+// Helper function to normalise text for comparison with slugs ("Tenis de Mesa" -> "tenis-de-mesa")
+function slugify(text) {
+  return String(text || '').toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Helper function to turn rendered HTML ("title.rendered", "excerpt.rendered"...) into plain text
+function renderedText(field) {
+  const html = field && typeof field === 'object' ? field.rendered : field;
+  if (!html) return '';
+  return cheerio.load(`<div>${html}</div>`)('div').first().text().replace(/\s+/g, ' ').trim();
+}
+
+// Helper function to split a list of ids into comma-separated chunks the API accepts in one request
+function idChunks(ids, size) {
+  const unique = Array.from(new Set(ids.filter(Boolean)));
+  const chunks = [];
+  for (let i = 0; i < unique.length; i += size) {
+    chunks.push(unique.slice(i, i + size).join(','));
+  }
+  return chunks;
+}
+
+// Create a client for a WordPress REST API (apiUrl ends in wp-json/wp/v2/). fetchJson(url) must
+// resolve with { status, headers, data } where data is the JSON text (or already parsed JSON).
+// list() pages through a collection perPage entries at a time, following X-WP-TotalPages, and
+// stops after maxPages pages.
+function createClient({ apiUrl, fetchJson, perPage = 100, maxPages = 10 }) {
+  const get = async (endpoint, params) => {
+    const url = new URL(endpoint, apiUrl);
+    Object.keys(params).forEach(name => url.searchParams.set(name, params[name]));
+
+    const response = await fetchJson(url.href);
+    let data = response.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        throw new Error(`${url.href} did not return JSON: ${error.message}`);
+      }
+    }
+
+    const headers = response.headers || {};
+    const totalPages = parseInt(headers['x-wp-totalpages'], 10);
+    return { url: url.href, data, totalPages: Number.isNaN(totalPages) ? null : totalPages };
+  };
+
+  return {
+    apiUrl,
+    perPage,
+
+    async list(endpoint, params = {}) {
+      const items = [];
+      for (let page = 1; page <= maxPages; page++) {
+        const { url, data, totalPages } = await get(endpoint, { ...params, per_page: perPage, page });
+        if (!Array.isArray(data)) {
+          throw new Error(`${url} did not return a list`);
+        }
+        items.push(...data);
+
+        // Without the header, a short page is the last one
+        const lastPage = totalPages !== null ? page >= totalPages : data.length < perPage;
+        if (lastPage) break;
+      }
+      return items;
+    }
+  };
+}
+
+// Helper function to pick the sport's page among pages sharing its slug (one per edition):
+// the one published at sportUrl, then one below the event, then the first
+function pickSportPage(pages, sportUrl, eventSlug) {
+  const samePath = link => {
+    try {
+      return new URL(link).pathname.replace(/\/?$/, '/') === new URL(sportUrl).pathname.replace(/\/?$/, '/');
+    } catch (error) {
+      return false;
+    }
+  };
+  return pages.find(page => samePath(page.link)) ||
+         pages.find(page => eventSlug && String(page.link || '').includes(`/${eventSlug}/`)) ||
+         pages[0] ||
+         null;
+}
+
+// Find the category of a sport: the one with its slug, else a subcategory of the event's category
+// named like the sport ("futbol-2025", "Fútbol")
+async function findSportCategory(client, sport, eventCategory) {
+  const bySlug = await client.list('categories', { slug: sport.urlPath, _fields: FIELDS.categories });
+  if (bySlug.length > 0) {
+    return bySlug.find(category => eventCategory && category.parent === eventCategory.id) || bySlug[0];
+  }
+  if (!eventCategory) return null;
+
+  const children = await client.list('categories', { parent: eventCategory.id, _fields: FIELDS.categories });
+  return children.find(category => (
+    category.slug.startsWith(`${sport.urlPath}-`) ||
+    slugify(category.name) === sport.urlPath ||
+    slugify(category.name) === slugify(sport.name)
+  )) || null;
+}
+
+// Load what the site publishes about one sport: its page, category and tag, the posts filed under
+// them (only the event's posts when the event has a category) and the images attached to the page
+// and posts or featured by them. Returns { page, category, tag, posts, media }.
+async function loadSportContent(client, { sport, sportUrl, eventSlug }) {
+  const [eventCategories, pages, tags] = await Promise.all([
+    eventSlug ? client.list('categories', { slug: eventSlug, _fields: FIELDS.categories }) : [],
+    client.list('pages', { slug: sport.urlPath, _fields: FIELDS.pages }),
+    client.list('tags', { slug: sport.urlPath, _fields: FIELDS.tags })
+  ]);
+  const eventCategory = eventCategories[0] || null;
+  const page = pickSportPage(pages, sportUrl, eventSlug);
+  const category = await findSportCategory(client, sport, eventCategory);
+  const tag = tags[0] || null;
+
+  const postLists = await Promise.all([
+    category ? client.list('posts', { categories: category.id, _fields: FIELDS.posts }) : [],
+    tag
+      ? client.list('posts', { tags: tag.id, ...(eventCategory ? { categories: eventCategory.id } : {}), _fields: FIELDS.posts })
+      : []
+  ]);
+  const posts = [];
+  postLists.flat().forEach(post => {
+    if (!posts.some(existing => existing.id === post.id)) posts.push(post);
+  });
+  posts.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+
+  const parents = [page && page.id, ...posts.map(post => post.id)];
+  const featured = [page && page.featured_media, ...posts.map(post => post.featured_media)];
+  const mediaLists = await Promise.all([
+    ...idChunks(parents, client.perPage).map(ids => client.list('media', { parent: ids, _fields: FIELDS.media })),
+    ...idChunks(featured, client.perPage).map(ids => client.list('media', { include: ids, _fields: FIELDS.media }))
+  ]);
+  const media = [];
+  mediaLists.flat().forEach(item => {
+    if (!media.some(existing => existing.id === item.id)) media.push(item);
+  });
+
+  return { page, category, tag, posts, media };
+}
+
+// News items from posts, in the shape the HTML path produces ({ title, date, content, link }).
+// WordPress dates are local to the site ("2025-03-15T10:00:00"); the date parser reads them
+// once the "T" is a space.
+function toNews(posts) {
+  return posts
+    .map(post => ({
+      title: renderedText(post.title),
+      date: String(post.date || '').replace('T', ' '),
+      content: renderedText(post.excerpt) || renderedText(post.content),
+      link: post.link || ''
+    }))
+    .filter(item => item.title);
+}
+
+// Gallery images from media items ({ url, title, caption }); other attachments (PDF, video) are left out
+function toGallery(media) {
+  return media
+    .filter(item => item.media_type === 'image' && item.source_url)
+    .map(item => {
+      const image = {
+        url: item.source_url,
+        title: renderedText(item.title) || item.alt_text || ''
+      };
+      const caption = renderedText(item.caption);
+      if (caption) image.caption = caption;
+      return image;
+    });
+}
+
+// PDF attachments ({ url, title }) from media items, such as the results bulletins uploaded to a sport page
+function toDocuments(media) {
+  return media
+    .filter(item => item.mime_type === 'application/pdf' && item.source_url)
+    .map(item => ({ url: item.source_url, title: renderedText(item.title) }));
+}
+
+module.exports = {
+  createClient,
+  loadSportContent,
+  renderedText,
+  toNews,
+  toGallery,
+  toDocuments
+};